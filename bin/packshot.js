@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+// Command-line batch runner
+//
+//   packshot composite --bg scene.jpg --in ./shots --out ./out --concurrency 3
+//
+// Runs the same pipeline as the server (lib/pipeline) without Express: inputs
+// are read from disk, outputs and a JSON report are written to --out, and the
+// exit code is non-zero when any image failed (or, with --strict, was flagged by
+// the quality checks), so cron jobs and asset-pipeline scripts can react to it.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { DEFAULT_PROVIDER, getProvider, listProviders } = require('../lib/providers');
+const { normalizeOutputSettings } = require('../lib/output-settings');
+const { DEFAULT_RESTORE_SETTINGS } = require('../lib/restore-resolution');
+const { normalizeNamingSettings, getBatchDate, planOutputNames } = require('../lib/output-naming');
+const exportPresets = require('../lib/export-presets');
+const resultCache = require('../lib/result-cache');
+const scheduler = require('../lib/scheduler');
+const usage = require('../lib/usage');
+const { createBatchControl } = require('../lib/batch-control');
+const { planBatch } = require('../lib/batch-plan');
+const { parseManifest } = require('../lib/manifest');
+const { runBatch } = require('../lib/pipeline');
+
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+const QUEUE_ID = 'cli';
+
+const USAGE = `Usage: packshot composite --bg <image> --in <dir|image> --out <dir> [options]
+
+Options:
+  --bg <image>          Background image (repeat for several; every input is placed on each)
+  --in <dir|image>      Foreground image, or a folder of them (repeatable)
+  --out <dir>           Output folder (created if missing)
+  --concurrency <n>     Parallel images (default 3)
+  --provider <name>     Compositing provider: ${listProviders().map(p => p.name).join(', ')} (default ${DEFAULT_PROVIDER})
+  --format <format>     Output format: original, jpeg, png, webp, avif (default original)
+  --quality <1-100>     Output quality (default 90)
+  --template <template> Output filename template (default {folder}/{output}.{ext})
+  --preset <name>       Also render a marketplace export preset (repeatable)
+  --manifest <file>     CSV/JSON manifest with SKUs, backgrounds and output names
+  --report <file>       Results report (default <out>/packshot-report.json)
+  --no-cache            Do not reuse or store cached provider results
+  --strict              Exit non-zero when quality checks flag a composite
+  -h, --help            Show this help`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            bg: { type: 'string', multiple: true },
+            in: { type: 'string', multiple: true },
+            out: { type: 'string' },
+            concurrency: { type: 'string', default: '3' },
+            provider: { type: 'string', default: DEFAULT_PROVIDER },
+            format: { type: 'string' },
+            quality: { type: 'string' },
+            template: { type: 'string' },
+            preset: { type: 'string', multiple: true },
+            manifest: { type: 'string' },
+            report: { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            strict: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals[0] !== 'composite' || positionals.length > 1) {
+        throw new UsageError(positionals.length === 0 ? 'Missing command' : `Unknown command: ${positionals.join(' ')}`);
+    }
+    for (const required of ['bg', 'in', 'out']) {
+        if (!values[required]) {
+            throw new UsageError(`--${required} is required`);
+        }
+    }
+
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError('--concurrency must be a positive integer');
+    }
+    return { ...values, concurrency };
+}
+
+// Image files named on the command line, expanding folders (not recursive)
+function listImages(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        const stat = fs.statSync(input, { throwIfNoEntry: false });
+        if (!stat) {
+            throw new UsageError(`No such file or folder: ${input}`);
+        }
+        if (stat.isDirectory()) {
+            const names = fs.readdirSync(input).filter(name => IMAGE_EXTENSIONS.test(name)).sort();
+            files.push(...names.map(name => path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+// Same shape as an upload registry entry, as far as the pipeline is concerned
+function toInputEntries(files, prefix) {
+    return files.map((file, index) => ({
+        id: `${prefix}${index + 1}`,
+        originalName: path.basename(file),
+        path: path.resolve(file)
+    }));
+}
+
+function buildSettings(options) {
+    const output = normalizeOutputSettings({
+        ...(options.format && { format: options.format }),
+        ...(options.quality && { quality: Number(options.quality) })
+    });
+    if (output.error) {
+        throw new UsageError(output.error);
+    }
+    const naming = normalizeNamingSettings(options.template ? { template: options.template } : {});
+    if (naming.error) {
+        throw new UsageError(naming.error);
+    }
+    const exports = exportPresets.normalizeExportSettings({ presets: options.preset || [] });
+    if (exports.error) {
+        throw new UsageError(exports.error);
+    }
+
+    return {
+        output: output.settings,
+        restore: { ...DEFAULT_RESTORE_SETTINGS },
+        naming: { ...naming.settings, date: getBatchDate() },
+        exports: exports.settings,
+        useCache: !options['no-cache'],
+        priority: scheduler.DEFAULT_PRIORITY
+    };
+}
+
+async function composite(options) {
+    const provider = getProvider(options.provider);
+    if (!provider) {
+        throw new UsageError(`Unknown compositing provider: ${options.provider}`);
+    }
+    const availability = provider.isAvailable();
+    if (!availability.available) {
+        throw new UsageError(availability.reason);
+    }
+
+    // User-defined presets, cached results and the usage ledger are shared with the server
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    exportPresets.loadPresets(DATA_DIR);
+    usage.loadUsage(DATA_DIR, { dailyBudget: Math.max(0, parseInt(process.env.DAILY_CALL_BUDGET, 10) || 0) });
+    const settings = buildSettings(options);
+    if (settings.useCache) {
+        const maxBytes = parseInt(process.env.RESULT_CACHE_MAX_BYTES, 10);
+        resultCache.initCache(path.join(DATA_DIR, 'cache'), {
+            maxBytes: Number.isInteger(maxBytes) ? Math.max(0, maxBytes) : resultCache.DEFAULT_MAX_BYTES
+        });
+    }
+
+    let manifestRows;
+    if (options.manifest) {
+        const manifest = parseManifest({ name: options.manifest, content: fs.readFileSync(options.manifest, 'utf8') });
+        if (manifest.error) {
+            throw new UsageError(manifest.error);
+        }
+        manifestRows = manifest.rows;
+    }
+
+    const foregrounds = toInputEntries(listImages(options.in), 'fg');
+    const backgrounds = toInputEntries(listImages(options.bg), 'bg');
+    if (foregrounds.length === 0) {
+        throw new UsageError('No input images found');
+    }
+
+    const plan = planBatch({ foregrounds, backgrounds, manifestRows });
+    if (plan.error) {
+        throw new UsageError(plan.error);
+    }
+    const named = planOutputNames(plan.items, settings.naming);
+    if (named.error) {
+        throw new UsageError(named.error);
+    }
+    for (const warning of plan.warnings) {
+        console.warn(`⚠️  ${warning}`);
+    }
+
+    // Calls are recorded like a server batch's, and today's budget applies to them too
+    const sessionId = `cli-${crypto.randomBytes(8).toString('hex')}`;
+    usage.openSession(sessionId, provider);
+    const blocker = usage.getBudgetBlocker(sessionId);
+    if (blocker) {
+        usage.removeSession(sessionId);
+        await usage.flushUsage();
+        console.error(`packshot: ${blocker}`);
+        return EXIT_FAILURES;
+    }
+
+    const outputDirectory = path.resolve(options.out);
+    fs.mkdirSync(outputDirectory, { recursive: true });
+    const reportPath = path.resolve(options.report || path.join(outputDirectory, 'packshot-report.json'));
+
+    // First Ctrl-C skips the remaining images and still writes the report
+    const control = createBatchControl({ onResume: scheduler.dispatch });
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) {
+            process.exit(EXIT_INTERRUPTED);
+        }
+        interrupted = true;
+        console.log('\n⏹️  Cancelling (press Ctrl-C again to quit immediately)');
+        control.cancel('Cancelled from the command line');
+    });
+
+    scheduler.configureScheduler({ concurrency: options.concurrency });
+    scheduler.openQueue(QUEUE_ID);
+
+    const callUsage = { calls: 0, retries: 0, failures: 0, durationMs: 0 };
+    const results = [];
+    const startedAt = new Date();
+    const total = plan.items.length;
+
+    console.log(`📦 ${total} images (provider: ${provider.name}, concurrency: ${options.concurrency}, output: ${path.relative(process.cwd(), outputDirectory) || '.'})`);
+
+    await runBatch(plan.items, {
+        queueId: QUEUE_ID,
+        outputDirectory,
+        provider,
+        settings,
+        control,
+        hooks: {
+            onRetry: (item, attempt, maxRetries, delay, error) => {
+                console.log(`   ↻ ${item.foreground.originalName}: ${error.message}, retrying in ${Math.round(delay / 1000)}s (${attempt}/${maxRetries})`);
+            },
+
+            onAttempt: (item, { attempt, durationMs, error }) => {
+                callUsage.calls++;
+                callUsage.retries += attempt > 1 ? 1 : 0;
+                callUsage.failures += error ? 1 : 0;
+                callUsage.durationMs += durationMs;
+                usage.recordCall(sessionId, provider, { retry: attempt > 1, success: !error, durationMs });
+
+                // Out of budget: the images that have not started are skipped
+                const exhausted = usage.getBudgetBlocker(sessionId);
+                if (exhausted && !control.cancelled) {
+                    console.log(`⏹️  ${exhausted}, skipping the remaining images`);
+                    control.cancel(`Skipped: ${exhausted}`);
+                }
+            },
+
+            onResult: (entry) => {
+                results.push(entry);
+                const progress = `[${results.length}/${total}]`;
+                const name = plan.mode === 'single' ? entry.file : `${entry.file} on ${entry.background}`;
+                if (entry.success) {
+                    const outputs = [entry.result.path, ...entry.result.exports.map(e => e.path)].filter(Boolean);
+                    console.log(`${progress} ✓ ${name} → ${outputs.join(', ')}${entry.cached ? ' (cached)' : ''}`);
+                    for (const warning of entry.warnings) {
+                        console.log(`   ⚠️  ${warning.message}`);
+                    }
+                } else {
+                    console.log(`${progress} ${entry.skipped ? '⏹️ ' : '✗'} ${name}: ${entry.error}`);
+                }
+
+                // A rejected API key fails every image the same way
+                if (entry.errorCode === 'auth') {
+                    control.cancel('Skipped: batch aborted after the API key was rejected');
+                }
+            }
+        }
+    });
+    scheduler.closeQueue(QUEUE_ID);
+    // The ledger keeps the day's totals; the run's own counts are in the report
+    usage.removeSession(sessionId);
+    await usage.flushUsage();
+
+    const summary = {
+        total,
+        successful: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success && !r.skipped).length,
+        skipped: results.filter(r => r.skipped).length,
+        cached: results.filter(r => r.cached).length,
+        flagged: results.filter(r => r.warnings?.length > 0).length
+    };
+    const report = {
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        provider: provider.name,
+        mode: plan.mode,
+        outputDirectory,
+        settings,
+        warnings: plan.warnings,
+        summary,
+        usage: callUsage,
+        results
+    };
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    console.log(`\n✅ ${summary.successful} successful (${summary.cached} cached, ${summary.flagged} flagged by quality checks), ${summary.failed} failed, ${summary.skipped} skipped`);
+    console.log(`   ${callUsage.calls} provider calls (${callUsage.retries} retries), report: ${path.relative(process.cwd(), reportPath)}`);
+
+    if (interrupted) {
+        return EXIT_INTERRUPTED;
+    }
+    if (summary.successful < total || (options.strict && summary.flagged > 0)) {
+        return EXIT_FAILURES;
+    }
+    return 0;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        return await composite(options);
+    } catch (err) {
+        if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+            console.error(`packshot: ${err.message}\nRun "packshot --help" for usage.`);
+            return EXIT_USAGE;
+        }
+        throw err;
+    }
+}
+
+main().then(
+    code => process.exit(code),
+    err => {
+        console.error('packshot:', err);
+        process.exit(EXIT_FAILURES);
+    }
+);
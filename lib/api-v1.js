@@ -0,0 +1,1008 @@
+// Versioned REST API (/api/v1)
+//
+// Resource-style routes over the same batch operations as the original /api
+// endpoints: uploads, jobs (one per batch), a job's items and their outputs.
+// Every route is declared once in the route table with its parameter, body and
+// response schemas; the table drives request validation, response checks and
+// the OpenAPI document served at /api/v1/openapi.json. Errors always have the
+// shape { error: { code, message, details? } }.
+//
+// Jobs belong to the client cookie that created them (like uploads); other
+// clients get 403 for every /jobs/:jobId route. Watch folder jobs have no
+// owner and need the admin token.
+const express = require('express');
+const { validate } = require('./schema');
+const { DEFAULT_PROVIDER, listProviders } = require('./providers');
+const exportPresets = require('./export-presets');
+const scheduler = require('./scheduler');
+const { BATCH_MODES, ITEM_ID_PATTERN } = require('./batch-plan');
+const { THUMBNAIL_SIZES, DEFAULT_THUMBNAIL_SIZE } = require('./previews');
+const { REVIEW_STATUSES, MAX_NOTE_LENGTH, getReview } = require('./review');
+const { ANCHORS, PLACEMENT_LIMITS } = require('./placement');
+const { QUALITY_CHECKS } = require('./quality-checks');
+
+const API_VERSION = '1.0.0';
+const BASE_PATH = '/api/v1';
+
+// Error codes by HTTP status; operations may report a more specific code
+const STATUS_ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    410: 'gone',
+    413: 'payload_too_large',
+    429: 'too_many_requests',
+    500: 'internal_error',
+    503: 'unavailable'
+};
+const ERROR_CODES = [
+    ...Object.values(STATUS_ERROR_CODES),
+    'validation_failed',
+    'invalid_json',
+    'provider_unavailable',
+    'budget_exceeded'
+];
+
+const JOB_STATUSES = ['processing', 'paused', 'cancelling', 'cancelled', 'completed'];
+const ITEM_STATUSES = ['pending', 'processing', 'succeeded', 'failed', 'skipped'];
+
+const ID_PATTERN = '^[a-f0-9]{32}$';
+const OUTPUT_NAME_PATTERN = '^[a-z0-9][a-z0-9-]{0,47}$';
+
+const STATUS_TEXT = { 200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content' };
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function buildSchemas({ maxForegrounds, maxBackgrounds }) {
+    const id = { type: 'string', pattern: ID_PATTERN };
+    const nullableObject = { type: ['object', 'null'] };
+    const placementProperties = {
+        anchor: { type: 'string', enum: ANCHORS },
+        ...Object.fromEntries(Object.entries(PLACEMENT_LIMITS)
+            .map(([name, [minimum, maximum]]) => [name, { type: 'number', minimum, maximum }]))
+    };
+
+    return {
+        Error: {
+            type: 'object',
+            required: ['error'],
+            properties: {
+                error: {
+                    type: 'object',
+                    required: ['code', 'message'],
+                    properties: {
+                        code: { type: 'string', enum: ERROR_CODES },
+                        message: { type: 'string' },
+                        details: { type: 'array', items: ref('Problem') }
+                    }
+                }
+            }
+        },
+        Problem: {
+            type: 'object',
+            required: ['path', 'message'],
+            properties: {
+                path: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        Upload: {
+            type: 'object',
+            required: ['id', 'originalName', 'size', 'mimetype'],
+            properties: {
+                id,
+                originalName: { type: 'string' },
+                folder: { type: 'string' },
+                size: { type: 'integer' },
+                mimetype: { type: 'string' }
+            }
+        },
+        UploadList: {
+            type: 'object',
+            required: ['foregrounds', 'backgrounds'],
+            properties: {
+                foregrounds: { type: 'array', items: ref('Upload') },
+                backgrounds: { type: 'array', items: ref('Upload') }
+            }
+        },
+        Provider: {
+            type: 'object',
+            required: ['name', 'label', 'available'],
+            properties: {
+                name: { type: 'string' },
+                label: { type: 'string' },
+                description: { type: 'string' },
+                available: { type: 'boolean' },
+                reason: { type: ['string', 'null'] }
+            }
+        },
+        ProviderList: {
+            type: 'object',
+            required: ['defaultProvider', 'providers'],
+            properties: {
+                defaultProvider: { type: 'string' },
+                providers: { type: 'array', items: ref('Provider') }
+            }
+        },
+        Preset: {
+            type: 'object',
+            required: ['name', 'width', 'height', 'format', 'builtIn'],
+            properties: {
+                name: { type: 'string' },
+                label: { type: 'string' },
+                width: { type: 'integer' },
+                height: { type: 'integer' },
+                fill: { type: 'number' },
+                trim: { type: 'boolean' },
+                padding: { type: 'string' },
+                format: { type: 'string' },
+                quality: { type: 'integer' },
+                builtIn: { type: 'boolean' }
+            }
+        },
+        PresetList: {
+            type: 'object',
+            required: ['presets'],
+            properties: {
+                presets: { type: 'array', items: ref('Preset') }
+            }
+        },
+        JobCreate: {
+            type: 'object',
+            required: ['foregrounds', 'backgrounds'],
+            additionalProperties: false,
+            properties: {
+                foregrounds: { type: 'array', items: id, minItems: 1, maxItems: maxForegrounds },
+                backgrounds: { type: 'array', items: id, minItems: 1, maxItems: maxBackgrounds },
+                provider: { type: 'string' },
+                mode: { type: 'string', enum: BATCH_MODES },
+                mapping: { type: 'object' },
+                manifest: {
+                    type: 'object',
+                    required: ['content'],
+                    additionalProperties: false,
+                    properties: {
+                        name: { type: 'string' },
+                        content: { type: 'string' }
+                    }
+                },
+                output: { type: 'object' },
+                restore: { type: 'object' },
+                naming: { type: 'object' },
+                exports: { type: 'object' },
+                useCache: { type: 'boolean' },
+                maxCalls: { type: ['integer', 'null'], minimum: 1 },
+                priority: { type: 'string', enum: scheduler.PRIORITIES },
+                open: { type: 'boolean' }
+            }
+        },
+        JobAppend: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                foregrounds: { type: 'array', items: id, maxItems: maxForegrounds },
+                assignments: { type: 'object', additionalProperties: id },
+                final: { type: 'boolean' }
+            }
+        },
+        ReviewChange: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['status'],
+            properties: {
+                status: { type: 'string', enum: REVIEW_STATUSES },
+                note: { type: 'string', maxLength: MAX_NOTE_LENGTH }
+            }
+        },
+        ItemRerun: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                placement: { type: ['object', 'null'], additionalProperties: false, properties: placementProperties }
+            }
+        },
+        BudgetChange: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                maxCalls: { type: ['integer', 'null'], minimum: 1 }
+            }
+        },
+        Job: {
+            type: 'object',
+            required: ['id', 'status', 'provider', 'mode', 'priority', 'createdAt', 'progress', 'links'],
+            properties: {
+                id,
+                status: { type: 'string', enum: JOB_STATUSES },
+                provider: { type: 'string' },
+                mode: { type: 'string' },
+                priority: { type: 'string', enum: scheduler.PRIORITIES },
+                createdAt: { type: 'string' },
+                completedAt: { type: ['string', 'null'] },
+                open: { type: 'boolean' },
+                progress: {
+                    type: 'object',
+                    required: ['total', 'processed', 'succeeded', 'failed', 'skipped', 'cached', 'flagged'],
+                    properties: {
+                        total: { type: 'integer' },
+                        processed: { type: 'integer' },
+                        succeeded: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        skipped: { type: 'integer' },
+                        cached: { type: 'integer' },
+                        flagged: { type: 'integer' }
+                    }
+                },
+                batchError: {
+                    type: ['object', 'null'],
+                    properties: {
+                        code: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                },
+                warnings: { type: 'array', items: { type: 'string' } },
+                queue: nullableObject,
+                usage: nullableObject,
+                links: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' }
+                }
+            }
+        },
+        JobList: {
+            type: 'object',
+            required: ['jobs'],
+            properties: {
+                jobs: { type: 'array', items: ref('Job') }
+            }
+        },
+        Output: {
+            type: 'object',
+            required: ['itemId', 'name', 'path', 'url'],
+            properties: {
+                itemId: { type: 'string', pattern: ITEM_ID_PATTERN.source },
+                name: { type: 'string' },
+                path: { type: 'string' },
+                format: { type: 'string' },
+                width: { type: 'integer' },
+                height: { type: 'integer' },
+                url: { type: 'string' },
+                thumbnailUrl: { type: 'string' }
+            }
+        },
+        OutputList: {
+            type: 'object',
+            required: ['outputs'],
+            properties: {
+                outputs: { type: 'array', items: ref('Output') }
+            }
+        },
+        Item: {
+            type: 'object',
+            required: ['id', 'foreground', 'background', 'status', 'outputs'],
+            properties: {
+                id: { type: 'string', pattern: ITEM_ID_PATTERN.source },
+                foreground: { type: 'string' },
+                background: { type: 'string' },
+                sku: { type: ['string', 'null'] },
+                folder: { type: 'string' },
+                inputUrl: { type: 'string' },
+                status: { type: 'string', enum: ITEM_STATUSES },
+                cached: { type: 'boolean' },
+                placement: { type: ['object', 'null'], properties: placementProperties },
+                warnings: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['check', 'message'],
+                        properties: {
+                            check: { type: 'string', enum: QUALITY_CHECKS },
+                            message: { type: 'string' }
+                        }
+                    }
+                },
+                quality: {
+                    type: ['object', 'null'],
+                    properties: {
+                        width: { type: 'integer' },
+                        height: { type: 'integer' },
+                        deviation: { type: 'number' },
+                        coverage: { type: 'number' },
+                        bytesPerPixel: { type: 'number' }
+                    }
+                },
+                review: {
+                    type: ['object', 'null'],
+                    properties: {
+                        status: { type: 'string', enum: REVIEW_STATUSES },
+                        note: { type: 'string' },
+                        reviewedAt: { type: ['string', 'null'] }
+                    }
+                },
+                error: {
+                    type: ['object', 'null'],
+                    properties: {
+                        code: { type: ['string', 'null'] },
+                        message: { type: 'string' }
+                    }
+                },
+                outputs: { type: 'array', items: ref('Output') }
+            }
+        },
+        ItemList: {
+            type: 'object',
+            required: ['items'],
+            properties: {
+                items: { type: 'array', items: ref('Item') }
+            }
+        }
+    };
+}
+
+function sendError(res, status, code, message, details) {
+    res.status(status).json({
+        error: {
+            code: code || STATUS_ERROR_CODES[status] || 'internal_error',
+            message,
+            ...(details && { details })
+        }
+    });
+}
+
+function toTimestamp(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+function getJobStatus(state) {
+    if (state.isProcessing) {
+        if (state.isCancelled) {
+            return 'cancelling';
+        }
+        return state.isPaused ? 'paused' : 'processing';
+    }
+    return state.isCancelled ? 'cancelled' : 'completed';
+}
+
+// Job resource for a batch from getBatch()
+function toJob(batch) {
+    const { sessionId, state, job } = batch;
+    const base = `${BASE_PATH}/jobs/${sessionId}`;
+    return {
+        id: sessionId,
+        status: getJobStatus(state),
+        provider: job.provider,
+        mode: job.mode,
+        priority: job.settings?.priority || scheduler.DEFAULT_PRIORITY,
+        createdAt: toTimestamp(job.createdAt),
+        completedAt: state.isProcessing ? null : toTimestamp(batch.completedAt),
+        open: state.isOpen,
+        progress: {
+            total: state.totalImages,
+            processed: state.processedImages,
+            succeeded: state.results.filter(r => r.success).length,
+            failed: state.results.filter(r => !r.success && !r.skipped).length,
+            skipped: state.results.filter(r => r.skipped).length,
+            cached: state.results.filter(r => r.cached).length,
+            flagged: state.results.filter(r => r.warnings?.length).length
+        },
+        batchError: state.batchError,
+        warnings: state.warnings,
+        queue: batch.queue,
+        usage: batch.usage,
+        links: {
+            self: base,
+            items: `${base}/items`,
+            outputs: `${base}/outputs`,
+            archive: `${base}/archive`,
+            events: `/api/events/${sessionId}`
+        }
+    };
+}
+
+// Files written for one result entry: the composite (if kept) and every preset export
+function toOutputs(sessionId, entry) {
+    if (!entry?.success || !entry.result) {
+        return [];
+    }
+    const base = `${BASE_PATH}/jobs/${sessionId}/items/${entry.id}/outputs`;
+    const files = [];
+    if (entry.result.path) {
+        files.push({ ...entry.result, preset: exportPresets.COMPOSITE_PRESET_NAME });
+    }
+    files.push(...(entry.result.exports || []));
+
+    return files.map(file => ({
+        itemId: entry.id,
+        name: file.preset,
+        path: file.path,
+        format: file.format,
+        width: file.width,
+        height: file.height,
+        url: `${base}/${file.preset}`,
+        thumbnailUrl: `${base}/${file.preset}/thumbnail`
+    }));
+}
+
+function toReview(review) {
+    return { status: review.status, note: review.note, reviewedAt: toTimestamp(review.reviewedAt) };
+}
+
+function toItem(batch, item, entry) {
+    let status = batch.state.currentItems.includes(item.id) ? 'processing' : 'pending';
+    if (entry) {
+        status = entry.success ? 'succeeded' : (entry.skipped ? 'skipped' : 'failed');
+    }
+    return {
+        id: item.id,
+        foreground: item.foreground.originalName,
+        background: item.background.originalName,
+        sku: item.sku ?? null,
+        folder: item.folder || '',
+        inputUrl: `${BASE_PATH}/jobs/${batch.sessionId}/items/${item.id}/input`,
+        status,
+        cached: Boolean(entry?.cached),
+        placement: item.placement || null,
+        warnings: entry?.warnings || [],
+        quality: entry?.quality || null,
+        review: entry?.success ? toReview(getReview(entry)) : null,
+        error: entry && !entry.success ? { code: entry.errorCode || null, message: entry.error } : null,
+        outputs: toOutputs(batch.sessionId, entry)
+    };
+}
+
+function getResults(batch) {
+    return new Map(batch.state.results.map(entry => [entry.id, entry]));
+}
+
+// The route table; handlers return { status, body }, { status, error, code? },
+// or nothing when they have sent the response themselves (files, archives)
+function buildRoutes(service) {
+    const jobParams = { jobId: { type: 'string', pattern: ID_PATTERN } };
+    const itemParams = { ...jobParams, itemId: { type: 'string', pattern: ITEM_ID_PATTERN.source } };
+    const outputParams = { ...itemParams, output: { type: 'string', pattern: OUTPUT_NAME_PATTERN } };
+    const thumbnailQuery = { size: { type: 'string', enum: THUMBNAIL_SIZES.map(String) } };
+    const imageResponse = { 200: { contentType: 'image/*', description: 'The image file' } };
+    const thumbnailResponse = { 200: { contentType: 'image/webp', description: 'The thumbnail (cached)' } };
+
+    // Send one of an item's images, or its thumbnail
+    const sendImage = (req, res, options) => {
+        const batch = findJob(req);
+        if (batch.error) {
+            return batch;
+        }
+        return service.sendItemImage(req.params.jobId, req.params.itemId, res, options)
+            .then(sent => (sent.error ? sent : undefined));
+    };
+
+    const findJob = (req) => service.getBatch(req.params.jobId)
+        || { status: 404, error: 'Job not found or expired' };
+
+    // Run a batch operation and answer with the job as it is afterwards
+    const jobAction = (operation, status = 200) => (req) => {
+        const done = operation(req.params.jobId, req.body);
+        if (done.error) {
+            return done;
+        }
+        return { status, body: toJob(service.getBatch(req.params.jobId)) };
+    };
+
+    return [
+        {
+            method: 'get',
+            path: '/providers',
+            tag: 'catalog',
+            operationId: 'listProviders',
+            summary: 'Compositing providers and whether each is usable right now',
+            responses: { 200: 'ProviderList' },
+            handler: () => ({ status: 200, body: { defaultProvider: DEFAULT_PROVIDER, providers: listProviders() } })
+        },
+        {
+            method: 'get',
+            path: '/presets',
+            tag: 'catalog',
+            operationId: 'listPresets',
+            summary: 'Built-in and user-defined export presets',
+            responses: { 200: 'PresetList' },
+            handler: () => ({ status: 200, body: { presets: exportPresets.listPresets() } })
+        },
+        {
+            method: 'post',
+            path: '/uploads',
+            tag: 'uploads',
+            operationId: 'createUploads',
+            summary: 'Upload foreground images (field "images", or ZIP archives in "archives") and/or backgrounds (field "background")',
+            multipart: true,
+            middleware: [service.uploadFields],
+            responses: { 201: 'UploadList' },
+            handler: async (req, res) => {
+                const expanded = await service.expandArchives(req);
+                if (expanded.error) {
+                    return expanded;
+                }
+                if (!req.files['images'].length && !req.files['background']?.length) {
+                    return { status: 400, error: 'No images uploaded' };
+                }
+                return { status: 201, body: service.registerUploads(req, res) };
+            }
+        },
+        {
+            method: 'post',
+            path: '/jobs',
+            tag: 'jobs',
+            operationId: 'createJob',
+            summary: 'Start a batch from uploaded foregrounds and backgrounds',
+            body: 'JobCreate',
+            responses: { 201: 'Job' },
+            handler: async (req, res) => {
+                const { foregrounds, backgrounds, ...options } = req.body;
+                const created = await service.createBatch(
+                    { ...options, files: foregrounds, backgroundFiles: backgrounds },
+                    service.readClientId(req)
+                );
+                if (created.error) {
+                    return created;
+                }
+                res.location(`${BASE_PATH}/jobs/${created.sessionId}`);
+                return { status: 201, body: toJob(service.getBatch(created.sessionId)) };
+            }
+        },
+        {
+            method: 'get',
+            path: '/jobs',
+            tag: 'jobs',
+            operationId: 'listJobs',
+            summary: 'Jobs started by this client',
+            responses: { 200: 'JobList' },
+            handler: (req) => {
+                const jobs = service.listBatches(service.readClientId(req))
+                    .map(sessionId => service.getBatch(sessionId))
+                    .filter(Boolean)
+                    .map(toJob);
+                return { status: 200, body: { jobs } };
+            }
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId',
+            tag: 'jobs',
+            operationId: 'getJob',
+            summary: 'Job status and progress',
+            params: jobParams,
+            responses: { 200: 'Job' },
+            handler: (req) => {
+                const batch = findJob(req);
+                return batch.error ? batch : { status: 200, body: toJob(batch) };
+            }
+        },
+        {
+            method: 'delete',
+            path: '/jobs/:jobId',
+            tag: 'jobs',
+            operationId: 'deleteJob',
+            summary: 'Cancel the job if it is running and delete it with its outputs',
+            params: jobParams,
+            responses: { 204: null },
+            handler: (req) => {
+                const batch = findJob(req);
+                if (batch.error) {
+                    return batch;
+                }
+                service.closeBatch(req.params.jobId);
+                return { status: 204 };
+            }
+        },
+        {
+            method: 'post',
+            path: '/jobs/:jobId/pause',
+            tag: 'jobs',
+            operationId: 'pauseJob',
+            summary: 'Stop scheduling new images (in-flight images finish)',
+            params: jobParams,
+            responses: { 200: 'Job' },
+            handler: jobAction(service.pauseBatch)
+        },
+        {
+            method: 'post',
+            path: '/jobs/:jobId/resume',
+            tag: 'jobs',
+            operationId: 'resumeJob',
+            summary: 'Continue a paused job, optionally raising its call budget',
+            params: jobParams,
+            body: 'BudgetChange',
+            optionalBody: true,
+            responses: { 200: 'Job' },
+            handler: jobAction(service.resumeBatch)
+        },
+        {
+            method: 'post',
+            path: '/jobs/:jobId/cancel',
+            tag: 'jobs',
+            operationId: 'cancelJob',
+            summary: 'Abort in-flight requests and skip the remaining images',
+            params: jobParams,
+            responses: { 200: 'Job' },
+            handler: jobAction(service.cancelBatch)
+        },
+        {
+            method: 'post',
+            path: '/jobs/:jobId/foregrounds',
+            tag: 'jobs',
+            operationId: 'appendForegrounds',
+            summary: 'Add uploaded foregrounds to a job created with "open": true; "final": true ends the job\'s input',
+            params: jobParams,
+            body: 'JobAppend',
+            responses: { 200: 'Job' },
+            handler: (req) => {
+                const { foregrounds, ...options } = req.body;
+                const appended = service.appendToBatch(
+                    req.params.jobId,
+                    { ...options, files: foregrounds },
+                    service.readClientId(req)
+                );
+                if (appended.error) {
+                    return appended;
+                }
+                return { status: 200, body: toJob(service.getBatch(req.params.jobId)) };
+            }
+        },
+        {
+            method: 'post',
+            path: '/jobs/:jobId/retry',
+            tag: 'jobs',
+            operationId: 'retryJob',
+            summary: 'Reprocess the failed images of a finished job, optionally raising its call budget',
+            params: jobParams,
+            body: 'BudgetChange',
+            optionalBody: true,
+            responses: { 202: 'Job' },
+            handler: jobAction(service.retryBatch, 202)
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/items',
+            tag: 'items',
+            operationId: 'listItems',
+            summary: 'Work items of a job (one per foreground and background pair)',
+            params: jobParams,
+            query: {
+                status: { type: 'string', enum: ITEM_STATUSES },
+                review: { type: 'string', enum: REVIEW_STATUSES },
+                flagged: { type: 'string', enum: ['true', 'false'] }
+            },
+            responses: { 200: 'ItemList' },
+            handler: (req) => {
+                const batch = findJob(req);
+                if (batch.error) {
+                    return batch;
+                }
+                const results = getResults(batch);
+                const items = batch.items
+                    .map(item => toItem(batch, item, results.get(item.id)))
+                    .filter(item => !req.query.status || item.status === req.query.status)
+                    .filter(item => !req.query.review || item.review?.status === req.query.review)
+                    .filter(item => !req.query.flagged || (item.warnings.length > 0) === (req.query.flagged === 'true'));
+                return { status: 200, body: { items } };
+            }
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/items/:itemId',
+            tag: 'items',
+            operationId: 'getItem',
+            summary: 'One work item with its error or outputs',
+            params: itemParams,
+            responses: { 200: 'Item' },
+            handler: (req) => {
+                const batch = findJob(req);
+                if (batch.error) {
+                    return batch;
+                }
+                const item = batch.items.find(i => i.id === req.params.itemId);
+                if (!item) {
+                    return { status: 404, error: 'Item not found' };
+                }
+                return { status: 200, body: toItem(batch, item, getResults(batch).get(item.id)) };
+            }
+        },
+        {
+            method: 'put',
+            path: '/jobs/:jobId/items/:itemId/review',
+            tag: 'items',
+            operationId: 'reviewItem',
+            summary: 'Approve or reject a succeeded item (or set it back to pending), with an optional note',
+            params: itemParams,
+            body: 'ReviewChange',
+            responses: { 200: 'Item' },
+            handler: (req) => {
+                const reviewed = service.reviewResult(req.params.jobId, req.params.itemId, req.body);
+                if (reviewed.error) {
+                    return reviewed;
+                }
+                const batch = service.getBatch(req.params.jobId);
+                const item = batch.items.find(i => i.id === req.params.itemId);
+                return { status: 200, body: toItem(batch, item, getResults(batch).get(item.id)) };
+            }
+        },
+        {
+            method: 'post',
+            path: '/jobs/:jobId/items/:itemId/rerun',
+            tag: 'items',
+            operationId: 'rerunItem',
+            summary: 'Process one item of a finished job again, optionally with a new placement (null for the default); its outputs are replaced',
+            params: itemParams,
+            body: 'ItemRerun',
+            optionalBody: true,
+            responses: { 202: 'Item' },
+            handler: (req) => {
+                const rerun = service.rerunItem(req.params.jobId, req.params.itemId, req.body);
+                if (rerun.error) {
+                    return rerun;
+                }
+                const batch = service.getBatch(req.params.jobId);
+                const item = batch.items.find(i => i.id === req.params.itemId);
+                return { status: 202, body: toItem(batch, item, getResults(batch).get(item.id)) };
+            }
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/outputs',
+            tag: 'outputs',
+            operationId: 'listOutputs',
+            summary: 'Every file written by a job so far',
+            params: jobParams,
+            responses: { 200: 'OutputList' },
+            handler: (req) => {
+                const batch = findJob(req);
+                if (batch.error) {
+                    return batch;
+                }
+                const outputs = batch.state.results.flatMap(entry => toOutputs(batch.sessionId, entry));
+                return { status: 200, body: { outputs } };
+            }
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/items/:itemId/outputs/:output',
+            tag: 'outputs',
+            operationId: 'getOutput',
+            summary: `Download one output file ("${exportPresets.COMPOSITE_PRESET_NAME}" for the composite, or an export preset name)`,
+            params: outputParams,
+            responses: imageResponse,
+            handler: (req, res) => sendImage(req, res, { output: req.params.output })
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/items/:itemId/outputs/:output/thumbnail',
+            tag: 'outputs',
+            operationId: 'getOutputThumbnail',
+            summary: `Thumbnail of one output file, at most size pixels wide and high (default ${DEFAULT_THUMBNAIL_SIZE})`,
+            params: outputParams,
+            query: thumbnailQuery,
+            responses: thumbnailResponse,
+            handler: (req, res) => sendImage(req, res, {
+                output: req.params.output,
+                thumbnailSize: Number(req.query.size ?? DEFAULT_THUMBNAIL_SIZE)
+            })
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/items/:itemId/input',
+            tag: 'outputs',
+            operationId: 'getInput',
+            summary: 'The item\'s foreground as uploaded (downscaled once the item succeeded), for before/after comparison',
+            params: itemParams,
+            responses: imageResponse,
+            handler: (req, res) => sendImage(req, res, {})
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/items/:itemId/input/thumbnail',
+            tag: 'outputs',
+            operationId: 'getInputThumbnail',
+            summary: 'Thumbnail of the item\'s foreground',
+            params: itemParams,
+            query: thumbnailQuery,
+            responses: thumbnailResponse,
+            handler: (req, res) => sendImage(req, res, { thumbnailSize: Number(req.query.size ?? DEFAULT_THUMBNAIL_SIZE) })
+        },
+        {
+            method: 'get',
+            path: '/jobs/:jobId/archive',
+            tag: 'outputs',
+            operationId: 'getArchive',
+            summary: 'Download all outputs of a job as a zip (the job is kept); ?review=approved for the approved ones only',
+            params: jobParams,
+            query: { review: { type: 'string', enum: REVIEW_STATUSES } },
+            responses: { 200: { contentType: 'application/zip', description: 'Zip of all outputs' } },
+            handler: (req, res) => {
+                const batch = findJob(req);
+                if (batch.error) {
+                    return batch;
+                }
+                const sent = service.sendArchive(req.params.jobId, res, { reviewFilter: req.query.review || null });
+                return sent.error ? sent : undefined;
+            }
+        }
+    ];
+}
+
+function toParameters(schemas = {}, location) {
+    return Object.entries(schemas).map(([name, schema]) => ({
+        name,
+        in: location,
+        required: location === 'path',
+        schema
+    }));
+}
+
+function buildOpenApiDocument(routes, schemas) {
+    const paths = {};
+    for (const route of routes) {
+        const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+        const operation = {
+            operationId: route.operationId,
+            summary: route.summary,
+            tags: [route.tag]
+        };
+
+        const parameters = [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')];
+        if (parameters.length > 0) {
+            operation.parameters = parameters;
+        }
+        if (route.body) {
+            operation.requestBody = {
+                required: !route.optionalBody,
+                content: { 'application/json': { schema: ref(route.body) } }
+            };
+        } else if (route.multipart) {
+            const files = { type: 'array', items: { type: 'string', format: 'binary' } };
+            operation.requestBody = {
+                required: true,
+                content: { 'multipart/form-data': { schema: { type: 'object', properties: { images: files, archives: files, background: files } } } }
+            };
+        }
+
+        operation.responses = {};
+        for (const [status, response] of Object.entries(route.responses)) {
+            if (response === null) {
+                operation.responses[status] = { description: STATUS_TEXT[status] };
+            } else if (typeof response === 'string') {
+                operation.responses[status] = {
+                    description: STATUS_TEXT[status],
+                    content: { 'application/json': { schema: ref(response) } }
+                };
+            } else {
+                operation.responses[status] = {
+                    description: response.description,
+                    content: { [response.contentType]: { schema: { type: 'string', format: 'binary' } } }
+                };
+            }
+        }
+        operation.responses.default = {
+            description: 'Error',
+            content: { 'application/json': { schema: ref('Error') } }
+        };
+
+        paths[openApiPath] = { ...paths[openApiPath], [route.method]: operation };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Packshot Compositing API',
+            version: API_VERSION,
+            description: 'Upload product shots and backgrounds, run compositing jobs and download their outputs. '
+                + 'Uploads and job listings are scoped to the client cookie set by POST /uploads.'
+        },
+        servers: [{ url: BASE_PATH }],
+        paths,
+        components: { schemas }
+    };
+}
+
+// Validate a request against its route; returns a list of problems
+function validateRequest(route, req, schemas) {
+    const problems = [];
+    for (const [name, schema] of Object.entries(route.params || {})) {
+        problems.push(...validate(schema, req.params[name], schemas, `params.${name}`));
+    }
+    for (const [name, schema] of Object.entries(route.query || {})) {
+        if (req.query[name] !== undefined) {
+            problems.push(...validate(schema, req.query[name], schemas, `query.${name}`));
+        }
+    }
+    if (route.body && !(route.optionalBody && req.body === undefined)) {
+        problems.push(...validate(ref(route.body), req.body ?? null, schemas, 'body'));
+    }
+    return problems;
+}
+
+// Router for /api/v1. service provides the batch operations of server.js:
+//   uploadFields, expandArchives(req), registerUploads(req, res), discardUploads(req),
+//   readClientId(req), checkBatchAccess(id, req), createBatch(body, clientId), appendToBatch(id, body, clientId),
+//   getBatch(id), listBatches(clientId), pauseBatch(id), resumeBatch(id, body), cancelBatch(id), retryBatch(id, body),
+//   reviewResult(id, itemId, body), rerunItem(id, itemId, body), closeBatch(id), sendArchive(id, res, options),
+//   sendItemImage(id, itemId, res, options), limits: { maxForegrounds, maxBackgrounds }
+function createApiV1Router(service) {
+    const schemas = buildSchemas(service.limits);
+    const routes = buildRoutes(service);
+    const openApiDocument = buildOpenApiDocument(routes, schemas);
+
+    const router = express.Router();
+    router.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument);
+    });
+    for (const route of routes) {
+        router[route.method](route.path, ...(route.middleware || []), async (req, res, next) => {
+            try {
+                const problems = validateRequest(route, req, schemas);
+                if (problems.length > 0) {
+                    service.discardUploads(req);
+                    return sendError(res, 400, 'validation_failed', 'Request does not match the API schema', problems);
+                }
+
+                const result = (req.params.jobId && service.checkBatchAccess(req.params.jobId, req))
+                    || await route.handler(req, res);
+                if (!result) {
+                    return;
+                }
+                if (result.error) {
+                    if (route.multipart) {
+                        service.discardUploads(req);
+                    }
+                    return sendError(res, result.status, result.code, result.error);
+                }
+                if (result.body === undefined) {
+                    return res.status(result.status).end();
+                }
+
+                // A response that breaks its own schema is a server bug; log it rather than fail the call
+                const schemaName = route.responses[result.status];
+                if (typeof schemaName === 'string') {
+                    const mismatches = validate(ref(schemaName), result.body, schemas, 'response');
+                    if (mismatches.length > 0) {
+                        console.error(`⚠️  ${route.method.toUpperCase()} ${BASE_PATH}${route.path} response does not match ${schemaName}:`, mismatches);
+                    }
+                }
+                res.status(result.status).json(result.body);
+            } catch (err) {
+                next(err);
+            }
+        });
+    }
+
+    router.use((req, res) => {
+        sendError(res, 404, 'not_found', `No such endpoint: ${req.method} ${BASE_PATH}${req.path}`);
+    });
+    return router;
+}
+
+// Error handler for /api/v1 (mounted after the router so that body parser and
+// upload errors raised before routing get the same error shape)
+function handleApiError(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, 413, 'payload_too_large', err.message);
+    }
+    if (err.name === 'MulterError' || err.status === 400) {
+        return sendError(res, 400, 'invalid_request', err.message);
+    }
+    console.error(`${BASE_PATH} error:`, err);
+    sendError(res, 500, 'internal_error', 'Internal server error');
+}
+
+module.exports = {
+    API_VERSION,
+    ERROR_CODES,
+    createApiV1Router,
+    handleApiError
+};
@@ -0,0 +1,42 @@
+// Pause and cancellation state for a running batch
+//
+// The scheduler skips paused batches when handing out slots, and workers pass
+// `signal` to the provider so in-flight requests are aborted on cancel.
+// onResume runs after resume() and cancel(), e.g. to wake the scheduler.
+function createBatchControl({ paused = false, onResume = null } = {}) {
+    const abortController = new AbortController();
+
+    const control = {
+        signal: abortController.signal,
+        paused,
+        reason: null, // Why the batch was aborted, reported for skipped images
+
+        get cancelled() {
+            return abortController.signal.aborted;
+        },
+
+        pause() {
+            control.paused = true;
+        },
+
+        resume() {
+            control.paused = false;
+            if (onResume) {
+                onResume();
+            }
+        },
+
+        cancel(reason = null) {
+            control.reason = reason;
+            abortController.abort();
+            // Let queued images run so they can record themselves as skipped
+            control.resume();
+        }
+    };
+
+    return control;
+}
+
+module.exports = {
+    createBatchControl
+};
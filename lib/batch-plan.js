@@ -0,0 +1,251 @@
+// Expand uploads into work items (one composite each)
+//
+// With a single background every foreground becomes one item. With several
+// backgrounds the batch runs in one of two modes:
+//   matrix  - every foreground on every background
+//   mapping - each foreground on one background, chosen by explicit
+//             assignment, then filename rules, then the fallback background
+// Multi-background outputs are written to one folder per background. Below
+// that, outputs keep the folder a foreground had in a dropped folder or ZIP
+// archive, so the download mirrors the input structure.
+//
+// A manifest (lib/manifest) overrides both: every manifest row that names an
+// uploaded foreground becomes one item with its own SKU, background, output
+// name and folder. Rows may name a foreground by its relative path
+// ("shirts/IMG_0001.jpg") when the same filename occurs in several folders.
+const { toSafeSegment, toSafeFolder } = require('./manifest');
+
+const BATCH_MODES = ['matrix', 'mapping'];
+
+// Item IDs: "<foreground>-<background>", plus "-r<row>" for manifest rows
+// (journals from before multiple backgrounds used the bare foreground ID)
+const ITEM_ID_PATTERN = /^[a-f0-9]{32}(-[a-f0-9]{32}(-r\d+)?)?$/;
+
+// Case-insensitive glob (* and ?) matched against the whole filename
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+}
+
+// Folder names derived from background filenames, unique within the batch
+function getBackgroundFolders(backgrounds) {
+    const folders = new Map();
+    const used = new Set();
+    for (const background of backgrounds) {
+        const base = toSafeSegment(background.originalName.replace(/\.[^.]+$/, '')) || 'background';
+        let folder = base;
+        for (let n = 2; used.has(folder.toLowerCase()); n++) {
+            folder = `${base}-${n}`;
+        }
+        used.add(folder.toLowerCase());
+        folders.set(background.id, folder);
+    }
+    return folders;
+}
+
+// Background folder (if any) followed by the foreground's own folder
+function getItemFolder(backgroundFolder, foreground) {
+    return [backgroundFolder, foreground.folder].filter(Boolean).join('/');
+}
+
+function createItem(foreground, background, folder, extra = {}) {
+    return {
+        id: `${foreground.id}-${background.id}`,
+        foreground,
+        background,
+        folder,
+        ...extra
+    };
+}
+
+// One item per manifest row that matches an upload; everything else becomes a warning
+// Returns { items, warnings } or { error }
+function planManifest(foregrounds, backgrounds, rows) {
+    const byName = (uploads) => {
+        const map = new Map();
+        for (const upload of uploads) {
+            const keys = [upload.originalName, upload.folder && `${upload.folder}/${upload.originalName}`];
+            for (const key of keys.filter(Boolean).map(key => key.toLowerCase())) {
+                if (!map.has(key)) {
+                    map.set(key, upload);
+                }
+            }
+        }
+        return map;
+    };
+    const foregroundsByName = byName(foregrounds);
+    const backgroundsByName = byName(backgrounds);
+    const folders = backgrounds.length > 1 ? getBackgroundFolders(backgrounds) : new Map();
+
+    const items = [];
+    const warnings = [];
+    const used = new Set();
+    const outputs = new Map();
+
+    for (const row of rows) {
+        if (!row.filename) {
+            warnings.push(`Row ${row.row}: no filename`);
+            continue;
+        }
+        const foreground = foregroundsByName.get(row.filename.replace(/\\/g, '/').toLowerCase());
+        if (!foreground) {
+            warnings.push(`Row ${row.row}: no uploaded image named "${row.filename}"`);
+            continue;
+        }
+
+        // Rows without a background use the first uploaded one
+        const background = row.background ? backgroundsByName.get(row.background.toLowerCase()) : backgrounds[0];
+        if (!background) {
+            warnings.push(`Row ${row.row}: no uploaded background named "${row.background}"`);
+            continue;
+        }
+
+        // "output" may carry a folder of its own ("shirts/SKU-1001")
+        const outputParts = row.output.split(/[\\/]+/);
+        const outputName = toSafeSegment(outputParts.pop());
+        const folder = toSafeFolder([row.folder, ...outputParts].join('/')) || getItemFolder(folders.get(background.id), foreground);
+
+        const item = createItem(foreground, background, folder, {
+            id: `${foreground.id}-${background.id}-r${row.row}`,
+            sku: row.sku || null,
+            outputName: outputName || null
+        });
+
+        if (item.outputName) {
+            const outputKey = `${folder}/${item.outputName}`.toLowerCase();
+            if (outputs.has(outputKey)) {
+                warnings.push(`Row ${row.row}: output name "${item.outputName}" is also used by row ${outputs.get(outputKey)}`);
+            } else {
+                outputs.set(outputKey, row.row);
+            }
+        }
+
+        used.add(foreground.id);
+        items.push(item);
+    }
+
+    for (const foreground of foregrounds) {
+        if (!used.has(foreground.id)) {
+            warnings.push(`"${foreground.originalName}" is not in the manifest and was skipped`);
+        }
+    }
+
+    if (items.length === 0) {
+        return { error: 'No manifest row matches an uploaded image' };
+    }
+    return { items, warnings };
+}
+
+// Pick a background for every foreground in mapping mode
+// Returns { assignments: Map(foregroundId -> background) } or { error }
+function mapForegrounds(foregrounds, backgrounds, mapping) {
+    const backgroundsById = new Map(backgrounds.map(b => [b.id, b]));
+    const explicit = mapping.assignments || {};
+    const rules = mapping.rules || [];
+
+    if (typeof explicit !== 'object' || Array.isArray(explicit)) {
+        return { error: 'Mapping assignments must be an object of foreground ID to background ID' };
+    }
+    if (!Array.isArray(rules)) {
+        return { error: 'Mapping rules must be an array' };
+    }
+
+    const compiledRules = [];
+    for (const rule of rules) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            return { error: 'Every mapping rule needs a filename pattern' };
+        }
+        if (!backgroundsById.has(rule.background)) {
+            return { error: `Mapping rule "${rule.pattern}" references an unknown background` };
+        }
+        compiledRules.push({ regExp: globToRegExp(rule.pattern.trim()), background: backgroundsById.get(rule.background) });
+    }
+
+    for (const backgroundId of Object.values(explicit)) {
+        if (!backgroundsById.has(backgroundId)) {
+            return { error: `Mapping assignment references an unknown background: ${String(backgroundId).slice(0, 64)}` };
+        }
+    }
+
+    if (mapping.fallback && !backgroundsById.has(mapping.fallback)) {
+        return { error: 'Mapping fallback references an unknown background' };
+    }
+    const fallback = mapping.fallback ? backgroundsById.get(mapping.fallback) : null;
+
+    const assignments = new Map();
+    const unmatched = [];
+    for (const foreground of foregrounds) {
+        const background = backgroundsById.get(explicit[foreground.id])
+            || compiledRules.find(rule => rule.regExp.test(foreground.originalName))?.background
+            || fallback;
+        if (background) {
+            assignments.set(foreground.id, background);
+        } else {
+            unmatched.push(foreground.originalName);
+        }
+    }
+
+    if (unmatched.length > 0) {
+        const listed = unmatched.slice(0, 5).join(', ') + (unmatched.length > 5 ? ', ...' : '');
+        return { error: `No background matches ${unmatched.length} foreground(s): ${listed}` };
+    }
+
+    return { assignments };
+}
+
+// Returns { mode, items, warnings } or { error }
+function planBatch({ foregrounds, backgrounds, mode, mapping, manifestRows }) {
+    if (manifestRows) {
+        const planned = planManifest(foregrounds, backgrounds, manifestRows);
+        return planned.error ? planned : { mode: 'manifest', ...planned };
+    }
+
+    if (backgrounds.length === 1) {
+        return {
+            mode: 'single',
+            items: foregrounds.map(foreground => createItem(foreground, backgrounds[0], getItemFolder('', foreground))),
+            warnings: []
+        };
+    }
+
+    const batchMode = mode || 'matrix';
+    if (!BATCH_MODES.includes(batchMode)) {
+        return { error: `Unsupported batch mode: ${batchMode} (expected one of ${BATCH_MODES.join(', ')})` };
+    }
+
+    const folders = getBackgroundFolders(backgrounds);
+
+    if (batchMode === 'matrix') {
+        const items = [];
+        for (const background of backgrounds) {
+            for (const foreground of foregrounds) {
+                items.push(createItem(foreground, background, getItemFolder(folders.get(background.id), foreground)));
+            }
+        }
+        return { mode: batchMode, items, warnings: [] };
+    }
+
+    if (!mapping || typeof mapping !== 'object') {
+        return { error: 'Mapping mode needs a mapping object' };
+    }
+
+    const mapped = mapForegrounds(foregrounds, backgrounds, mapping);
+    if (mapped.error) {
+        return { error: mapped.error };
+    }
+
+    return {
+        mode: batchMode,
+        items: foregrounds.map(foreground => {
+            const background = mapped.assignments.get(foreground.id);
+            return createItem(foreground, background, getItemFolder(folders.get(background.id), foreground));
+        }),
+        warnings: []
+    };
+}
+
+module.exports = {
+    BATCH_MODES,
+    ITEM_ID_PATTERN,
+    planBatch
+};
@@ -0,0 +1,304 @@
+// Marketplace export presets
+//
+// A preset turns a finished composite into a channel-ready canvas with sharp:
+// optionally trim to the subject, scale it to fill a share of the target size,
+// pad the rest with a solid colour and encode in the preset's format.
+// Built-in presets ship with the app; user-defined presets are stored in
+// data/export-presets.json. Batches copy the presets they use into their
+// settings, so editing a preset never changes a running batch.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUTPUT_SETTINGS, encodeOutput } = require('./output-settings');
+
+const PRESET_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+const MAX_PRESET_DIMENSION = 16384;
+const MAX_PRESETS_PER_BATCH = 10;
+const PRESETS_FILE = 'export-presets.json';
+
+// Reserved for the unprocessed composite in {preset}
+const COMPOSITE_PRESET_NAME = 'original';
+
+const BUILT_IN_PRESETS = [
+    {
+        name: 'amazon-main',
+        label: 'Amazon main image',
+        width: 2000,
+        height: 2000,
+        fill: 0.85,
+        trim: true,
+        padding: '#ffffff',
+        format: 'jpeg',
+        quality: 90
+    },
+    {
+        name: 'shopify-square',
+        label: 'Shopify square 2048',
+        width: 2048,
+        height: 2048,
+        fill: 0.9,
+        trim: true,
+        padding: '#ffffff',
+        format: 'jpeg',
+        quality: 90
+    },
+    {
+        name: 'instagram-portrait',
+        label: 'Instagram 1080x1350',
+        width: 1080,
+        height: 1350,
+        fill: 1,
+        trim: false,
+        padding: '#ffffff',
+        format: 'jpeg',
+        quality: 90
+    }
+];
+
+const DEFAULT_PRESET = {
+    label: '',
+    fill: 1,
+    trim: false,
+    padding: '#ffffff',
+    format: 'jpeg',
+    quality: 90
+};
+
+const DEFAULT_EXPORT_SETTINGS = {
+    presets: [],
+    keepComposite: true
+};
+
+// name -> preset
+const userPresets = new Map();
+let presetsPath = null;
+
+// Validate a preset definition, filling in defaults
+// Height may be replaced by an aspect ratio ("4:5"); returns { preset } or { error }
+function normalizePreset(input) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Preset must be an object' };
+    }
+
+    const preset = { ...DEFAULT_PRESET, ...input };
+
+    if (typeof preset.name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,47}$/.test(preset.name)) {
+        return { error: 'Preset name must be 1-48 lowercase letters, digits or dashes' };
+    }
+    if (preset.name === COMPOSITE_PRESET_NAME) {
+        return { error: `Preset name "${COMPOSITE_PRESET_NAME}" is reserved` };
+    }
+    if (typeof preset.label !== 'string' || preset.label.length > 80) {
+        return { error: 'Preset label must be a string of at most 80 characters' };
+    }
+
+    if (preset.aspectRatio !== undefined && preset.height === undefined) {
+        const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(String(preset.aspectRatio));
+        if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+            return { error: 'Preset aspect ratio must look like "4:5"' };
+        }
+        preset.height = Math.round(preset.width * Number(match[2]) / Number(match[1]));
+    }
+    for (const dimension of ['width', 'height']) {
+        const value = preset[dimension];
+        if (!Number.isInteger(value) || value < 16 || value > MAX_PRESET_DIMENSION) {
+            return { error: `Preset ${dimension} must be an integer between 16 and ${MAX_PRESET_DIMENSION}` };
+        }
+    }
+
+    if (typeof preset.fill !== 'number' || preset.fill < 0.1 || preset.fill > 1) {
+        return { error: 'Preset fill must be between 0.1 and 1' };
+    }
+    if (typeof preset.trim !== 'boolean') {
+        return { error: 'Preset trim must be true or false' };
+    }
+    if (typeof preset.padding !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(preset.padding)) {
+        return { error: 'Preset padding must be a colour like #ffffff' };
+    }
+    if (!PRESET_FORMATS.includes(preset.format)) {
+        return { error: `Unsupported preset format: ${preset.format} (expected one of ${PRESET_FORMATS.join(', ')})` };
+    }
+    if (!Number.isInteger(preset.quality) || preset.quality < 1 || preset.quality > 100) {
+        return { error: 'Preset quality must be an integer between 1 and 100' };
+    }
+
+    return {
+        preset: {
+            name: preset.name,
+            label: preset.label || preset.name,
+            width: preset.width,
+            height: preset.height,
+            fill: preset.fill,
+            trim: preset.trim,
+            padding: preset.padding.toLowerCase(),
+            format: preset.format,
+            quality: preset.quality
+        }
+    };
+}
+
+function isBuiltIn(name) {
+    return BUILT_IN_PRESETS.some(preset => preset.name === name);
+}
+
+function getPreset(name) {
+    return BUILT_IN_PRESETS.find(preset => preset.name === name) || userPresets.get(name) || null;
+}
+
+function listPresets() {
+    return [
+        ...BUILT_IN_PRESETS.map(preset => ({ ...preset, builtIn: true })),
+        ...[...userPresets.values()].map(preset => ({ ...preset, builtIn: false }))
+    ];
+}
+
+function writePresets() {
+    const tmpPath = presetsPath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify([...userPresets.values()], null, 2));
+    fs.renameSync(tmpPath, presetsPath);
+}
+
+// Read user-defined presets (used once at startup)
+function loadPresets(dataDir) {
+    presetsPath = path.join(dataDir, PRESETS_FILE);
+    userPresets.clear();
+    if (!fs.existsSync(presetsPath)) {
+        return;
+    }
+    try {
+        for (const entry of JSON.parse(fs.readFileSync(presetsPath, 'utf8'))) {
+            const { preset, error } = normalizePreset(entry);
+            if (error || isBuiltIn(preset.name)) {
+                console.error(`Skipping invalid export preset ${entry?.name}: ${error || 'name of a built-in preset'}`);
+                continue;
+            }
+            userPresets.set(preset.name, preset);
+        }
+    } catch (err) {
+        console.error(`Could not read export presets ${presetsPath}:`, err.message);
+    }
+}
+
+// Create or replace a user-defined preset; returns { preset } or { status, error }
+function savePreset(input) {
+    const { preset, error } = normalizePreset(input);
+    if (error) {
+        return { status: 400, error };
+    }
+    if (isBuiltIn(preset.name)) {
+        return { status: 409, error: `"${preset.name}" is a built-in preset` };
+    }
+    userPresets.set(preset.name, preset);
+    writePresets();
+    return { preset };
+}
+
+// Returns {} or { status, error }
+function deletePreset(name) {
+    if (isBuiltIn(name)) {
+        return { status: 400, error: `"${name}" is a built-in preset and cannot be deleted` };
+    }
+    if (!userPresets.delete(name)) {
+        return { status: 404, error: `Unknown export preset: ${name}` };
+    }
+    writePresets();
+    return {};
+}
+
+// Validate a batch's export selection: presets are names or inline preset objects
+// Returns { settings } or { error }
+function normalizeExportSettings(input = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Export settings must be an object' };
+    }
+
+    const settings = { ...DEFAULT_EXPORT_SETTINGS, ...input };
+    if (!Array.isArray(settings.presets)) {
+        return { error: 'Export presets must be an array' };
+    }
+    if (settings.presets.length > MAX_PRESETS_PER_BATCH) {
+        return { error: `Too many export presets (max ${MAX_PRESETS_PER_BATCH})` };
+    }
+    if (typeof settings.keepComposite !== 'boolean') {
+        return { error: 'Export setting "keepComposite" must be true or false' };
+    }
+
+    const presets = [];
+    for (const entry of settings.presets) {
+        let preset;
+        if (typeof entry === 'string') {
+            preset = getPreset(entry);
+            if (!preset) {
+                return { error: `Unknown export preset: ${entry.slice(0, 64)}` };
+            }
+        } else {
+            const normalized = normalizePreset(entry);
+            if (normalized.error) {
+                return { error: normalized.error };
+            }
+            preset = normalized.preset;
+        }
+        if (presets.some(p => p.name === preset.name)) {
+            return { error: `Export preset "${preset.name}" is listed more than once` };
+        }
+        presets.push({ ...preset });
+    }
+
+    // Without presets the composite is the only output
+    return { settings: { presets, keepComposite: settings.keepComposite || presets.length === 0 } };
+}
+
+function toRgb(hex) {
+    return {
+        r: parseInt(hex.slice(1, 3), 16),
+        g: parseInt(hex.slice(3, 5), 16),
+        b: parseInt(hex.slice(5, 7), 16)
+    };
+}
+
+// Render a composite with a preset; resolves like encodeOutput
+async function applyPreset(imageBuffer, preset) {
+    const background = toRgb(preset.padding);
+    const boxWidth = Math.max(1, Math.round(preset.width * preset.fill));
+    const boxHeight = Math.max(1, Math.round(preset.height * preset.fill));
+    const left = Math.floor((preset.width - boxWidth) / 2);
+    const top = Math.floor((preset.height - boxHeight) / 2);
+    const settings = { ...DEFAULT_OUTPUT_SETTINGS, format: preset.format, quality: preset.quality };
+
+    const render = (trim) => encodeOutput(imageBuffer, settings, pipeline => {
+        if (trim) {
+            // Trims edges matching the top-left pixel, i.e. a plain studio backdrop
+            pipeline = pipeline.trim({ threshold: 10 });
+        }
+        return pipeline
+            .resize(boxWidth, boxHeight, { fit: 'contain', background })
+            .extend({
+                top,
+                bottom: preset.height - boxHeight - top,
+                left,
+                right: preset.width - boxWidth - left,
+                background
+            })
+            .flatten({ background });
+    });
+
+    if (!preset.trim) {
+        return render(false);
+    }
+    try {
+        return await render(true);
+    } catch (err) {
+        // sharp refuses to trim an image that is entirely "background"
+        return render(false);
+    }
+}
+
+module.exports = {
+    COMPOSITE_PRESET_NAME,
+    DEFAULT_EXPORT_SETTINGS,
+    listPresets,
+    loadPresets,
+    savePreset,
+    deletePreset,
+    normalizeExportSettings,
+    applyPreset
+};
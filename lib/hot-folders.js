@@ -0,0 +1,377 @@
+// Hot folders: unattended processing of images dropped into watched directories
+//
+// Each watch folder binds an input directory to a background image, a provider
+// and batch settings. The input is polled rather than watched with fs.watch,
+// which misses events on network shares. An image is picked up once its size
+// and modification time stay the same for STABLE_POLLS polls in a row, so files
+// still being copied are left alone. Picked-up images move to processing/ and,
+// once their batch finishes, to archive/ or error/ (with a .error.txt note).
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROVIDER, getProvider } = require('./providers');
+const { normalizeOutputSettings } = require('./output-settings');
+const { normalizeRestoreSettings } = require('./restore-resolution');
+const { normalizeNamingSettings } = require('./output-naming');
+const exportPresets = require('./export-presets');
+const scheduler = require('./scheduler');
+
+const WATCH_FILE = 'watch-folders.json';
+const PROCESSING_DIR = 'processing';
+const ARCHIVE_DIR = 'archive';
+const ERROR_DIR = 'error';
+const STABLE_POLLS = 2;
+const MAX_FILES_PER_BATCH = 100;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+
+// name -> watch folder definition
+const watchFolders = new Map();
+// name -> { lastScanAt, waiting, pickedUp, archived, failed, lastBatch, blocker }
+const folderStatus = new Map();
+// name -> Map(file path -> { size, mtimeMs, stablePolls })
+const candidates = new Map();
+let watchPath = null;
+let pollTimer = null;
+
+function isImageFile(dir, name) {
+    if (name.startsWith('.') || !IMAGE_EXTENSIONS.test(name)) {
+        return false;
+    }
+    return fs.statSync(path.join(dir, name), { throwIfNoEntry: false })?.isFile() || false;
+}
+
+function isDirectory(dir) {
+    return fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory() || false;
+}
+
+// Absolute path with symlinks resolved, as far as the path exists yet
+function resolveRealPath(target) {
+    const resolved = path.resolve(target);
+    try {
+        return fs.realpathSync.native(resolved);
+    } catch (err) {
+        const parent = path.dirname(resolved);
+        return parent === resolved ? resolved : path.join(resolveRealPath(parent), path.basename(resolved));
+    }
+}
+
+// Whether target is dir itself or anything below it (processing/, archive/ and error/ included)
+function isInsideFolder(dir, target) {
+    const relative = path.relative(resolveRealPath(dir), resolveRealPath(target));
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// Validate a watch folder definition, filling in defaults
+// Returns { folder } or { error }
+function normalizeWatchFolder(input) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Watch folder must be an object' };
+    }
+
+    const { name, enabled = true } = input;
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,47}$/.test(name)) {
+        return { error: 'Watch folder name must be 1-48 lowercase letters, digits or dashes' };
+    }
+    if (typeof enabled !== 'boolean') {
+        return { error: 'Watch folder "enabled" must be true or false' };
+    }
+
+    for (const key of ['input', 'output', 'background']) {
+        if (typeof input[key] !== 'string' || !path.isAbsolute(input[key])) {
+            return { error: `Watch folder ${key} must be an absolute path` };
+        }
+    }
+    if (!isDirectory(input.input)) {
+        return { error: `Input folder does not exist: ${input.input}` };
+    }
+    // Anything written below the input would be picked up again as a new image
+    if (isInsideFolder(input.input, input.output)) {
+        return { error: 'Output folder must be outside the input folder' };
+    }
+    if (isInsideFolder(input.input, input.background)) {
+        return { error: 'Background must be outside the input folder' };
+    }
+    if (!isImageFile(path.dirname(input.background), path.basename(input.background))) {
+        return { error: `Background must be an existing JPEG, PNG or WebP file: ${input.background}` };
+    }
+
+    const providerName = input.provider ?? DEFAULT_PROVIDER;
+    if (!getProvider(providerName)) {
+        return { error: `Unknown compositing provider: ${providerName}` };
+    }
+
+    const settings = input.settings ?? {};
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { error: 'Watch folder settings must be an object' };
+    }
+    const output = normalizeOutputSettings(settings.output);
+    const restore = normalizeRestoreSettings(settings.restore);
+    const naming = normalizeNamingSettings(settings.naming);
+    const exports = exportPresets.normalizeExportSettings(settings.exports);
+    const invalid = [output, restore, naming, exports].find(result => result.error);
+    if (invalid) {
+        return { error: invalid.error };
+    }
+    if (settings.useCache !== undefined && typeof settings.useCache !== 'boolean') {
+        return { error: 'useCache must be true or false' };
+    }
+    const priority = settings.priority ?? scheduler.DEFAULT_PRIORITY;
+    if (!scheduler.PRIORITIES.includes(priority)) {
+        return { error: `Unsupported priority: ${priority} (expected one of ${scheduler.PRIORITIES.join(', ')})` };
+    }
+
+    return {
+        folder: {
+            name,
+            enabled,
+            input: path.normalize(input.input),
+            output: path.normalize(input.output),
+            background: path.normalize(input.background),
+            provider: providerName,
+            settings: {
+                output: output.settings,
+                restore: restore.settings,
+                naming: naming.settings,
+                exports: exports.settings,
+                useCache: settings.useCache !== false,
+                priority
+            }
+        }
+    };
+}
+
+function getFolderStatus(name) {
+    if (!folderStatus.has(name)) {
+        folderStatus.set(name, {
+            lastScanAt: null,
+            waiting: 0,
+            pickedUp: 0,
+            archived: 0,
+            failed: 0,
+            lastBatch: null,
+            blocker: null
+        });
+    }
+    return folderStatus.get(name);
+}
+
+function writeWatchFolders() {
+    const tmpPath = watchPath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify([...watchFolders.values()], null, 2));
+    fs.renameSync(tmpPath, watchPath);
+}
+
+// Read watch folder definitions (used once at startup, after export presets are loaded)
+function loadWatchFolders(dataDir) {
+    watchPath = path.join(dataDir, WATCH_FILE);
+    watchFolders.clear();
+    if (!fs.existsSync(watchPath)) {
+        return;
+    }
+    try {
+        for (const entry of JSON.parse(fs.readFileSync(watchPath, 'utf8'))) {
+            const { folder, error } = normalizeWatchFolder(entry);
+            if (error) {
+                console.error(`Skipping invalid watch folder ${entry?.name}: ${error}`);
+                continue;
+            }
+            watchFolders.set(folder.name, folder);
+        }
+    } catch (err) {
+        console.error(`Could not read watch folders ${watchPath}:`, err.message);
+    }
+}
+
+// Create or replace a watch folder; returns { folder } or { status, error }
+function saveWatchFolder(input) {
+    const { folder, error } = normalizeWatchFolder(input);
+    if (error) {
+        return { status: 400, error };
+    }
+    const overlapping = [...watchFolders.values()].find(other => other.name !== folder.name && other.input === folder.input);
+    if (overlapping) {
+        return { status: 409, error: `Input folder is already watched by "${overlapping.name}"` };
+    }
+    fs.mkdirSync(folder.output, { recursive: true });
+    watchFolders.set(folder.name, folder);
+    candidates.delete(folder.name);
+    writeWatchFolders();
+    return { folder };
+}
+
+// Returns {} or { status, error }; batches already picked up still finish
+function deleteWatchFolder(name) {
+    if (!watchFolders.delete(name)) {
+        return { status: 404, error: `Unknown watch folder: ${name}` };
+    }
+    candidates.delete(name);
+    folderStatus.delete(name);
+    writeWatchFolders();
+    return {};
+}
+
+function listWatchFolders() {
+    return [...watchFolders.values()].map(folder => ({ ...folder, status: getFolderStatus(folder.name) }));
+}
+
+// Move a file into a subfolder, numbering it if the name is taken; returns the new path
+function moveFile(filePath, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    const { name, ext } = path.parse(filePath);
+    let targetPath = path.join(targetDir, name + ext);
+    for (let n = 1; fs.existsSync(targetPath); n++) {
+        targetPath = path.join(targetDir, `${name}-${n}${ext}`);
+    }
+    fs.renameSync(filePath, targetPath);
+    return targetPath;
+}
+
+// Images whose size and modification time have settled since the last polls
+function findStableFiles(folder) {
+    const previous = candidates.get(folder.name) || new Map();
+    const current = new Map();
+    const stable = [];
+
+    for (const name of fs.readdirSync(folder.input)) {
+        if (!isImageFile(folder.input, name)) {
+            continue;
+        }
+        const filePath = path.join(folder.input, name);
+        const { size, mtimeMs } = fs.statSync(filePath);
+        const seen = previous.get(filePath);
+        const unchanged = seen && seen.size === size && seen.mtimeMs === mtimeMs;
+        const stablePolls = unchanged ? seen.stablePolls + 1 : 0;
+        current.set(filePath, { size, mtimeMs, stablePolls });
+        if (size > 0 && stablePolls >= STABLE_POLLS) {
+            stable.push(filePath);
+        }
+    }
+
+    candidates.set(folder.name, current);
+    return stable.sort().slice(0, MAX_FILES_PER_BATCH);
+}
+
+// Poll one folder; claimed files are handed to onBatch(folder, files)
+// with files as { originalName, path, size } inside processing/
+function scanFolder(folder, { getBlocker, onBatch }) {
+    const status = getFolderStatus(folder.name);
+    status.lastScanAt = Date.now();
+
+    if (!isDirectory(folder.input)) {
+        status.blocker = `Input folder does not exist: ${folder.input}`;
+        return;
+    }
+    const stable = findStableFiles(folder);
+    status.waiting = candidates.get(folder.name).size;
+
+    // Blocked folders keep their files in place until the blocker clears
+    status.blocker = getBlocker(folder);
+    if (status.blocker || stable.length === 0) {
+        return;
+    }
+
+    const processingDir = path.join(folder.input, PROCESSING_DIR);
+    const files = [];
+    for (const filePath of stable) {
+        try {
+            const claimedPath = moveFile(filePath, processingDir);
+            files.push({ originalName: path.basename(filePath), path: claimedPath, size: fs.statSync(claimedPath).size });
+        } catch (err) {
+            // e.g. the photographer moved or deleted it in the meantime
+            console.error(`Could not pick up ${filePath}:`, err.message);
+        }
+        candidates.get(folder.name).delete(filePath);
+    }
+    if (files.length === 0) {
+        return;
+    }
+
+    status.waiting = candidates.get(folder.name).size;
+    status.pickedUp += files.length;
+    console.log(`📥 Watch folder ${folder.name}: picked up ${files.length} image${files.length === 1 ? '' : 's'}`);
+    status.lastBatch = onBatch(folder, files);
+}
+
+// Start polling every enabled folder
+// getBlocker(folder) returns why nothing may be picked up right now, or null;
+// onBatch(folder, files) starts processing and returns its session ID
+function startWatching({ pollInterval, getBlocker, onBatch }) {
+    stopWatching();
+    const poll = () => {
+        for (const folder of watchFolders.values()) {
+            if (!folder.enabled) {
+                continue;
+            }
+            try {
+                scanFolder(folder, { getBlocker, onBatch });
+            } catch (err) {
+                console.error(`Could not scan watch folder ${folder.name}:`, err.message);
+            }
+        }
+    };
+    pollTimer = setInterval(poll, pollInterval);
+    poll();
+}
+
+function stopWatching() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+// Move a processed input from processing/ to archive/, or to error/ next to
+// a note with the reason; works for folders that were since deleted too
+function settleFile(filePath, error = null) {
+    if (!fs.existsSync(filePath)) {
+        return;
+    }
+    const inputDir = path.dirname(path.dirname(filePath));
+    try {
+        if (!error) {
+            moveFile(filePath, path.join(inputDir, ARCHIVE_DIR));
+        } else {
+            const errorPath = moveFile(filePath, path.join(inputDir, ERROR_DIR));
+            fs.writeFileSync(`${errorPath}.error.txt`, `${error}\n`);
+        }
+    } catch (err) {
+        console.error(`Could not move ${filePath} out of ${PROCESSING_DIR}/:`, err.message);
+        return;
+    }
+
+    const folder = [...watchFolders.values()].find(f => f.input === inputDir);
+    if (folder) {
+        getFolderStatus(folder.name)[error ? 'failed' : 'archived']++;
+    }
+}
+
+// Return files left in processing/ by a crash before their batch was journaled
+// to the input folder; inFlight holds the paths restored batches still own
+function recoverClaimedFiles(inFlight) {
+    for (const folder of watchFolders.values()) {
+        const processingDir = path.join(folder.input, PROCESSING_DIR);
+        if (!isDirectory(processingDir)) {
+            continue;
+        }
+        for (const name of fs.readdirSync(processingDir)) {
+            const filePath = path.join(processingDir, name);
+            if (isImageFile(processingDir, name) && !inFlight.has(filePath)) {
+                console.log(`↩️  Watch folder ${folder.name}: returning ${name} for another attempt`);
+                moveFile(filePath, folder.input);
+            }
+        }
+    }
+}
+
+module.exports = {
+    PROCESSING_DIR,
+    ARCHIVE_DIR,
+    ERROR_DIR,
+    loadWatchFolders,
+    saveWatchFolder,
+    deleteWatchFolder,
+    listWatchFolders,
+    startWatching,
+    stopWatching,
+    settleFile,
+    recoverClaimedFiles
+};
@@ -0,0 +1,67 @@
+// Shared sharp helpers used by the compositing providers
+const fs = require('fs');
+const sharp = require('sharp');
+
+// Downscale image to fit within max dimensions AND megapixel limit
+// Jasper API limit: 5 megapixels per image
+const MAX_MEGAPIXELS = 5000000;
+
+async function downscaleImageToLimit(imagePath, maxWidth, maxHeight, maxPixels) {
+    const metadata = await sharp(imagePath).metadata();
+    let { width, height } = metadata;
+    const currentPixels = width * height;
+    
+    // Calculate scale needed for dimension constraints (if provided)
+    let dimensionScale = 1;
+    if (maxWidth && maxHeight) {
+        if (width > maxWidth || height > maxHeight) {
+            const scaleX = maxWidth / width;
+            const scaleY = maxHeight / height;
+            dimensionScale = Math.min(scaleX, scaleY);
+        }
+    }
+    
+    // Calculate scale needed for megapixel limit
+    let pixelScale = 1;
+    if (currentPixels > maxPixels) {
+        pixelScale = Math.sqrt(maxPixels / currentPixels);
+    }
+    
+    // Use the smaller scale (more aggressive downscale)
+    const scale = Math.min(dimensionScale, pixelScale);
+    
+    // Check if any downscaling is needed
+    if (scale >= 1) {
+        // No downscaling needed
+        return fs.readFileSync(imagePath);
+    }
+    
+    const newWidth = Math.floor(width * scale);
+    const newHeight = Math.floor(height * scale);
+    const newPixels = newWidth * newHeight;
+    const megapixels = (newPixels / 1000000).toFixed(2);
+    
+    console.log(`Downscaling image from ${width}x${height} (${(currentPixels/1000000).toFixed(2)}MP) to ${newWidth}x${newHeight} (${megapixels}MP)`);
+    
+    // Downscale and return buffer
+    // Use .rotate() without arguments to auto-orient based on EXIF data
+    return await sharp(imagePath)
+        .rotate()
+        .resize(newWidth, newHeight, { fit: 'inside' })
+        .toBuffer();
+}
+
+// Image dimensions after EXIF auto-orientation
+function getOrientedSize(metadata) {
+    const swap = metadata.orientation >= 5;
+    return {
+        width: swap ? metadata.height : metadata.width,
+        height: swap ? metadata.width : metadata.height
+    };
+}
+
+module.exports = {
+    MAX_MEGAPIXELS,
+    downscaleImageToLimit,
+    getOrientedSize
+};
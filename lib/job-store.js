@@ -0,0 +1,292 @@
+// Durable job journal
+//
+// Each batch is recorded in temp/<sessionId>/.job.json (dotfiles are skipped
+// by the zip download). The file is rewritten atomically, off the event loop.
+// Changes are coalesced into at most one write per WRITE_INTERVAL, so a crash
+// or restart loses at most the images finished in the last second (they run
+// again on resume); batch-level changes such as creating or completing a batch
+// are written straight away.
+const fs = require('fs');
+const path = require('path');
+
+const JOB_FILE = '.job.json';
+const JOB_VERSION = 2;
+const WRITE_INTERVAL = 1000; // Most frequent rewrite of one journal (ms)
+
+// sessionId -> { dir, job, timer, writing, dirty, flush, writtenAt, removed }
+const jobs = new Map();
+
+// Only the fields needed to re-run an upload are persisted
+function toJobFile(entry) {
+    return {
+        id: entry.id,
+        originalName: entry.originalName,
+        path: entry.path,
+        size: entry.size,
+        mimetype: entry.mimetype
+    };
+}
+
+function toJobItem(item) {
+    return {
+        id: item.id,
+        foregroundId: item.foreground.id,
+        backgroundId: item.background.id,
+        folder: item.folder,
+        sku: item.sku,
+        outputName: item.outputName,
+        index: item.index,
+        nameSuffix: item.nameSuffix,
+        placement: item.placement
+    };
+}
+
+function createRecord(dir, job) {
+    return { dir, job, timer: null, writing: false, dirty: false, flush: false, writtenAt: 0, removed: false };
+}
+
+// Mark a journal as changed; flush writes it as soon as the running write (if any) ends
+function saveJob(record, { flush = false } = {}) {
+    record.dirty = true;
+    record.flush = record.flush || flush;
+    if (record.removed || record.writing || (record.timer && !record.flush)) {
+        return;
+    }
+    clearTimeout(record.timer);
+    const delay = record.flush ? 0 : Math.max(0, record.writtenAt + WRITE_INTERVAL - Date.now());
+    record.timer = setTimeout(() => writeJob(record), delay);
+}
+
+async function writeJob(record) {
+    const { dir, job } = record;
+    record.timer = null;
+    record.dirty = false;
+    record.flush = false;
+    record.writing = true;
+    job.updatedAt = Date.now();
+    const jobPath = path.join(dir, JOB_FILE);
+    const tmpPath = jobPath + '.tmp';
+    try {
+        await fs.promises.writeFile(tmpPath, JSON.stringify(job));
+        await fs.promises.rename(tmpPath, jobPath);
+    } catch (err) {
+        // Session directory was removed (e.g. /api/clear) while work was in flight
+        if (!record.removed) {
+            console.error(`Could not persist job ${job.sessionId}:`, err.message);
+        }
+    }
+    record.writing = false;
+    record.writtenAt = Date.now();
+    // Changes made during the write go out with the next one
+    if (record.dirty) {
+        saveJob(record);
+    }
+}
+
+// items are { id, foreground, background, folder, sku?, outputName? } from lib/batch-plan,
+// numbered by lib/output-naming (index, nameSuffix); placement is set later (see setPlacement)
+function createJob(dir, { sessionId, provider, settings, mode, foregrounds, backgrounds, items, warnings = [], ownerId = null, watch = null }) {
+    const job = {
+        version: JOB_VERSION,
+        sessionId,
+        status: 'processing',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        provider,
+        settings,
+        mode,
+        foregrounds: foregrounds.map(toJobFile),
+        backgrounds: backgrounds.map(toJobFile),
+        items: items.map(toJobItem),
+        warnings,
+        ownerId,
+        watch,
+        results: []
+    };
+    const record = createRecord(dir, job);
+    jobs.set(sessionId, record);
+    saveJob(record, { flush: true });
+    return job;
+}
+
+function getJob(sessionId) {
+    return jobs.get(sessionId)?.job || null;
+}
+
+// Add foregrounds and their work items to a batch that is still taking images
+function appendItems(sessionId, foregrounds, items) {
+    const record = jobs.get(sessionId);
+    if (!record) {
+        return;
+    }
+    record.job.foregrounds.push(...foregrounds.map(toJobFile));
+    record.job.items.push(...items.map(toJobItem));
+    saveJob(record);
+}
+
+// Append a finished image (success or failure) to the journal
+function recordResult(sessionId, result) {
+    const record = jobs.get(sessionId);
+    if (!record) {
+        return;
+    }
+    record.job.results.push(result);
+    saveJob(record);
+}
+
+// Persist the review of a finished image (see lib/review)
+function setReview(sessionId, itemId, review) {
+    const record = jobs.get(sessionId);
+    const result = record?.job.results.find(r => r.id === itemId);
+    if (!result) {
+        return;
+    }
+    result.review = review;
+    saveJob(record);
+}
+
+// Persist an item's placement override (see lib/placement), or null to drop it
+function setPlacement(sessionId, itemId, placement) {
+    const record = jobs.get(sessionId);
+    const item = record?.job.items.find(i => i.id === itemId);
+    if (!item) {
+        return;
+    }
+    item.placement = placement || undefined;
+    saveJob(record);
+}
+
+function completeJob(sessionId) {
+    const record = jobs.get(sessionId);
+    if (!record) {
+        return;
+    }
+    record.job.status = 'complete';
+    saveJob(record, { flush: true });
+}
+
+// Work items with their foreground and background uploads attached
+function getItems(job) {
+    const uploads = new Map([...job.foregrounds, ...job.backgrounds].map(file => [file.id, file]));
+    return job.items.map(item => ({
+        id: item.id,
+        foreground: uploads.get(item.foregroundId),
+        background: uploads.get(item.backgroundId),
+        folder: item.folder,
+        sku: item.sku,
+        outputName: item.outputName,
+        index: item.index,
+        nameSuffix: item.nameSuffix,
+        placement: item.placement || null
+    }));
+}
+
+// Work items that have no result yet
+function getPendingItems(job) {
+    const finished = new Set(job.results.map(result => result.id));
+    return getItems(job).filter(item => !finished.has(item.id));
+}
+
+// Version 1 journals had one background and used foreground IDs as item IDs
+function migrateJob(job) {
+    if (job.version !== 1) {
+        return job;
+    }
+    const { files, background, backgroundDimensions, ...rest } = job;
+    return {
+        ...rest,
+        version: 2,
+        mode: 'single',
+        foregrounds: files,
+        backgrounds: [background],
+        items: files.map(file => ({ id: file.id, foregroundId: file.id, backgroundId: background.id, folder: '' }))
+    };
+}
+
+// Persist whether the batch is paused so a restart keeps it paused
+function setJobPaused(sessionId, paused) {
+    const record = jobs.get(sessionId);
+    if (!record) {
+        return;
+    }
+    record.job.paused = paused;
+    saveJob(record, { flush: true });
+}
+
+// Persist the batch-level error (auth failure, tripped circuit breaker), or null to clear it
+function setJobError(sessionId, batchError) {
+    const record = jobs.get(sessionId);
+    if (!record) {
+        return;
+    }
+    record.job.batchError = batchError;
+    saveJob(record, { flush: true });
+}
+
+// Drop the results of the given images and mark the job as running again
+function reopenJob(sessionId, fileIds) {
+    const record = jobs.get(sessionId);
+    if (!record) {
+        return;
+    }
+    const reopened = new Set(fileIds);
+    record.job.results = record.job.results.filter(result => !reopened.has(result.id));
+    record.job.status = 'processing';
+    saveJob(record);
+}
+
+// Forget a job whose session directory is gone; pending writes are dropped
+function removeJob(sessionId) {
+    const record = jobs.get(sessionId);
+    if (record) {
+        record.removed = true;
+        clearTimeout(record.timer);
+    }
+    jobs.delete(sessionId);
+}
+
+// Read every journal under the temp directory (used once at startup)
+function loadJobs(tempDir) {
+    const loaded = [];
+    for (const sessionId of fs.readdirSync(tempDir)) {
+        const dir = path.join(tempDir, sessionId);
+        const jobPath = path.join(dir, JOB_FILE);
+        if (!fs.existsSync(jobPath)) {
+            continue;
+        }
+        try {
+            const job = migrateJob(JSON.parse(fs.readFileSync(jobPath, 'utf8')));
+            if (job.version !== JOB_VERSION || job.sessionId !== sessionId) {
+                console.error(`Skipping incompatible job journal: ${jobPath}`);
+                continue;
+            }
+            // Older journals kept the absolute output path, which clients must never see
+            for (const result of job.results) {
+                delete result.result?.savedTo;
+            }
+            jobs.set(sessionId, createRecord(dir, job));
+            loaded.push(job);
+        } catch (err) {
+            console.error(`Could not read job journal ${jobPath}:`, err.message);
+        }
+    }
+    return loaded;
+}
+
+module.exports = {
+    JOB_FILE,
+    createJob,
+    appendItems,
+    getJob,
+    recordResult,
+    setReview,
+    setPlacement,
+    completeJob,
+    getItems,
+    getPendingItems,
+    setJobPaused,
+    setJobError,
+    reopenJob,
+    removeJob,
+    loadJobs
+};
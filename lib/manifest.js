@@ -0,0 +1,186 @@
+// Batch manifests (CSV or JSON)
+//
+// One row per output: the foreground filename plus optional SKU, background
+// filename, output name and output folder. Typically a PIM export, e.g.
+//
+//   filename,sku,background,output,folder
+//   shirt-red.png,SKU-1001,studio.jpg,SKU-1001-front,shirts
+//
+// CSV needs a header row (comma or semicolon separated, RFC 4180 quoting).
+// JSON is an array of row objects, or { "rows": [...] }, with the same keys.
+
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_MANIFEST_ROWS = 5000;
+
+// Accepted column names, normalized to lower_snake_case
+const COLUMN_ALIASES = {
+    filename: ['filename', 'file', 'file_name', 'image', 'foreground'],
+    sku: ['sku'],
+    background: ['background', 'background_file', 'bg'],
+    output: ['output', 'output_name', 'outputname', 'name'],
+    folder: ['folder', 'output_folder', 'directory']
+};
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|avif)$/i;
+
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Map a row keyed by arbitrary headers onto the manifest columns
+function toManifestRow(record, rowNumber) {
+    const row = { row: rowNumber };
+    const normalized = new Map(Object.entries(record).map(([key, value]) => [normalizeHeader(key), value]));
+    for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const alias = aliases.find(name => normalized.has(name));
+        const value = alias === undefined ? '' : normalized.get(alias);
+        row[column] = value === null || value === undefined ? '' : String(value).trim();
+    }
+    return row;
+}
+
+// Filename-safe version of one path segment ('' if nothing usable is left)
+function toSafeSegment(value) {
+    return String(value)
+        .replace(/[^a-zA-Z0-9._-]+/g, '_')
+        .replace(/^[._]+/, '')
+        .slice(0, 128);
+}
+
+// Relative folder path with every segment made safe; '..' and empty segments are dropped
+function toSafeFolder(value) {
+    return String(value)
+        .split(/[\\/]+/)
+        .map(toSafeSegment)
+        .filter(Boolean)
+        .join('/');
+}
+
+// Split CSV text into records of cells, honouring quoted fields
+function parseCsvRecords(text, delimiter) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: 'Manifest CSV has an unterminated quoted field' };
+    }
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    return { records };
+}
+
+function parseCsv(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+    const parsed = parseCsvRecords(text, delimiter);
+    if (parsed.error) {
+        return parsed;
+    }
+
+    const [headers = [], ...records] = parsed.records;
+    const rows = [];
+    records.forEach((cells, index) => {
+        // Skip blank lines
+        if (cells.every(cell => cell.trim() === '')) {
+            return;
+        }
+        const record = Object.fromEntries(headers.map((header, column) => [header, cells[column]]));
+        rows.push(toManifestRow(record, index + 2));
+    });
+    return { headers: headers.map(normalizeHeader), rows };
+}
+
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { error: `Manifest is not valid JSON: ${err.message}` };
+    }
+
+    const records = Array.isArray(data) ? data : data?.rows;
+    if (!Array.isArray(records)) {
+        return { error: 'JSON manifest must be an array of rows or an object with a "rows" array' };
+    }
+    if (records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+        return { error: 'Every JSON manifest row must be an object' };
+    }
+
+    const headers = new Set(records.flatMap(record => Object.keys(record).map(normalizeHeader)));
+    return { headers: [...headers], rows: records.map((record, index) => toManifestRow(record, index + 1)) };
+}
+
+// Parse a manifest sent as { name, content } (the format follows the file extension)
+// Returns { rows } or { error }
+function parseManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || typeof manifest.content !== 'string') {
+        return { error: 'Manifest must be an object with the file content as a string' };
+    }
+    if (Buffer.byteLength(manifest.content) > MAX_MANIFEST_BYTES) {
+        return { error: `Manifest is too large (max ${MAX_MANIFEST_BYTES / 1024} KB)` };
+    }
+
+    const content = manifest.content.replace(/^\uFEFF/, '');
+    const name = typeof manifest.name === 'string' ? manifest.name : '';
+    const isJson = /\.json$/i.test(name) || (!/\.csv$/i.test(name) && /^\s*[[{]/.test(content));
+    const parsed = isJson ? parseJson(content) : parseCsv(content);
+    if (parsed.error) {
+        return parsed;
+    }
+
+    if (!parsed.headers.some(header => COLUMN_ALIASES.filename.includes(header))) {
+        return { error: 'Manifest needs a filename column' };
+    }
+    if (parsed.rows.length === 0) {
+        return { error: 'Manifest has no rows' };
+    }
+    if (parsed.rows.length > MAX_MANIFEST_ROWS) {
+        return { error: `Manifest has too many rows (max ${MAX_MANIFEST_ROWS})` };
+    }
+
+    for (const row of parsed.rows) {
+        row.output = row.output.replace(IMAGE_EXTENSIONS, '');
+    }
+    return { rows: parsed.rows };
+}
+
+module.exports = {
+    MAX_MANIFEST_BYTES,
+    parseManifest,
+    toSafeSegment,
+    toSafeFolder
+};
@@ -0,0 +1,196 @@
+// Output filename templates
+//
+// A template such as "{sku}/{background}/{name}-{width}x{height}.{ext}" is
+// rendered for every output. "/" creates folders (kept in the zip). Token
+// values are made filename-safe; the extension is appended when the template
+// has no {ext}. Export preset outputs (lib/export-presets) go into a folder
+// named after the preset unless the template places {preset} itself.
+//
+// Collisions are resolved when the batch is planned, in item order, so the
+// same batch always produces the same names regardless of completion order:
+//   suffix - later duplicates get -2, -3, ... (default)
+//   index  - every duplicate gets -<index>
+//   error  - the batch is rejected
+const { toSafeSegment, toSafeFolder } = require('./manifest');
+const { COMPOSITE_PRESET_NAME } = require('./export-presets');
+
+const NAME_TOKENS = ['name', 'ext', 'index', 'background', 'date', 'width', 'height', 'sku', 'output', 'folder', 'preset'];
+const COLLISION_STRATEGIES = ['suffix', 'index', 'error'];
+const MAX_TEMPLATE_LENGTH = 256;
+
+const DEFAULT_NAMING_SETTINGS = {
+    template: '{folder}/{output}.{ext}',
+    collision: 'suffix'
+};
+
+// Characters that are never valid in literal template text
+const INVALID_LITERAL = /[\\:*?"<>|\x00-\x1f]/;
+
+// Validate client-supplied naming settings, filling in defaults
+// Returns { settings } or { error }
+function normalizeNamingSettings(input = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Naming settings must be an object' };
+    }
+
+    const settings = { ...DEFAULT_NAMING_SETTINGS, ...input };
+    const template = typeof settings.template === 'string' ? settings.template.trim() : settings.template;
+
+    if (typeof template !== 'string' || template === '') {
+        return { error: 'Filename template must be a non-empty string' };
+    }
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+        return { error: `Filename template is too long (max ${MAX_TEMPLATE_LENGTH} characters)` };
+    }
+    if (!COLLISION_STRATEGIES.includes(settings.collision)) {
+        return { error: `Unsupported collision strategy: ${settings.collision} (expected one of ${COLLISION_STRATEGIES.join(', ')})` };
+    }
+
+    const literal = template.replace(/\{([^{}]*)\}/g, (match, token) => {
+        return NAME_TOKENS.includes(token) ? '' : `{${token}}`;
+    });
+    const unknown = literal.match(/\{[^{}]*\}/);
+    if (unknown) {
+        return { error: `Unknown token ${unknown[0]} in filename template (expected ${NAME_TOKENS.map(t => `{${t}}`).join(', ')})` };
+    }
+    if (/[{}]/.test(literal)) {
+        return { error: 'Filename template has an unmatched brace' };
+    }
+    if (INVALID_LITERAL.test(literal)) {
+        return { error: 'Filename template contains characters that are not allowed in filenames' };
+    }
+    if (template.startsWith('/') || template.split('/').some(segment => segment === '..' || segment === '.')) {
+        return { error: 'Filename template must be a relative path without "." or ".." segments' };
+    }
+    if (template.endsWith('/')) {
+        return { error: 'Filename template must end with a filename, not a folder' };
+    }
+
+    return { settings: { template, collision: settings.collision } };
+}
+
+// Batch date used by {date}, fixed when the batch starts
+function getBatchDate(timestamp = Date.now()) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Token values for one item; width, height and ext are only known once encoded
+function getTokenValues(item, { date, width, height, ext, preset = COMPOSITE_PRESET_NAME }) {
+    const name = item.foreground.originalName.replace(/\.[^.]+$/, '');
+    return {
+        name,
+        ext,
+        index: item.index || '',
+        background: item.background.originalName.replace(/\.[^.]+$/, ''),
+        date,
+        width: String(width),
+        height: String(height),
+        sku: item.sku || '',
+        output: item.outputName || `composited-${name}`,
+        folder: item.folder || '',
+        preset
+    };
+}
+
+// Render a template into a safe relative path ("a/b/file.ext")
+function renderTemplate(template, values) {
+    const withExt = template.includes('{ext}') ? template : `${template}.{ext}`;
+    const rendered = withExt.replace(/\{([a-z]+)\}/g, (match, token) => {
+        return token === 'folder' ? toSafeFolder(values.folder) : toSafeSegment(values[token]);
+    });
+
+    // Literal text is cleaned like token values, without truncating the extension away
+    const segments = rendered.split('/')
+        .map(segment => segment.replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^[._]+/, ''))
+        .filter(Boolean);
+    const fileName = segments.pop() || `image.${values.ext}`;
+    return [...segments, fileName].join('/');
+}
+
+// Insert a collision suffix before the extension
+function addSuffix(relativePath, suffix, ext) {
+    const extension = `.${ext}`;
+    return relativePath.endsWith(extension)
+        ? relativePath.slice(0, -extension.length) + suffix + extension
+        : relativePath + suffix;
+}
+
+// Number the batch's items and decide collision suffixes up front
+// Size and format are not known yet, so outputs that differ only in those count
+// as duplicates; that may add a suffix that was not needed but never overwrites
+// Items appended to an open batch are planned after the batch's previous items,
+// whose names are already taken and never change; total fixes the {index}
+// padding for a batch whose final size is not known yet
+// Returns { items } (each with a zero-padded index and nameSuffix) or { error }
+function planOutputNames(items, naming, { previous = [], total = previous.length + items.length } = {}) {
+    const digits = String(total).length;
+    const groups = new Map();
+    const keyOf = (item) => renderTemplate(naming.template, getTokenValues(item, {
+        date: naming.date,
+        width: 'w',
+        height: 'h',
+        ext: 'ext'
+    })).toLowerCase();
+    const addToGroup = (key, item) => {
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    };
+
+    for (const item of previous) {
+        addToGroup(keyOf(item), item);
+    }
+    items.forEach((item, position) => {
+        item.index = String(previous.length + position + 1).padStart(digits, '0');
+        addToGroup(keyOf(item), item);
+    });
+
+    const planned = new Set(items);
+    const collisions = [...groups.entries()].filter(([, group]) => group.length > 1 && group.some(item => planned.has(item)));
+    if (naming.collision === 'error' && collisions.length > 0) {
+        const listed = collisions.slice(0, 5)
+            .map(([, group]) => `${group[0].foreground.originalName} (${group.length} outputs)`)
+            .join(', ');
+        return { error: `Filename template produces duplicate names: ${listed}${collisions.length > 5 ? ', ...' : ''}` };
+    }
+
+    for (const group of groups.values()) {
+        group.forEach((item, position) => {
+            if (!planned.has(item)) {
+                return;
+            }
+            if (group.length === 1) {
+                item.nameSuffix = '';
+            } else if (naming.collision === 'index') {
+                item.nameSuffix = `-${item.index}`;
+            } else {
+                item.nameSuffix = position === 0 ? '' : `-${position + 1}`;
+            }
+        });
+    }
+
+    return { items };
+}
+
+// Relative output path of an encoded item, e.g. "shirts/SKU-1001.jpg"
+// presetName is set for export preset outputs and null for the composite itself
+function getOutputPath(item, naming, { width, height, extension }, presetName = null) {
+    const ext = extension.replace(/^\./, '');
+    const date = naming.date || getBatchDate();
+    const template = presetName && !naming.template.includes('{preset}')
+        ? `${presetName}/${naming.template}`
+        : naming.template;
+    const values = getTokenValues(item, { date, width, height, ext, preset: presetName || COMPOSITE_PRESET_NAME });
+    return addSuffix(renderTemplate(template, values), item.nameSuffix || '', ext);
+}
+
+module.exports = {
+    NAME_TOKENS,
+    COLLISION_STRATEGIES,
+    DEFAULT_NAMING_SETTINGS,
+    normalizeNamingSettings,
+    getBatchDate,
+    planOutputNames,
+    getOutputPath
+};
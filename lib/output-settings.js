@@ -0,0 +1,134 @@
+// Batch-level output encoding
+//
+// Provider results are re-encoded with sharp according to these settings.
+// The 'original' format keeps the provider's bytes untouched; either way the
+// file extension is derived from the format actually written (see
+// lib/output-naming for the filename itself).
+const sharp = require('sharp');
+
+const OUTPUT_FORMATS = ['original', 'jpeg', 'png', 'webp', 'avif'];
+const CHROMA_SUBSAMPLING = ['4:2:0', '4:4:4'];
+
+const FORMAT_EXTENSIONS = {
+    jpeg: '.jpg',
+    png: '.png',
+    webp: '.webp',
+    avif: '.avif',
+    heif: '.avif' // sharp reports AVIF input as heif
+};
+
+const DEFAULT_OUTPUT_SETTINGS = {
+    format: 'original',
+    quality: 90,
+    progressive: false,
+    mozjpeg: false,
+    chromaSubsampling: '4:2:0',
+    stripMetadata: true
+};
+
+// Validate client-supplied settings, filling in defaults
+// Returns { settings } or { error }
+function normalizeOutputSettings(input = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Output settings must be an object' };
+    }
+
+    const settings = { ...DEFAULT_OUTPUT_SETTINGS, ...input };
+
+    if (!OUTPUT_FORMATS.includes(settings.format)) {
+        return { error: `Unsupported output format: ${settings.format} (expected one of ${OUTPUT_FORMATS.join(', ')})` };
+    }
+    if (!Number.isInteger(settings.quality) || settings.quality < 1 || settings.quality > 100) {
+        return { error: 'Output quality must be an integer between 1 and 100' };
+    }
+    if (!CHROMA_SUBSAMPLING.includes(settings.chromaSubsampling)) {
+        return { error: `Unsupported chroma subsampling: ${settings.chromaSubsampling} (expected ${CHROMA_SUBSAMPLING.join(' or ')})` };
+    }
+    for (const flag of ['progressive', 'mozjpeg', 'stripMetadata']) {
+        if (typeof settings[flag] !== 'boolean') {
+            return { error: `Output setting "${flag}" must be true or false` };
+        }
+    }
+
+    return {
+        settings: {
+            format: settings.format,
+            quality: settings.quality,
+            progressive: settings.progressive,
+            mozjpeg: settings.mozjpeg,
+            chromaSubsampling: settings.chromaSubsampling,
+            stripMetadata: settings.stripMetadata
+        }
+    };
+}
+
+// Re-encode a provider result; resolves { buffer, format, extension, width, height }
+// transform(pipeline) optionally adjusts the image (e.g. upscaling) before encoding
+async function encodeOutput(imageBuffer, settings, transform = null) {
+    const metadata = await sharp(imageBuffer).metadata();
+
+    if (settings.format === 'original' && !transform) {
+        return {
+            buffer: imageBuffer,
+            format: metadata.format,
+            extension: FORMAT_EXTENSIONS[metadata.format] || `.${metadata.format}`,
+            width: metadata.width,
+            height: metadata.height
+        };
+    }
+
+    // 'original' with a transform re-encodes in the provider's own format
+    const format = settings.format === 'original'
+        ? (metadata.format === 'heif' ? 'avif' : metadata.format)
+        : settings.format;
+
+    let pipeline = sharp(imageBuffer);
+    if (transform) {
+        pipeline = transform(pipeline);
+    }
+    if (!settings.stripMetadata) {
+        pipeline = pipeline.withMetadata();
+    }
+
+    switch (format) {
+        case 'jpeg':
+            pipeline = pipeline.jpeg({
+                quality: settings.quality,
+                progressive: settings.progressive,
+                mozjpeg: settings.mozjpeg,
+                chromaSubsampling: settings.chromaSubsampling
+            });
+            break;
+        case 'png':
+            pipeline = pipeline.png({ progressive: settings.progressive });
+            break;
+        case 'webp':
+            pipeline = pipeline.webp({
+                quality: settings.quality,
+                smartSubsample: settings.chromaSubsampling === '4:4:4'
+            });
+            break;
+        case 'avif':
+            pipeline = pipeline.avif({
+                quality: settings.quality,
+                chromaSubsampling: settings.chromaSubsampling
+            });
+            break;
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return {
+        buffer: data,
+        format,
+        extension: FORMAT_EXTENSIONS[format] || `.${format}`,
+        width: info.width,
+        height: info.height
+    };
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_SETTINGS,
+    normalizeOutputSettings,
+    encodeOutput
+};
@@ -0,0 +1,280 @@
+// Compositing pipeline shared by the server and the command-line runner
+//
+// runBatch() walks a batch's work items in chunks that share one background,
+// queues every image on the scheduler (lib/scheduler) and reports each
+// outcome as a result entry. Everything around it belongs to the caller: the
+// server tracks session state, journals and events, the CLI prints progress.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { downscaleImageToLimit, getOrientedSize } = require('./imaging');
+const { isThrottleError, getRetryAfter } = require('./retry');
+const { encodeOutput } = require('./output-settings');
+const exportPresets = require('./export-presets');
+const resultCache = require('./result-cache');
+const scheduler = require('./scheduler');
+const { getOutputPath } = require('./output-naming');
+const { getRestoreTransform } = require('./restore-resolution');
+const { checkComposite } = require('./quality-checks');
+
+const CHUNK_SIZE = 10; // Images per memory chunk
+
+// Pre-load and cache background buffer for a chunk
+// maxPixels comes from the provider (Infinity when it has no size limit)
+async function loadBackgroundBuffer(backgroundPath, maxPixels) {
+    const safeMaxPixels = maxPixels * 0.9;
+
+    // Full-size dimensions, used to size the provider input and to restore resolution after compositing
+    const originalSize = getOrientedSize(await sharp(backgroundPath).metadata());
+
+    let finalOutputWidth = originalSize.width;
+    let finalOutputHeight = originalSize.height;
+    const bgPixels = finalOutputWidth * finalOutputHeight;
+    if (bgPixels > safeMaxPixels) {
+        const scale = Math.sqrt(safeMaxPixels / bgPixels);
+        finalOutputWidth = Math.floor(finalOutputWidth * scale);
+        finalOutputHeight = Math.floor(finalOutputHeight * scale);
+    }
+
+    const backgroundBuffer = await downscaleImageToLimit(
+        backgroundPath,
+        finalOutputWidth,
+        finalOutputHeight,
+        safeMaxPixels
+    );
+
+    return {
+        buffer: backgroundBuffer,
+        finalWidth: finalOutputWidth,
+        finalHeight: finalOutputHeight,
+        originalWidth: originalSize.width,
+        originalHeight: originalSize.height,
+        safeMaxPixels
+    };
+}
+
+// Result entry for a work item, as listed by /api/status and the CLI report
+// Items with a placement override (lib/placement) carry it along
+function createEntry(item, fields) {
+    return {
+        id: item.id,
+        file: item.foreground.originalName,
+        background: item.background.originalName,
+        sku: item.sku,
+        ...(item.placement && { placement: item.placement }),
+        ...fields
+    };
+}
+
+// Composite, encode and save one work item; resolves its result entry, never throws
+async function processItem(item, backgroundData, outputDirectory, provider, settings, options = {}) {
+    try {
+        // Identical inputs already composited by this provider skip the API call,
+        // unless the batch asks for fresh composites (settings.refreshCache, re-runs)
+        let result = null;
+        let cacheKey = null;
+        if (backgroundData.hash) {
+            const foregroundHash = await resultCache.hashFile(item.foreground.path);
+            cacheKey = resultCache.getCacheKey(provider, foregroundHash, backgroundData.hash, item.placement);
+            const imageData = settings.refreshCache ? null : await resultCache.getResult(cacheKey);
+            if (imageData) {
+                result = { success: true, imageData, cached: true };
+            }
+        }
+
+        // Composite with the batch's provider (retries are handled by the provider)
+        if (!result) {
+            result = await provider.composite(item.foreground.path, backgroundData, item.foreground.originalName, {
+                ...options,
+                placement: item.placement
+            });
+
+            if (!result.success) {
+                const error = new Error(result.error || 'Processing failed');
+                error.errorCode = result.errorCode;
+                throw error;
+            }
+            scheduler.reportSuccess();
+        }
+
+        // A 2xx is not proof of a usable image: measure it (lib/quality-checks)
+        const checked = result.imageData ? await checkComposite(result.imageData, backgroundData) : null;
+
+        // Only composites that pass every check are worth serving again
+        if (cacheKey && checked) {
+            if (checked.warnings.length > 0) {
+                resultCache.removeEntry(cacheKey);
+            } else if (!result.cached) {
+                await resultCache.putResult(cacheKey, result.imageData);
+            }
+        }
+
+        const writeOutput = (encoded, presetName) => {
+            const relativePath = getOutputPath(item, settings.naming, encoded, presetName);
+            const outputPath = path.join(outputDirectory, ...relativePath.split('/'));
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, encoded.buffer);
+            return { relativePath };
+        };
+
+        // Encode and save the processed image under its templated name
+        if (result.imageData && settings.exports.keepComposite) {
+            const restoreTransform = getRestoreTransform(settings.restore, {
+                width: backgroundData.originalWidth,
+                height: backgroundData.originalHeight
+            });
+            const encoded = await encodeOutput(result.imageData, settings.output, restoreTransform);
+            const { relativePath } = writeOutput(encoded, null);
+            result.path = relativePath;
+            result.format = encoded.format;
+            result.width = encoded.width;
+            result.height = encoded.height;
+        }
+
+        // Marketplace presets are rendered from the provider's composite
+        result.exports = [];
+        for (const preset of result.imageData ? settings.exports.presets : []) {
+            const exported = await exportPresets.applyPreset(result.imageData, preset);
+            const { relativePath } = writeOutput(exported, preset.name);
+            result.exports.push({
+                preset: preset.name,
+                path: relativePath,
+                format: exported.format,
+                width: exported.width,
+                height: exported.height
+            });
+        }
+
+        return createEntry(item, {
+            success: true,
+            cached: Boolean(result.cached),
+            warnings: checked?.warnings || [],
+            quality: checked?.quality || null,
+            result: {
+                path: result.path,
+                format: result.format,
+                width: result.width,
+                height: result.height,
+                exports: result.exports
+            }
+        });
+
+    } catch (error) {
+        if (options.signal?.aborted) {
+            return createEntry(item, { success: false, skipped: true, error: 'Cancelled while processing' });
+        }
+        return createEntry(item, { success: false, error: error.message, errorCode: error.errorCode });
+    }
+}
+
+// Split work items into chunks that share one background, so each chunk loads it once
+function chunkItemsByBackground(items) {
+    const groups = new Map();
+    for (const item of items) {
+        if (!groups.has(item.background.id)) {
+            groups.set(item.background.id, []);
+        }
+        groups.get(item.background.id).push(item);
+    }
+
+    const chunks = [];
+    for (const group of groups.values()) {
+        for (let start = 0; start < group.length; start += CHUNK_SIZE) {
+            chunks.push(group.slice(start, start + CHUNK_SIZE));
+        }
+    }
+    return chunks;
+}
+
+// Process all work items with parallel execution and chunked memory management
+// The caller opens (and later closes) the scheduler queue named queueId.
+// hooks (all optional):
+//   onChunk(chunkNum, chunkCount, chunk)  - a chunk is about to load its background
+//   onChunkComplete(chunkNum, chunkCount)
+//   onStart(item)                         - the item got a slot
+//   onRetry(item, attempt, maxRetries, delay, error)
+//   onAttempt(item, { attempt, durationMs, error }) - every provider call
+//   onResult(entry, item, started)        - exactly once per item, including
+//                                           skipped and failed ones; started is
+//                                           false if onStart never ran for it
+async function runBatch(items, { queueId, outputDirectory, provider, settings, control, hooks = {} }) {
+    const skipReason = () => control.reason || 'Cancelled before processing';
+
+    // Process in chunks for memory efficiency
+    const chunks = chunkItemsByBackground(items);
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+        const chunkNum = chunkIndex + 1;
+        const background = chunk[0].background;
+
+        // Nothing new is scheduled once the batch is cancelled
+        if (control.cancelled) {
+            for (const item of chunk) {
+                hooks.onResult?.(createEntry(item, { success: false, skipped: true, error: skipReason() }), item, false);
+            }
+            continue;
+        }
+
+        hooks.onChunk?.(chunkNum, chunks.length, chunk);
+
+        // Pre-load background buffer once per chunk (memory optimization)
+        let backgroundData;
+        try {
+            backgroundData = await loadBackgroundBuffer(background.path, provider.maxPixels);
+            if (settings.useCache && resultCache.isEnabled()) {
+                backgroundData.hash = await resultCache.hashFile(background.path);
+            }
+        } catch (error) {
+            console.error('Failed to load background image:', error);
+            // Mark all images in chunk as failed
+            for (const item of chunk) {
+                hooks.onResult?.(createEntry(item, { success: false, error: 'Failed to load background image' }), item, false);
+            }
+            continue;
+        }
+
+        // Process chunk in parallel through the shared scheduler
+        const promises = chunk.map(item =>
+            scheduler.schedule(queueId, async () => {
+                if (control.cancelled) {
+                    hooks.onResult?.(createEntry(item, { success: false, skipped: true, error: skipReason() }), item, false);
+                    return;
+                }
+
+                hooks.onStart?.(item);
+                const entry = await processItem(item, backgroundData, outputDirectory, provider, settings, {
+                    signal: control.signal,
+                    onAttempt: (attempt) => hooks.onAttempt?.(item, attempt),
+                    onRetry: (attempt, maxRetries, delay, error) => {
+                        // Everyone shares the provider, so throttling slows every batch down
+                        if (isThrottleError(error)) {
+                            scheduler.reportThrottle(getRetryAfter(error) ?? 0);
+                        }
+                        hooks.onRetry?.(item, attempt, maxRetries, delay, error);
+                    }
+                });
+                // After an abort, images that were already in flight report the batch's reason
+                if (!entry.success && control.cancelled && control.reason) {
+                    entry.skipped = true;
+                    entry.error = control.reason;
+                }
+                hooks.onResult?.(entry, item, true);
+            })
+        );
+
+        await Promise.all(promises);
+
+        // Clear background buffer reference to help GC
+        backgroundData = null;
+
+        hooks.onChunkComplete?.(chunkNum, chunks.length);
+    }
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    loadBackgroundBuffer,
+    createEntry,
+    processItem,
+    chunkItemsByBackground,
+    runBatch
+};
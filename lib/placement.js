@@ -0,0 +1,138 @@
+// Per-image placement overrides
+//
+// Every foreground is normally scaled and centered the same way. A work item
+// can override that with { scale, anchor, x, y, offsetX, offsetY, margin },
+// all in percent of the background:
+//   scale            - share of the area inside the margin the foreground may fill
+//   anchor           - 'center', 'bottom' (standing on the bottom margin), or
+//                      'custom' to put the foreground's center at x, y
+//   offsetX, offsetY - shift after anchoring (positive moves right and down)
+//   margin           - border kept clear on every side, of the shorter side
+// The local provider composites at the resulting position; Jasper gets the
+// foreground pre-positioned on a transparent canvas the size of the background.
+const sharp = require('sharp');
+
+const ANCHORS = ['center', 'bottom', 'custom'];
+
+const DEFAULT_PLACEMENT = {
+    scale: 90,
+    anchor: 'center',
+    x: 50,
+    y: 50,
+    offsetX: 0,
+    offsetY: 0,
+    margin: 0
+};
+
+// [min, max] of every numeric setting
+const PLACEMENT_LIMITS = {
+    scale: [5, 100],
+    x: [0, 100],
+    y: [0, 100],
+    offsetX: [-50, 50],
+    offsetY: [-50, 50],
+    margin: [0, 40]
+};
+
+// Validate a client-supplied override, filling in defaults
+// Returns { placement } (null for no override) or { error }
+function normalizePlacement(input) {
+    if (input === null) {
+        return { placement: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Placement must be an object, or null for the default placement' };
+    }
+
+    const settings = { ...DEFAULT_PLACEMENT, ...input };
+
+    if (!ANCHORS.includes(settings.anchor)) {
+        return { error: `Unsupported anchor: ${settings.anchor} (expected one of ${ANCHORS.join(', ')})` };
+    }
+    for (const [name, [min, max]] of Object.entries(PLACEMENT_LIMITS)) {
+        const value = settings[name];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            return { error: `Placement ${name} must be a number between ${min} and ${max}` };
+        }
+    }
+
+    return {
+        placement: {
+            scale: settings.scale,
+            anchor: settings.anchor,
+            x: settings.x,
+            y: settings.y,
+            offsetX: settings.offsetX,
+            offsetY: settings.offsetY,
+            margin: settings.margin
+        }
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// Scale a foreground for a background of the given size and work out where it goes
+// Resolves { buffer, left, top }; the foreground never leaves the margin
+async function placeForeground(foregroundPath, background, placement = DEFAULT_PLACEMENT) {
+    const { width, height } = background;
+    const margin = Math.round(Math.min(width, height) * placement.margin / 100);
+    const areaWidth = Math.max(1, width - 2 * margin);
+    const areaHeight = Math.max(1, height - 2 * margin);
+
+    const { data: buffer, info } = await sharp(foregroundPath)
+        .rotate()
+        .resize(
+            Math.max(1, Math.floor(areaWidth * placement.scale / 100)),
+            Math.max(1, Math.floor(areaHeight * placement.scale / 100)),
+            { fit: 'inside', withoutEnlargement: true }
+        )
+        .toBuffer({ resolveWithObject: true });
+
+    let left;
+    let top;
+    if (placement.anchor === 'custom') {
+        left = width * placement.x / 100 - info.width / 2;
+        top = height * placement.y / 100 - info.height / 2;
+    } else {
+        left = margin + (areaWidth - info.width) / 2;
+        top = placement.anchor === 'bottom'
+            ? height - margin - info.height
+            : margin + (areaHeight - info.height) / 2;
+    }
+    left += width * placement.offsetX / 100;
+    top += height * placement.offsetY / 100;
+
+    return {
+        buffer,
+        left: clamp(Math.floor(left), margin, Math.max(margin, width - margin - info.width)),
+        top: clamp(Math.floor(top), margin, Math.max(margin, height - margin - info.height))
+    };
+}
+
+// The foreground placed on a transparent PNG canvas the size of the background,
+// for providers that position the subject themselves
+async function positionForeground(foregroundPath, background, placement) {
+    const { buffer, left, top } = await placeForeground(foregroundPath, background, placement);
+    return sharp({
+        create: {
+            width: background.width,
+            height: background.height,
+            channels: 4,
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        }
+    })
+        .composite([{ input: buffer, left, top }])
+        .png()
+        .toBuffer();
+}
+
+module.exports = {
+    ANCHORS,
+    DEFAULT_PLACEMENT,
+    PLACEMENT_LIMITS,
+    normalizePlacement,
+    placeForeground,
+    positionForeground
+};
@@ -0,0 +1,101 @@
+// Preview images for reviewing a session's results in the browser
+//
+// Watch folder inputs are moved on once their batch finishes, so every
+// successful item keeps a downscaled copy of its foreground (the "before"
+// image) under .previews/ in the session folder. Thumbnails of inputs and
+// outputs are rendered on first request and cached in the same folder; a
+// thumbnail older than its source (e.g. after a re-run rewrote the output) is
+// rendered again.
+// Dot folders are never listed as outputs, so none of this ends up in the zip.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const PREVIEW_DIR = '.previews';
+const INPUT_PREVIEW_SIZE = 2048; // Longest edge of the kept "before" image
+const THUMBNAIL_SIZES = [160, 320, 640];
+const DEFAULT_THUMBNAIL_SIZE = 320;
+
+// Renders in progress by target path, so concurrent requests share one
+const rendering = new Map();
+
+function getPreviewDir(sessionDir) {
+    return path.join(sessionDir, PREVIEW_DIR);
+}
+
+// Kept "before" image of a foreground upload (shared by every item that uses it)
+function getInputPreviewPath(sessionDir, foregroundId) {
+    return path.join(getPreviewDir(sessionDir), `${foregroundId}.input.webp`);
+}
+
+// Resize sourcePath to fit a size x size box and write it as WebP, via a temp
+// file so readers never see half a thumbnail; resolves targetPath
+function renderPreview(sourcePath, targetPath, size) {
+    if (!rendering.has(targetPath)) {
+        const tmpPath = `${targetPath}.${process.pid}.tmp`;
+        const render = (async () => {
+            try {
+                fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+                await sharp(sourcePath)
+                    .rotate()
+                    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: 82 })
+                    .toFile(tmpPath);
+                fs.renameSync(tmpPath, targetPath);
+                return targetPath;
+            } finally {
+                fs.rmSync(tmpPath, { force: true });
+            }
+        })();
+        rendering.set(targetPath, render);
+        render.catch(() => {}).finally(() => rendering.delete(targetPath));
+    }
+    return rendering.get(targetPath);
+}
+
+// Keep the "before" image of a finished item before its upload goes away
+// Never rejects: a missing preview only costs the comparison view
+async function keepInputPreview(sessionDir, foreground) {
+    const targetPath = getInputPreviewPath(sessionDir, foreground.id);
+    if (fs.existsSync(targetPath)) {
+        return;
+    }
+    try {
+        await renderPreview(foreground.path, targetPath, INPUT_PREVIEW_SIZE);
+    } catch (err) {
+        console.error(`Could not keep a preview of ${foreground.originalName}:`, err.message);
+    }
+}
+
+// Returns { size } or { error } for a ?size= query value (undefined for the default)
+function parseThumbnailSize(value) {
+    if (value === undefined) {
+        return { size: DEFAULT_THUMBNAIL_SIZE };
+    }
+    const size = Number(value);
+    if (!THUMBNAIL_SIZES.includes(size)) {
+        return { error: `Thumbnail size must be one of ${THUMBNAIL_SIZES.join(', ')}` };
+    }
+    return { size };
+}
+
+// Cached thumbnail of sourcePath, named after key (e.g. "<itemId>.output.original")
+// Resolves the thumbnail's path; rejects if the source cannot be read
+async function getThumbnail(sessionDir, sourcePath, key, size) {
+    const targetPath = path.join(getPreviewDir(sessionDir), `${key}.${size}.webp`);
+    const cached = fs.statSync(targetPath, { throwIfNoEntry: false });
+    if (cached && cached.mtimeMs >= fs.statSync(sourcePath).mtimeMs) {
+        return targetPath;
+    }
+    return renderPreview(sourcePath, targetPath, size);
+}
+
+module.exports = {
+    PREVIEW_DIR,
+    THUMBNAIL_SIZES,
+    DEFAULT_THUMBNAIL_SIZE,
+    getInputPreviewPath,
+    keepInputPreview,
+    parseThumbnailSize,
+    getThumbnail
+};
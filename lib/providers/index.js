@@ -0,0 +1,53 @@
+// Compositing provider registry
+//
+// Every provider module exports the same shape:
+//   name          - identifier accepted by /api/process
+//   label         - human-readable name shown in the UI
+//   description   - one-line summary shown in the UI
+//   maxPixels     - pixel budget inputs are downscaled to (Infinity for no limit)
+//   billable      - whether calls cost API credits (counted against call budgets)
+//   cacheSettings - everything besides the input images that shapes the result;
+//                   part of the result cache key (lib/result-cache)
+//   isAvailable() - { available, reason } (e.g. a missing API key)
+//   composite(foregroundPath, backgroundData, originalFilename, options)
+//                 - resolves { success, imageData, error, errorCode }, never throws
+//                   errorCode is optional, see getErrorCode in lib/retry ('auth'
+//                   aborts the whole batch)
+//                   options.onRetry(attempt, maxRetries, delay, error) reports backoffs
+//                   options.onAttempt({ attempt, durationMs, error }) reports every
+//                   call made (lib/usage); error is null for a successful call
+//                   options.signal is an AbortSignal for cancelling in-flight work
+//                   options.placement is the item's placement override, or
+//                   undefined for the default (lib/placement)
+const jasper = require('./jasper');
+const local = require('./local');
+
+const DEFAULT_PROVIDER = 'jasper';
+
+const providers = new Map([
+    [jasper.name, jasper],
+    [local.name, local]
+]);
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+function listProviders() {
+    return [...providers.values()].map(provider => {
+        const { available, reason } = provider.isAvailable();
+        return {
+            name: provider.name,
+            label: provider.label,
+            description: provider.description,
+            available,
+            reason: reason || null
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    getProvider,
+    listProviders
+};
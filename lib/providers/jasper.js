@@ -0,0 +1,133 @@
+// Jasper.ai Packshot Compositing provider
+const axios = require('axios');
+const FormData = require('form-data');
+const { downscaleImageToLimit, MAX_MEGAPIXELS } = require('../imaging');
+const { withRetry, isAbortError, getErrorCode } = require('../retry');
+const { positionForeground } = require('../placement');
+
+const API_ENDPOINT = 'https://api.jasper.ai/v1/image/packshot-compositing';
+const API_TIMEOUT = 120000; // 2 minute timeout
+
+function isAvailable() {
+    if (!process.env.JASPER_API_KEY) {
+        return { available: false, reason: 'JASPER_API_KEY not configured in .env file' };
+    }
+    return { available: true };
+}
+
+// Extract error message from Jasper's response format
+function parseJasperError(error) {
+    let errorMessage = error.message;
+    if (error.response?.data) {
+        // If response is arraybuffer, convert to string to check for error
+        try {
+            const errorData = JSON.parse(Buffer.from(error.response.data).toString());
+            if (errorData.errors && Array.isArray(errorData.errors) && errorData.errors.length > 0) {
+                errorMessage = `Jasper API: ${errorData.errors.join(', ')}`;
+            } else if (errorData.message) {
+                errorMessage = `Jasper API: ${errorData.message}`;
+            }
+        } catch (e) {
+            // Response wasn't JSON, use original error message
+        }
+    }
+    return errorMessage;
+}
+
+// Composite a foreground onto the pre-loaded background via the Jasper API
+async function composite(foregroundPath, backgroundData, originalFilename, options = {}) {
+    const apiKey = process.env.JASPER_API_KEY;
+    
+    if (!apiKey) {
+        return {
+            success: false,
+            error: 'JASPER_API_KEY not configured in .env file',
+            errorCode: 'auth'
+        };
+    }
+
+    const { buffer: backgroundBuffer, finalWidth, finalHeight, safeMaxPixels } = backgroundData;
+
+    // Downscale foreground to fit within FINAL output dimensions, or pre-position it
+    // on a background-sized transparent canvas when the item overrides placement.
+    // An unreadable file is this image's problem, not an outage of the API
+    let foregroundBuffer;
+    try {
+        foregroundBuffer = options.placement
+            ? await positionForeground(foregroundPath, { width: finalWidth, height: finalHeight }, options.placement)
+            : await downscaleImageToLimit(
+                foregroundPath,
+                finalWidth,
+                finalHeight,
+                safeMaxPixels
+            );
+    } catch (error) {
+        console.error(`Could not prepare ${originalFilename}:`, error.message);
+        return {
+            success: false,
+            error: `Could not read foreground: ${error.message}`,
+            errorCode: 'rejected'
+        };
+    }
+
+    try {
+        // Create form data with file buffers (Jasper API expects multipart/form-data)
+        const formData = new FormData();
+        formData.append('image_file', foregroundBuffer, options.placement
+            ? { filename: 'foreground.png', contentType: 'image/png' }
+            : { filename: 'foreground.jpg', contentType: 'image/jpeg' });
+        formData.append('background_image_file', backgroundBuffer, {
+            filename: 'background.jpg',
+            contentType: 'image/jpeg'
+        });
+
+        // Call Jasper.ai Packshot Compositing API with retry
+        const response = await withRetry(
+            () => axios.post(
+                API_ENDPOINT,
+                formData,
+                {
+                    headers: {
+                        'x-api-key': apiKey,
+                        ...formData.getHeaders()
+                    },
+                    timeout: API_TIMEOUT,
+                    responseType: 'arraybuffer',  // Receive as binary buffer
+                    signal: options.signal
+                }
+            ),
+            `Processing ${originalFilename}`,
+            { onRetry: options.onRetry, onAttempt: options.onAttempt, signal: options.signal }
+        );
+
+        // Response is raw JPEG binary data
+        const imageBuffer = Buffer.from(response.data);
+        return {
+            success: true,
+            imageData: imageBuffer,
+            response: { size: imageBuffer.length }
+        };
+
+    } catch (error) {
+        if (isAbortError(error)) {
+            return { success: false, error: 'Request cancelled' };
+        }
+        console.error('Jasper API error:', error.response?.data || error.message);
+        return {
+            success: false,
+            error: parseJasperError(error),
+            errorCode: getErrorCode(error)
+        };
+    }
+}
+
+module.exports = {
+    name: 'jasper',
+    label: 'Jasper.ai Packshot Compositing',
+    description: 'Removes the foreground background and places the subject using the Jasper API',
+    maxPixels: MAX_MEGAPIXELS,
+    billable: true,
+    cacheSettings: { endpoint: API_ENDPOINT, maxPixels: MAX_MEGAPIXELS },
+    isAvailable,
+    composite
+};
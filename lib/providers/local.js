@@ -0,0 +1,81 @@
+// Local sharp-based compositor for pre-masked (transparent) foregrounds
+const sharp = require('sharp');
+const { getOrientedSize } = require('../imaging');
+const { DEFAULT_PLACEMENT, placeForeground } = require('../placement');
+
+// Portion of the background the foreground may occupy along either axis, unless overridden
+const FILL_RATIO = DEFAULT_PLACEMENT.scale / 100;
+const OUTPUT_QUALITY = 92;
+
+function isAvailable() {
+    return { available: true };
+}
+
+// Composite a transparent foreground onto the pre-loaded background,
+// centered or where the item's placement override puts it (lib/placement)
+async function compositeImage(foregroundPath, backgroundData, originalFilename, placement) {
+    try {
+        const { buffer: backgroundBuffer } = backgroundData;
+
+        const foregroundMeta = await sharp(foregroundPath).metadata();
+        if (!foregroundMeta.hasAlpha) {
+            return {
+                success: false,
+                error: 'Local compositor: foreground has no transparency (expected a cut-out PNG or WebP)'
+            };
+        }
+
+        const background = getOrientedSize(await sharp(backgroundBuffer).metadata());
+
+        const { buffer: foregroundBuffer, left, top } = await placeForeground(
+            foregroundPath,
+            background,
+            placement || DEFAULT_PLACEMENT
+        );
+
+        const imageBuffer = await sharp(backgroundBuffer)
+            .rotate()
+            .composite([{ input: foregroundBuffer, left, top }])
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: OUTPUT_QUALITY })
+            .toBuffer();
+
+        return {
+            success: true,
+            imageData: imageBuffer,
+            response: { size: imageBuffer.length }
+        };
+
+    } catch (error) {
+        console.error(`Local compositor error (${originalFilename}):`, error.message);
+        return {
+            success: false,
+            error: `Local compositor: ${error.message}`
+        };
+    }
+}
+
+// Local runs are recorded like API calls (lib/usage) but are not billable
+async function composite(foregroundPath, backgroundData, originalFilename, options = {}) {
+    const startedAt = Date.now();
+    const result = await compositeImage(foregroundPath, backgroundData, originalFilename, options.placement);
+    if (options.onAttempt) {
+        options.onAttempt({
+            attempt: 1,
+            durationMs: Date.now() - startedAt,
+            error: result.success ? null : new Error(result.error)
+        });
+    }
+    return result;
+}
+
+module.exports = {
+    name: 'local',
+    label: 'Local compositor (pre-masked PNG)',
+    description: 'Places already cut-out transparent foregrounds onto the background with sharp, offline',
+    maxPixels: Infinity,
+    billable: false,
+    cacheSettings: { fillRatio: FILL_RATIO, quality: OUTPUT_QUALITY },
+    isAvailable,
+    composite
+};
@@ -0,0 +1,135 @@
+// Automated quality checks on provider composites
+//
+// A provider answering 2xx does not make a usable image. Every composite is
+// measured with sharp before its outputs are written; checks that fail are
+// attached to the result entry as warnings ({ check, message }). The image
+// still counts as successful, the warnings only mark it for a closer look.
+//   size      - dimensions differ from the background the provider was given
+//   uniform   - (nearly) one flat colour, e.g. a blank or black frame
+//   coverage  - hardly anything differs from the background: product missing
+//   file-size - very few bytes per pixel for a picture with little detail or
+//               little product: blank, or crushed by compression. A small file
+//               alone is normal for a product on a plain backdrop.
+const sharp = require('sharp');
+const { getOrientedSize } = require('./imaging');
+
+const QUALITY_CHECKS = ['size', 'uniform', 'coverage', 'file-size'];
+
+const SAMPLE_SIZE = 128;             // Composites and backgrounds are compared on a 128x128 grid
+const SIZE_TOLERANCE = 0.01;         // Relative difference in width or height that is still fine
+const MIN_DEVIATION = 4;             // Standard deviation (0-255) below which an image is flat
+const CHANGED_PIXEL_THRESHOLD = 40;  // Channel difference that marks a pixel as changed
+const MIN_COVERAGE = 0.01;           // Share of changed pixels below which the product is missing
+const MIN_BYTES_PER_PIXEL = 0.02;    // e.g. under 100 KB for a 5 MP composite
+const SPARSE_DEVIATION = 12;         // Below this deviation a small file is suspect
+const SPARSE_COVERAGE = 0.05;        // Below this coverage a small file is suspect
+
+// Downscaled background samples, computed once per loaded background
+const backgroundSamples = new WeakMap();
+
+// RGB pixels of an image squeezed onto the sample grid
+async function sampleImage(input) {
+    return sharp(input)
+        .rotate()
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+}
+
+function getBackgroundSample(backgroundData) {
+    if (!backgroundSamples.has(backgroundData.buffer)) {
+        backgroundSamples.set(backgroundData.buffer, sampleImage(backgroundData.buffer));
+    }
+    return backgroundSamples.get(backgroundData.buffer);
+}
+
+// Largest per-channel standard deviation of an RGB sample
+function getDeviation(sample) {
+    let deviation = 0;
+    for (let channel = 0; channel < 3; channel++) {
+        let sum = 0;
+        let sumOfSquares = 0;
+        for (let i = channel; i < sample.length; i += 3) {
+            sum += sample[i];
+            sumOfSquares += sample[i] * sample[i];
+        }
+        const count = sample.length / 3;
+        const mean = sum / count;
+        deviation = Math.max(deviation, Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean)));
+    }
+    return deviation;
+}
+
+// Share of sample pixels where the composite differs clearly from the background
+function getCoverage(sample, backgroundSample) {
+    let changed = 0;
+    for (let i = 0; i < sample.length; i += 3) {
+        const difference = Math.max(
+            Math.abs(sample[i] - backgroundSample[i]),
+            Math.abs(sample[i + 1] - backgroundSample[i + 1]),
+            Math.abs(sample[i + 2] - backgroundSample[i + 2])
+        );
+        if (difference > CHANGED_PIXEL_THRESHOLD) {
+            changed++;
+        }
+    }
+    return changed / (sample.length / 3);
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(value < 0.1 ? 1 : 0)}%`;
+}
+
+// Measure a provider composite against the background it was made from
+// Resolves { quality: { width, height, deviation, coverage, bytesPerPixel }, warnings }
+async function checkComposite(imageData, backgroundData) {
+    const { width, height } = getOrientedSize(await sharp(imageData).metadata());
+    const [sample, backgroundSample] = await Promise.all([
+        sampleImage(imageData),
+        getBackgroundSample(backgroundData)
+    ]);
+
+    const quality = {
+        width,
+        height,
+        deviation: Math.round(getDeviation(sample) * 10) / 10,
+        coverage: Math.round(getCoverage(sample, backgroundSample) * 1000) / 1000,
+        bytesPerPixel: Math.round(imageData.length / (width * height) * 1000) / 1000
+    };
+
+    const warnings = [];
+    const expectedWidth = backgroundData.finalWidth;
+    const expectedHeight = backgroundData.finalHeight;
+    if (Math.abs(width - expectedWidth) > expectedWidth * SIZE_TOLERANCE
+        || Math.abs(height - expectedHeight) > expectedHeight * SIZE_TOLERANCE) {
+        warnings.push({
+            check: 'size',
+            message: `Composite is ${width} × ${height} px, expected ${expectedWidth} × ${expectedHeight} px`
+        });
+    }
+    if (quality.deviation < MIN_DEVIATION) {
+        warnings.push({ check: 'uniform', message: 'Composite is almost a single flat colour (blank frame?)' });
+    } else if (quality.coverage < MIN_COVERAGE) {
+        // A flat image says everything already; coverage only matters for a real picture
+        warnings.push({
+            check: 'coverage',
+            message: `Only ${formatPercent(quality.coverage)} of the composite differs from the background (product missing?)`
+        });
+    }
+    // Plain backdrops compress very well, so size alone says little
+    const sparse = quality.deviation < SPARSE_DEVIATION || quality.coverage < SPARSE_COVERAGE;
+    if (quality.bytesPerPixel < MIN_BYTES_PER_PIXEL && sparse) {
+        warnings.push({
+            check: 'file-size',
+            message: `Composite is only ${Math.round(imageData.length / 1024)} KB for ${width} × ${height} px (blank or heavily compressed?)`
+        });
+    }
+
+    return { quality, warnings };
+}
+
+module.exports = {
+    QUALITY_CHECKS,
+    checkComposite
+};
@@ -0,0 +1,91 @@
+// Optional upscale of composites back to full resolution
+//
+// Providers with a pixel budget (Jasper: 5MP) return downscaled composites.
+// This stage scales them back up to the original background size, or to a
+// chosen target box, before the output is encoded.
+
+const RESTORE_MODES = ['off', 'background', 'custom'];
+const RESIZE_KERNELS = ['nearest', 'linear', 'cubic', 'mitchell', 'lanczos2', 'lanczos3'];
+const MAX_TARGET_DIMENSION = 16384;
+const MAX_SHARPEN_SIGMA = 5;
+
+const DEFAULT_RESTORE_SETTINGS = {
+    mode: 'off',
+    width: null,
+    height: null,
+    kernel: 'lanczos3',
+    sharpen: 0
+};
+
+function isValidDimension(value) {
+    return value === null || (Number.isInteger(value) && value > 0 && value <= MAX_TARGET_DIMENSION);
+}
+
+// Validate client-supplied settings, filling in defaults
+// Returns { settings } or { error }
+function normalizeRestoreSettings(input = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Restore settings must be an object' };
+    }
+
+    const settings = { ...DEFAULT_RESTORE_SETTINGS, ...input };
+
+    if (!RESTORE_MODES.includes(settings.mode)) {
+        return { error: `Unsupported restore mode: ${settings.mode} (expected one of ${RESTORE_MODES.join(', ')})` };
+    }
+    if (!isValidDimension(settings.width) || !isValidDimension(settings.height)) {
+        return { error: `Restore width and height must be integers between 1 and ${MAX_TARGET_DIMENSION}` };
+    }
+    if (settings.mode === 'custom' && !settings.width && !settings.height) {
+        return { error: 'Custom restore needs a target width or height' };
+    }
+    if (!RESIZE_KERNELS.includes(settings.kernel)) {
+        return { error: `Unsupported resampling kernel: ${settings.kernel} (expected one of ${RESIZE_KERNELS.join(', ')})` };
+    }
+    if (typeof settings.sharpen !== 'number' || settings.sharpen < 0 || settings.sharpen > MAX_SHARPEN_SIGMA) {
+        return { error: `Sharpen amount must be a number between 0 and ${MAX_SHARPEN_SIGMA}` };
+    }
+
+    return {
+        settings: {
+            mode: settings.mode,
+            width: settings.width,
+            height: settings.height,
+            kernel: settings.kernel,
+            sharpen: settings.sharpen
+        }
+    };
+}
+
+// Build a sharp transform for encodeOutput, or null when nothing should change
+// originalSize is the background's size before it was downscaled for the provider
+function getRestoreTransform(settings, originalSize) {
+    if (settings.mode === 'off') {
+        return null;
+    }
+
+    const target = settings.mode === 'background'
+        ? { width: originalSize.width, height: originalSize.height }
+        : { width: settings.width || undefined, height: settings.height || undefined };
+
+    return (pipeline) => {
+        // Only ever enlarge; composites already at or above the target are left alone
+        pipeline = pipeline.resize({
+            ...target,
+            fit: 'inside',
+            kernel: settings.kernel,
+            withoutReduction: true
+        });
+        if (settings.sharpen > 0) {
+            pipeline = pipeline.sharpen({ sigma: settings.sharpen });
+        }
+        return pipeline;
+    };
+}
+
+module.exports = {
+    RESIZE_KERNELS,
+    DEFAULT_RESTORE_SETTINGS,
+    normalizeRestoreSettings,
+    getRestoreTransform
+};
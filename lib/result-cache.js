@@ -0,0 +1,220 @@
+// Content-addressed cache of provider results
+//
+// Keyed by a SHA-256 over the foreground bytes, the background bytes, the
+// provider name, the provider's cacheSettings and the item's placement
+// override (if any), so re-running a batch only
+// pays for images that actually changed. The provider's composite is stored
+// before output encoding, presets and resizing, which still run on a hit.
+//
+// Entries live in data/cache/<key>.bin; the file mtime records the last use
+// and the least recently used entries are evicted beyond the size limit.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024; // 1 GB
+const SETTINGS_FILE = 'settings.json';
+const ENTRY_EXTENSION = '.bin';
+
+// key -> { size, lastUsedAt }
+const entries = new Map();
+let cacheDir = null;
+let maxBytes = DEFAULT_MAX_BYTES;
+let totalBytes = 0;
+const stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+function isValidKey(key) {
+    return typeof key === 'string' && /^[a-f0-9]{64}$/.test(key);
+}
+
+function entryPath(key) {
+    return path.join(cacheDir, key + ENTRY_EXTENSION);
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function getCacheKey(provider, foregroundHash, backgroundHash, placement = null) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({
+            provider: provider.name,
+            settings: provider.cacheSettings || {},
+            foreground: foregroundHash,
+            background: backgroundHash,
+            ...(placement && { placement })
+        }))
+        .digest('hex');
+}
+
+function removeEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+        return false;
+    }
+    fs.rmSync(entryPath(key), { force: true });
+    entries.delete(key);
+    totalBytes -= entry.size;
+    return true;
+}
+
+// Drop least recently used entries until the cache fits its limit
+function evict() {
+    if (totalBytes <= maxBytes) {
+        return;
+    }
+    const oldestFirst = [...entries.entries()].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [key] of oldestFirst) {
+        if (totalBytes <= maxBytes) {
+            break;
+        }
+        removeEntry(key);
+        stats.evictions++;
+    }
+}
+
+// Scan the cache directory (used once at startup)
+function initCache(dir, { maxBytes: defaultMaxBytes = DEFAULT_MAX_BYTES } = {}) {
+    cacheDir = dir;
+    fs.mkdirSync(cacheDir, { recursive: true });
+    entries.clear();
+    totalBytes = 0;
+    maxBytes = defaultMaxBytes;
+
+    // A limit set through the admin endpoint outlives restarts
+    try {
+        const saved = JSON.parse(fs.readFileSync(path.join(cacheDir, SETTINGS_FILE), 'utf8'));
+        if (Number.isInteger(saved.maxBytes) && saved.maxBytes >= 0) {
+            maxBytes = saved.maxBytes;
+        }
+    } catch (err) {
+        // No saved settings yet
+    }
+
+    for (const filename of fs.readdirSync(cacheDir)) {
+        const key = path.basename(filename, ENTRY_EXTENSION);
+        if (!filename.endsWith(ENTRY_EXTENSION) || !isValidKey(key)) {
+            // Leftover temp files from an interrupted write
+            if (filename.endsWith('.tmp')) {
+                fs.rmSync(path.join(cacheDir, filename), { force: true });
+            }
+            continue;
+        }
+        const stat = fs.statSync(path.join(cacheDir, filename));
+        entries.set(key, { size: stat.size, lastUsedAt: stat.mtimeMs });
+        totalBytes += stat.size;
+    }
+    evict();
+}
+
+function isEnabled() {
+    return cacheDir !== null && maxBytes > 0;
+}
+
+// Whether a result is cached, without touching hit/miss counters
+function hasResult(key) {
+    return isEnabled() && entries.has(key);
+}
+
+// Resolves the cached composite, or null on a miss
+async function getResult(key) {
+    if (!isEnabled() || !entries.has(key)) {
+        stats.misses++;
+        return null;
+    }
+    try {
+        const imageData = await fs.promises.readFile(entryPath(key));
+        const now = new Date();
+        await fs.promises.utimes(entryPath(key), now, now);
+        entries.get(key).lastUsedAt = now.getTime();
+        stats.hits++;
+        return imageData;
+    } catch (err) {
+        // Entry vanished underneath us (e.g. purged mid-batch)
+        removeEntry(key);
+        stats.misses++;
+        return null;
+    }
+}
+
+async function putResult(key, imageData) {
+    if (!isEnabled() || imageData.length > maxBytes) {
+        return;
+    }
+    const tmpPath = `${entryPath(key)}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(tmpPath, imageData);
+        await fs.promises.rename(tmpPath, entryPath(key));
+    } catch (err) {
+        console.error('Could not write result cache entry:', err.message);
+        fs.rmSync(tmpPath, { force: true });
+        return;
+    }
+
+    const previous = entries.get(key);
+    if (previous) {
+        totalBytes -= previous.size;
+    }
+    entries.set(key, { size: imageData.length, lastUsedAt: Date.now() });
+    totalBytes += imageData.length;
+    stats.writes++;
+    evict();
+}
+
+// Summary for the admin endpoint; lists the most recently used entries
+function describeCache(limit = 100) {
+    const recent = [...entries.entries()]
+        .sort((a, b) => b[1].lastUsedAt - a[1].lastUsedAt)
+        .slice(0, limit)
+        .map(([key, entry]) => ({ key, size: entry.size, lastUsedAt: entry.lastUsedAt }));
+    return {
+        enabled: isEnabled(),
+        entryCount: entries.size,
+        totalBytes,
+        maxBytes,
+        ...stats,
+        entries: recent
+    };
+}
+
+// A limit of 0 disables the cache (and evicts every entry)
+function setMaxBytes(bytes) {
+    maxBytes = bytes;
+    fs.writeFileSync(path.join(cacheDir, SETTINGS_FILE), JSON.stringify({ maxBytes }));
+    evict();
+}
+
+// Remove every entry, or only those not used since olderThan (ms timestamp)
+// Returns the number of entries removed
+function purge(olderThan = Infinity) {
+    let removed = 0;
+    for (const [key, entry] of [...entries.entries()]) {
+        if (entry.lastUsedAt < olderThan) {
+            removeEntry(key);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    DEFAULT_MAX_BYTES,
+    isValidKey,
+    hashFile,
+    getCacheKey,
+    initCache,
+    isEnabled,
+    hasResult,
+    getResult,
+    putResult,
+    describeCache,
+    setMaxBytes,
+    purge,
+    removeEntry
+};
@@ -0,0 +1,190 @@
+// Resumable uploads for large files over unreliable connections
+//
+// A client announces a file with its size (and optionally its SHA-256), then
+// sends the bytes in order as chunks, each at the offset the server reports
+// and with a SHA-256 of the chunk. A chunk is only counted once it arrived
+// whole and its checksum matched, so after a dropped connection or a page
+// reload the client asks for the current offset and continues from there.
+// The finished file is handed back to the caller, which registers it like a
+// multer upload.
+//
+// Unfinished uploads live in memory with their bytes in <id>.part files, so a
+// server restart discards them and clients start those files over.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { IMAGE_TYPES } = require('./zip-extract');
+
+const UPLOAD_KINDS = ['foreground', 'background', 'archive'];
+const CHUNK_SIZE = 5 * 1024 * 1024; // Suggested to clients
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const MAX_NAME_LENGTH = 1024;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// id -> { id, ownerId, kind, name, size, sha256, offset, hash, partPath, busy, createdAt, updatedAt, files }
+const uploads = new Map();
+let partsDir = null;
+
+function initResumableUploads(dir) {
+    partsDir = dir;
+}
+
+// Public view of an upload, safe to send to the browser
+function describeUpload(upload) {
+    return {
+        id: upload.id,
+        kind: upload.kind,
+        name: upload.name,
+        size: upload.size,
+        offset: upload.offset,
+        complete: upload.offset === upload.size,
+        chunkSize: CHUNK_SIZE
+    };
+}
+
+// Announce a file; maxBytes(kind) is the largest file accepted for a kind
+// Returns { upload } or { status, error }
+function createUpload(input, ownerId, { maxBytes }) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { status: 400, error: 'Upload must be an object' };
+    }
+    const { kind, name, size, sha256 } = input;
+    if (!UPLOAD_KINDS.includes(kind)) {
+        return { status: 400, error: `Unsupported upload kind: ${kind} (expected one of ${UPLOAD_KINDS.join(', ')})` };
+    }
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+        return { status: 400, error: `Upload name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    const extension = path.extname(name).toLowerCase();
+    if (kind === 'archive' ? extension !== '.zip' : !IMAGE_TYPES[extension]) {
+        return {
+            status: 400,
+            error: kind === 'archive'
+                ? 'Invalid archive. Only ZIP archives are allowed.'
+                : 'Invalid file type. Only JPEG, PNG, and WebP images are allowed.'
+        };
+    }
+    if (!Number.isInteger(size) || size < 1) {
+        return { status: 400, error: 'Upload size must be a positive integer' };
+    }
+    if (size > maxBytes(kind)) {
+        return { status: 413, error: `${name} is larger than ${Math.round(maxBytes(kind) / 1024 / 1024)} MB` };
+    }
+    if (sha256 !== undefined && (typeof sha256 !== 'string' || !SHA256_PATTERN.test(sha256))) {
+        return { status: 400, error: 'sha256 must be 64 lowercase hex characters' };
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const partPath = path.join(partsDir, `${id}.part`);
+    fs.writeFileSync(partPath, '');
+    const upload = {
+        id,
+        ownerId,
+        kind,
+        name,
+        size,
+        sha256: sha256 || null,
+        offset: 0,
+        hash: crypto.createHash('sha256'),
+        partPath,
+        busy: false,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        files: null
+    };
+    uploads.set(id, upload);
+    return { upload };
+}
+
+// Returns { upload } or { status, error }
+function getUpload(id, ownerId) {
+    const upload = uploads.get(id);
+    if (!upload) {
+        return { status: 404, error: 'Upload not found or expired' };
+    }
+    if (upload.ownerId !== ownerId) {
+        return { status: 403, error: 'Upload belongs to another client' };
+    }
+    return { upload };
+}
+
+// Append one chunk at offset; checksum is the chunk's SHA-256 in hex, if the client sent one
+// Returns { upload, file } where file ({ path, name, size, kind }) is set once the
+// last chunk arrived, or { status, error, upload? } (409 errors carry the current offset)
+async function appendChunk(id, ownerId, { offset, checksum, data }) {
+    const found = getUpload(id, ownerId);
+    if (found.error) {
+        return found;
+    }
+    const { upload } = found;
+    if (upload.busy) {
+        return { status: 409, error: 'Another chunk of this upload is still being written', upload };
+    }
+    if (offset !== upload.offset) {
+        return { status: 409, error: `Upload is at offset ${upload.offset}, not ${offset}`, upload };
+    }
+    if (data.length === 0 || data.length > MAX_CHUNK_SIZE) {
+        return { status: 400, error: `Chunks must be 1 byte to ${MAX_CHUNK_SIZE / 1024 / 1024} MB` };
+    }
+    if (upload.offset + data.length > upload.size) {
+        return { status: 400, error: `Chunk runs past the announced size of ${upload.size} bytes` };
+    }
+    if (checksum !== undefined && crypto.createHash('sha256').update(data).digest('hex') !== checksum) {
+        return { status: 400, error: 'Chunk checksum does not match' };
+    }
+
+    upload.busy = true;
+    try {
+        await fs.promises.appendFile(upload.partPath, data);
+    } finally {
+        upload.busy = false;
+    }
+    upload.hash.update(data);
+    upload.offset += data.length;
+    upload.updatedAt = Date.now();
+
+    if (upload.offset < upload.size) {
+        return { upload };
+    }
+    if (upload.sha256 && upload.hash.digest('hex') !== upload.sha256) {
+        removeUpload(upload);
+        return { status: 400, error: 'File checksum does not match; upload it again' };
+    }
+    return { upload, file: { path: upload.partPath, name: upload.name, size: upload.size, kind: upload.kind } };
+}
+
+// Remember the upload IDs a finished file was registered under, so a client
+// that lost the response can still pick them up
+function completeUpload(upload, fileIds) {
+    upload.files = fileIds;
+    upload.updatedAt = Date.now();
+}
+
+function removeUpload(upload) {
+    fs.rmSync(upload.partPath, { force: true });
+    uploads.delete(upload.id);
+}
+
+// Forget uploads nobody touched for maxAge (finished ones included)
+function releaseStaleUploads(maxAge) {
+    const now = Date.now();
+    for (const upload of uploads.values()) {
+        if (!upload.busy && now - upload.updatedAt > maxAge) {
+            removeUpload(upload);
+        }
+    }
+}
+
+module.exports = {
+    UPLOAD_KINDS,
+    CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    initResumableUploads,
+    describeUpload,
+    createUpload,
+    getUpload,
+    appendChunk,
+    completeUpload,
+    removeUpload,
+    releaseStaleUploads
+};
@@ -0,0 +1,142 @@
+// Retry mechanism with exponential backoff for provider API calls
+
+const MAX_RETRIES = 3;        // Retry attempts for failed API calls
+const RETRY_BASE_DELAY = 2000; // Base delay for exponential backoff (ms)
+const MAX_RETRY_AFTER = 5 * 60 * 1000; // Longest Retry-After we are willing to wait (ms)
+
+// Socket and DNS failures worth another attempt
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Utility: sleep for exponential backoff (rejects early if the signal aborts)
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(signal.reason);
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+function isAbortError(error) {
+    return error?.code === 'ERR_CANCELED' || error?.name === 'AbortError' || error?.name === 'CanceledError';
+}
+
+// The request was sent but never answered: connection dropped, timed out or
+// the host could not be reached. Anything else without a response (e.g. a
+// local exception) is not the provider's fault.
+function isNetworkError(error) {
+    if (!error || error.response || isAbortError(error)) {
+        return false;
+    }
+    return Boolean(error.isAxiosError && error.request) || NETWORK_ERROR_CODES.includes(error.code);
+}
+
+function isRetryableError(error) {
+    // Cancelled requests are never retried
+    if (isAbortError(error)) {
+        return false;
+    }
+    // Retry on network errors, timeouts, rate limits (429), and server errors (5xx)
+    if (!error.response) {
+        return isNetworkError(error);
+    }
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+// The provider is overloaded or rate limiting us (as opposed to rejecting this image)
+function isThrottleError(error) {
+    const status = error?.response?.status;
+    return status === 429 || status >= 500;
+}
+
+// Delay requested by a Retry-After header (seconds or HTTP date) in ms, or null
+function getRetryAfter(error) {
+    const header = error?.response?.headers?.['retry-after'];
+    if (header === undefined || header === null || header === '') {
+        return null;
+    }
+    const seconds = Number(header);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (Number.isNaN(delay)) {
+        return null;
+    }
+    return Math.min(Math.max(0, delay), MAX_RETRY_AFTER);
+}
+
+// Short code describing why a provider call failed, reported with results:
+//   auth         - the API key was rejected (every image would fail the same way)
+//   rate_limited - 429 after all retries
+//   unavailable  - 5xx or network errors after all retries
+//   rejected     - the provider refused this particular image, or it could not be sent
+function getErrorCode(error) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) {
+        return 'auth';
+    }
+    if (status === 429) {
+        return 'rate_limited';
+    }
+    if (status >= 500 || (!status && isNetworkError(error))) {
+        return 'unavailable';
+    }
+    return 'rejected';
+}
+
+// Options:
+//   maxRetries - attempts before giving up
+//   onRetry(attempt, maxRetries, delay, error) - called before each backoff
+//   onAttempt({ attempt, durationMs, error }) - called after every attempt (error is null on success)
+//   signal     - AbortSignal that stops further attempts
+async function withRetry(fn, context = '', { maxRetries = MAX_RETRIES, onRetry = null, onAttempt = null, signal = null } = {}) {
+    let lastError;
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const startedAt = Date.now();
+        try {
+            const result = await fn();
+            if (onAttempt) {
+                onAttempt({ attempt, durationMs: Date.now() - startedAt, error: null });
+            }
+            return result;
+        } catch (error) {
+            lastError = error;
+            // Cancelled requests were never answered, so they are not counted
+            if (onAttempt && !isAbortError(error)) {
+                onAttempt({ attempt, durationMs: Date.now() - startedAt, error });
+            }
+            
+            if (!isRetryableError(error) || attempt === maxRetries) {
+                throw error;
+            }
+            
+            // The provider's Retry-After wins over our own schedule
+            const retryAfter = getRetryAfter(error);
+            const delay = retryAfter ?? Math.pow(2, attempt) * RETRY_BASE_DELAY; // 4s, 8s, 16s
+            console.log(`[Retry ${attempt}/${maxRetries}] ${context} - Retrying in ${delay}ms...`);
+            if (onRetry) {
+                onRetry(attempt, maxRetries, delay, error);
+            }
+            await sleep(delay, signal);
+        }
+    }
+    
+    throw lastError;
+}
+
+module.exports = {
+    MAX_RETRIES,
+    RETRY_BASE_DELAY,
+    sleep,
+    isAbortError,
+    isNetworkError,
+    isRetryableError,
+    isThrottleError,
+    getRetryAfter,
+    getErrorCode,
+    withRetry
+};
@@ -0,0 +1,65 @@
+// Review states for finished images
+//
+// Every successful result carries a review: pending until someone approves or
+// rejects it, optionally with a note for the retoucher. Reviews are stored on
+// the result entries, so they are journaled with them; a retry only replaces
+// failed results, which have no review. Downloads can be limited to one review
+// state, e.g. only the approved composites.
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_NOTE_LENGTH = 2000;
+
+function createReview() {
+    return { status: 'pending', note: '', reviewedAt: null };
+}
+
+// Review of a result entry; results journaled before reviews existed are pending
+function getReview(entry) {
+    return entry.review || createReview();
+}
+
+// Validate { status, note? } from a client; returns { review } or { error }
+function normalizeReview(input) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Review must be an object' };
+    }
+    const { status, note = '' } = input;
+    if (!REVIEW_STATUSES.includes(status)) {
+        return { error: `Unsupported review status: ${status} (expected one of ${REVIEW_STATUSES.join(', ')})` };
+    }
+    if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+        return { error: `Review note must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    return {
+        review: {
+            status,
+            note: note.trim(),
+            reviewedAt: status === 'pending' ? null : Date.now()
+        }
+    };
+}
+
+// Returns { filter } (a review status, or null for every result) or { error }
+function parseReviewFilter(value) {
+    if (value === undefined || value === '') {
+        return { filter: null };
+    }
+    if (!REVIEW_STATUSES.includes(value)) {
+        return { error: `Unsupported review filter: ${value} (expected one of ${REVIEW_STATUSES.join(', ')})` };
+    }
+    return { filter: value };
+}
+
+// Whether a result's outputs pass a review filter from parseReviewFilter
+function matchesReviewFilter(entry, filter) {
+    return entry.success && (!filter || getReview(entry).status === filter);
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    MAX_NOTE_LENGTH,
+    createReview,
+    getReview,
+    normalizeReview,
+    parseReviewFilter,
+    matchesReviewFilter
+};
@@ -0,0 +1,241 @@
+// Server-wide scheduler for provider work
+//
+// Every batch queues its images here instead of running its own limiter, so
+// concurrent sessions share one concurrency and rate budget (the API key is
+// shared too). Free slots go to the highest priority sessions first and
+// round-robin between sessions of equal priority, so a large batch cannot
+// starve a small one that started later. Paused sessions keep their queue
+// but are skipped until they resume.
+//
+// Concurrency adapts to the provider: a throttled call (429/5xx) halves it
+// and holds new starts for any Retry-After, and it grows back by one after
+// as many successes in a row as the current limit.
+const PRIORITIES = ['low', 'normal', 'high'];
+const DEFAULT_PRIORITY = 'normal';
+const RATE_WINDOW = 60 * 1000;
+const BACKOFF_COOLDOWN = 5000; // One halving per burst of throttled calls (ms)
+
+let maxConcurrency = 3;
+let concurrency = maxConcurrency; // Current adaptive limit, 1..maxConcurrency
+let ratePerMinute = 0; // 0 = no rate limit
+let onChange = null;
+let successStreak = 0;
+let lastBackoffAt = 0;
+let holdUntil = 0; // No new starts before this time (Retry-After)
+
+// sessionId -> { priority, isPaused(), tasks: [{ task, resolve, reject }], running }
+const queues = new Map();
+// Round-robin order; a session moves to the back after each start
+let order = [];
+let running = 0;
+const recentStarts = [];
+let rateTimer = null;
+
+function configureScheduler(options = {}) {
+    if (options.concurrency !== undefined) {
+        maxConcurrency = options.concurrency;
+        concurrency = options.concurrency;
+    }
+    if (options.ratePerMinute !== undefined) {
+        ratePerMinute = options.ratePerMinute;
+    }
+    if (options.onChange !== undefined) {
+        onChange = options.onChange;
+    }
+    dispatch();
+}
+
+function getPriorityRank(priority) {
+    return PRIORITIES.indexOf(priority);
+}
+
+// Register a batch; isPaused is polled whenever a slot frees up
+function openQueue(sessionId, { priority = DEFAULT_PRIORITY, isPaused = () => false } = {}) {
+    const existing = queues.get(sessionId);
+    if (existing) {
+        existing.priority = priority;
+        existing.isPaused = isPaused;
+        return;
+    }
+    queues.set(sessionId, { priority, isPaused, tasks: [], running: 0 });
+    order.push(sessionId);
+}
+
+// Forget a batch once it has no queued or running work left
+function closeQueue(sessionId) {
+    const queue = queues.get(sessionId);
+    if (!queue) {
+        return;
+    }
+    for (const { reject } of queue.tasks) {
+        reject(new Error('Batch queue was closed'));
+    }
+    queues.delete(sessionId);
+    order = order.filter(id => id !== sessionId);
+    notify();
+}
+
+// Queue a task for a session; resolves or rejects with the task's own outcome
+function schedule(sessionId, task) {
+    const queue = queues.get(sessionId);
+    if (!queue) {
+        return Promise.reject(new Error(`No open queue for session ${sessionId}`));
+    }
+    const promise = new Promise((resolve, reject) => {
+        queue.tasks.push({ task, resolve, reject });
+    });
+    dispatch();
+    return promise;
+}
+
+// Sessions with runnable work, in the order they will receive slots
+function getDispatchOrder() {
+    return order
+        .filter(id => {
+            const queue = queues.get(id);
+            return queue.tasks.length > 0 && !queue.isPaused();
+        })
+        .map((id, position) => ({ id, position, rank: getPriorityRank(queues.get(id).priority) }))
+        .sort((a, b) => b.rank - a.rank || a.position - b.position)
+        .map(entry => entry.id);
+}
+
+// Milliseconds until the rate budget allows another start (0 if it does now)
+function getRateDelay(now) {
+    while (recentStarts.length > 0 && now - recentStarts[0] >= RATE_WINDOW) {
+        recentStarts.shift();
+    }
+    if (ratePerMinute <= 0 || recentStarts.length < ratePerMinute) {
+        return 0;
+    }
+    return RATE_WINDOW - (now - recentStarts[0]);
+}
+
+// A provider call was throttled; retryAfter (ms) holds all new starts
+function reportThrottle(retryAfter = 0) {
+    const now = Date.now();
+    successStreak = 0;
+    holdUntil = Math.max(holdUntil, now + retryAfter);
+    if (now - lastBackoffAt >= BACKOFF_COOLDOWN && concurrency > 1) {
+        concurrency = Math.max(1, Math.floor(concurrency / 2));
+        lastBackoffAt = now;
+        console.log(`🐢 Provider is throttling: concurrency lowered to ${concurrency}/${maxConcurrency}`);
+    }
+}
+
+// A provider call succeeded; ramps the limit back up additively
+function reportSuccess() {
+    if (concurrency >= maxConcurrency) {
+        return;
+    }
+    successStreak++;
+    if (successStreak >= concurrency) {
+        successStreak = 0;
+        concurrency++;
+        console.log(`🐇 Provider recovered: concurrency raised to ${concurrency}/${maxConcurrency}`);
+        dispatch();
+    }
+}
+
+// Start queued tasks while slots and rate budget are available
+// Also called when a paused batch resumes or is cancelled
+function dispatch() {
+    let started = false;
+
+    while (running < concurrency) {
+        const sessionId = getDispatchOrder()[0];
+        if (!sessionId) {
+            break;
+        }
+
+        const now = Date.now();
+        const delay = Math.max(getRateDelay(now), holdUntil - now);
+        if (delay > 0) {
+            if (!rateTimer) {
+                rateTimer = setTimeout(() => {
+                    rateTimer = null;
+                    dispatch();
+                }, delay);
+            }
+            break;
+        }
+
+        const queue = queues.get(sessionId);
+        const { task, resolve, reject } = queue.tasks.shift();
+        order = [...order.filter(id => id !== sessionId), sessionId];
+        recentStarts.push(now);
+        running++;
+        queue.running++;
+        started = true;
+
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                running--;
+                queue.running--;
+                dispatch();
+            });
+    }
+
+    if (started) {
+        notify();
+    }
+}
+
+function notify() {
+    if (onChange) {
+        onChange();
+    }
+}
+
+// Queue details for /api/status; position is 1 for the session served next
+// and null while the session has nothing waiting (or is paused)
+function getQueueStatus(sessionId) {
+    const queue = queues.get(sessionId);
+    if (!queue) {
+        return null;
+    }
+    const dispatchOrder = getDispatchOrder();
+    const index = dispatchOrder.indexOf(sessionId);
+    return {
+        position: index === -1 ? null : index + 1,
+        queuedSessions: dispatchOrder.length,
+        waiting: queue.tasks.length,
+        running: queue.running,
+        priority: queue.priority,
+        concurrency,
+        heldUntil: holdUntil > Date.now() ? holdUntil : null
+    };
+}
+
+// Sessions with an open queue, for change notifications
+function listOpenQueues() {
+    return [...queues.keys()];
+}
+
+function describeScheduler() {
+    return {
+        concurrency,
+        maxConcurrency,
+        ratePerMinute,
+        heldUntil: holdUntil > Date.now() ? holdUntil : null,
+        running,
+        activeSessions: queues.size
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    DEFAULT_PRIORITY,
+    configureScheduler,
+    openQueue,
+    closeQueue,
+    schedule,
+    dispatch,
+    reportThrottle,
+    reportSuccess,
+    getQueueStatus,
+    listOpenQueues,
+    describeScheduler
+};
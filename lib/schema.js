@@ -0,0 +1,119 @@
+// Minimal JSON Schema validator for the /api/v1 request and response schemas
+//
+// Supports the subset the API uses: type (string or array of types), enum,
+// properties, required, additionalProperties (boolean or schema), items,
+// minItems/maxItems, minLength/maxLength, pattern, minimum/maximum and $ref to
+// '#/components/schemas/<name>'. The same schemas are published verbatim in
+// the OpenAPI document, so anything outside this subset must not be used.
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(schema, components) {
+    if (!schema.$ref) {
+        return schema;
+    }
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    if (!components[name]) {
+        throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    }
+    return components[name];
+}
+
+function check(schema, value, at, components, errors) {
+    schema = resolve(schema, components);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: at, message: `must be ${types.join(' or ')}` });
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((entry, index) => check(schema.items, entry, `${at}[${index}]`, components, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: at ? `${at}.${key}` : key, message: 'is required' });
+            }
+        }
+        for (const [key, entry] of Object.entries(value)) {
+            const keyPath = at ? `${at}.${key}` : key;
+            if (entry === undefined) {
+                continue;
+            }
+            if (properties[key]) {
+                check(properties[key], entry, keyPath, components, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: keyPath, message: 'is not a known property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, entry, keyPath, components, errors);
+            }
+        }
+    }
+}
+
+// Returns a list of { path, message } problems (empty when the value is valid)
+// Paths start at root, e.g. 'body.files[0]'
+function validate(schema, value, components = {}, root = '') {
+    const errors = [];
+    check(schema, value, root, components, errors);
+    return errors;
+}
+
+module.exports = {
+    validate
+};
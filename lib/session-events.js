@@ -0,0 +1,29 @@
+// Per-session progress events, fanned out to Server-Sent Event streams
+//
+// Event types:
+//   image-started   - a foreground was handed to the provider
+//   retrying        - the provider is backing off before another attempt
+//   image-finished  - a foreground succeeded or failed
+//   queue           - the batch's place in the global queue changed
+//   batch-error     - the batch was paused (circuit breaker) or aborted (auth)
+//   batch-complete  - every image in the batch has a result
+//   session-closed  - the session was cleaned up; streams should end
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open browser tab
+
+function publish(sessionId, type, data = {}) {
+    emitter.emit(sessionId, { type, data });
+}
+
+// Returns an unsubscribe function
+function subscribe(sessionId, listener) {
+    emitter.on(sessionId, listener);
+    return () => emitter.off(sessionId, listener);
+}
+
+module.exports = {
+    publish,
+    subscribe
+};
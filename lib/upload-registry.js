@@ -0,0 +1,129 @@
+// Server-owned registry of uploaded files
+//
+// Clients only ever see opaque upload IDs. Paths on disk never leave the
+// server, and /api/process can only reference files this registry handed out
+// to the same client.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toSafeFolder } = require('./manifest');
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+const uploads = new Map();
+
+function generateUploadId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function isValidUploadId(id) {
+    return typeof id === 'string' && UPLOAD_ID_PATTERN.test(id);
+}
+
+// Record a multer file; the upload ID is the stored filename without extension
+// Files from dropped folders and ZIP archives carry their relative path in
+// originalname ("shirts/blue/IMG_0001.jpg"); it is kept as a safe folder
+function registerUpload(file, kind, ownerId) {
+    const segments = file.originalname.split(/[\\/]+/);
+    const originalName = segments.pop();
+    const entry = {
+        id: path.parse(file.filename).name,
+        kind,
+        ownerId,
+        originalName,
+        folder: toSafeFolder(segments.join('/')),
+        path: file.path,
+        size: file.size,
+        mimetype: file.mimetype,
+        uploadedAt: Date.now(),
+        claimedBy: null
+    };
+    uploads.set(entry.id, entry);
+    return entry;
+}
+
+// Public view of an upload, safe to send to the browser
+function describeUpload(entry) {
+    return {
+        id: entry.id,
+        originalName: entry.originalName,
+        folder: entry.folder,
+        size: entry.size,
+        mimetype: entry.mimetype
+    };
+}
+
+// Look up upload IDs for a process request
+// Returns { entries } or { status, error } with a 4xx status
+function resolveUploads(ids, kind, ownerId) {
+    const entries = [];
+    const seen = new Set();
+
+    for (const id of ids) {
+        if (!isValidUploadId(id)) {
+            return { status: 400, error: `Invalid upload ID: ${String(id).slice(0, 64)}` };
+        }
+        if (seen.has(id)) {
+            return { status: 400, error: `Upload ${id} is listed more than once` };
+        }
+        seen.add(id);
+
+        const entry = uploads.get(id);
+        if (!entry) {
+            return { status: 404, error: `Upload ${id} not found or expired` };
+        }
+        if (entry.ownerId !== ownerId) {
+            return { status: 403, error: `Upload ${id} belongs to another client` };
+        }
+        if (entry.kind !== kind) {
+            return { status: 400, error: `Upload ${id} is not a ${kind} image` };
+        }
+        if (entry.claimedBy) {
+            return { status: 409, error: `Upload ${id} is already being processed` };
+        }
+        entries.push(entry);
+    }
+
+    return { entries };
+}
+
+// Reserve uploads for a processing session so no other batch can use them
+function claimUploads(entries, sessionId) {
+    for (const entry of entries) {
+        entry.claimedBy = sessionId;
+    }
+}
+
+// Delete an upload from disk and forget it
+// Takes the entry itself so uploads restored from a job journal can be released too
+function releaseUpload(entry) {
+    try {
+        if (fs.existsSync(entry.path)) {
+            fs.unlinkSync(entry.path);
+        }
+    } catch (err) {
+        console.error('Error cleaning up file:', err);
+    }
+    uploads.delete(entry.id);
+}
+
+// Drop uploads that were never picked up by a batch
+function releaseStaleUploads(maxAge) {
+    const now = Date.now();
+    for (const entry of uploads.values()) {
+        if (!entry.claimedBy && now - entry.uploadedAt > maxAge) {
+            releaseUpload(entry);
+        }
+    }
+}
+
+module.exports = {
+    generateUploadId,
+    isValidUploadId,
+    registerUpload,
+    describeUpload,
+    resolveUploads,
+    claimUploads,
+    releaseUpload,
+    releaseStaleUploads
+};
@@ -0,0 +1,302 @@
+// Provider call accounting and call budgets
+//
+// Every provider call (each retry attempt counts) is recorded per session and
+// per UTC day with its duration, so the monthly credit usage can be answered
+// from data/usage.json. Only billable providers (see lib/providers) count
+// towards budgets: an optional per-batch cap chosen at /api/process and a
+// server-wide daily cap (DAILY_CALL_BUDGET, adjustable by admins).
+//
+// The server and packshot CLI runs share the ledger. Changes are written at
+// most once per WRITE_INTERVAL, off the event loop; each write reads the file
+// again and adds this process's calls since the last write, so neither
+// process overwrites the other's. flushUsage() writes straight away (batch
+// end, shutdown).
+const fs = require('fs');
+const path = require('path');
+
+const USAGE_FILE = 'usage.json';
+const WRITE_INTERVAL = 1000; // Most frequent rewrite of the ledger (ms)
+
+// date (YYYY-MM-DD) -> provider -> counters
+let days = {};
+// sessionId -> { provider, billable, maxCalls, ...counters }
+let sessions = {};
+let dailyBudget = 0; // 0 = unlimited
+let usagePath = null;
+
+// Changes not written yet: calls per day, sessions of this process, removed sessions
+let unsavedDays = {};
+const ownSessions = new Set();
+let removedSessions = new Set();
+let budgetChanged = false;
+let writeTimer = null;
+let writing = null; // Promise of the running write
+let dirty = false;
+
+function emptyCounters() {
+    return { calls: 0, retries: 0, failures: 0, durationMs: 0 };
+}
+
+function addCall(counters, { retry, success, durationMs }) {
+    counters.calls++;
+    counters.retries += retry ? 1 : 0;
+    counters.failures += success ? 0 : 1;
+    counters.durationMs += durationMs;
+}
+
+function addCounters(counters, other) {
+    counters.calls += other.calls;
+    counters.retries += other.retries;
+    counters.failures += other.failures;
+    counters.durationMs += other.durationMs;
+}
+
+// Add per-day counters into another date -> provider -> counters map
+function addDays(target, source) {
+    for (const [date, providers] of Object.entries(source)) {
+        target[date] = target[date] || {};
+        for (const [name, counters] of Object.entries(providers)) {
+            target[date][name] = target[date][name] || { ...emptyCounters(), billable: counters.billable };
+            addCounters(target[date][name], counters);
+        }
+    }
+    return target;
+}
+
+function getToday() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Sessions this process records calls for; other processes' sessions come from disk
+function getOwnSessions() {
+    return Object.fromEntries([...ownSessions].filter(id => sessions[id]).map(id => [id, sessions[id]]));
+}
+
+async function readSavedUsage() {
+    try {
+        return JSON.parse(await fs.promises.readFile(usagePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Could not read usage ledger ${usagePath}:`, err.message);
+        }
+        return {};
+    }
+}
+
+// Merge this process's changes into the ledger on disk, and take over what
+// other processes recorded meanwhile
+async function writeUsage() {
+    const calls = unsavedDays;
+    const removed = removedSessions;
+    const budgetSaved = budgetChanged;
+    unsavedDays = {};
+    removedSessions = new Set();
+    budgetChanged = false;
+    dirty = false;
+
+    const saved = await readSavedUsage();
+    const mergedDays = addDays(saved.days || {}, calls);
+    const mergedSessions = { ...saved.sessions };
+    for (const sessionId of removed) {
+        delete mergedSessions[sessionId];
+    }
+    Object.assign(mergedSessions, getOwnSessions());
+    const mergedBudget = !budgetSaved && Number.isInteger(saved.dailyBudget) && saved.dailyBudget >= 0
+        ? saved.dailyBudget
+        : dailyBudget;
+
+    const tmpPath = `${usagePath}.${process.pid}.tmp`;
+    try {
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ dailyBudget: mergedBudget, days: mergedDays, sessions: mergedSessions }, null, 2));
+        await fs.promises.rename(tmpPath, usagePath);
+    } catch (err) {
+        // Keep the changes for the next write
+        console.error(`Could not write usage ledger ${usagePath}:`, err.message);
+        unsavedDays = addDays(calls, unsavedDays);
+        removed.forEach(sessionId => removedSessions.add(sessionId));
+        budgetChanged = budgetChanged || budgetSaved;
+        dirty = true;
+        return;
+    }
+
+    // Calls recorded while writing are still to be saved, but already count
+    days = addDays(mergedDays, unsavedDays);
+    sessions = { ...mergedSessions, ...getOwnSessions() };
+    dailyBudget = budgetChanged ? dailyBudget : mergedBudget;
+}
+
+function runWrite() {
+    writeTimer = null;
+    writing = writeUsage().finally(() => {
+        writing = null;
+        if (dirty) {
+            scheduleWrite();
+        }
+    });
+    return writing;
+}
+
+function scheduleWrite() {
+    dirty = true;
+    if (!usagePath || writing || writeTimer) {
+        return;
+    }
+    writeTimer = setTimeout(runWrite, WRITE_INTERVAL);
+}
+
+// Write pending changes now; resolves once they are on disk
+async function flushUsage() {
+    if (!usagePath) {
+        return;
+    }
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    while (writing) {
+        await writing;
+    }
+    await runWrite();
+}
+
+// Read the usage ledger (used once at startup)
+// A daily budget saved through the admin endpoint wins over the default
+function loadUsage(dataDir, { dailyBudget: defaultDailyBudget = 0 } = {}) {
+    usagePath = path.join(dataDir, USAGE_FILE);
+    days = {};
+    sessions = {};
+    dailyBudget = defaultDailyBudget;
+    if (!fs.existsSync(usagePath)) {
+        return;
+    }
+    try {
+        const saved = JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+        days = saved.days || {};
+        sessions = saved.sessions || {};
+        if (Number.isInteger(saved.dailyBudget) && saved.dailyBudget >= 0) {
+            dailyBudget = saved.dailyBudget;
+        }
+    } catch (err) {
+        console.error(`Could not read usage ledger ${usagePath}:`, err.message);
+    }
+}
+
+// Register a batch before its first call; maxCalls is its budget (null = none)
+function openSession(sessionId, provider, maxCalls = null) {
+    sessions[sessionId] = {
+        ...emptyCounters(),
+        ...sessions[sessionId],
+        provider: provider.name,
+        billable: Boolean(provider.billable),
+        maxCalls
+    };
+    ownSessions.add(sessionId);
+    scheduleWrite();
+}
+
+function setSessionBudget(sessionId, maxCalls) {
+    if (sessions[sessionId]) {
+        sessions[sessionId].maxCalls = maxCalls;
+        ownSessions.add(sessionId);
+        scheduleWrite();
+    }
+}
+
+function removeSession(sessionId) {
+    if (sessions[sessionId]) {
+        delete sessions[sessionId];
+        ownSessions.delete(sessionId);
+        removedSessions.add(sessionId);
+        scheduleWrite();
+    }
+}
+
+// Record one provider call: { retry, success, durationMs }
+function recordCall(sessionId, provider, call) {
+    const today = getToday();
+    for (const ledger of [days, unsavedDays]) {
+        ledger[today] = ledger[today] || {};
+        ledger[today][provider.name] = ledger[today][provider.name] || { ...emptyCounters(), billable: Boolean(provider.billable) };
+        addCall(ledger[today][provider.name], call);
+    }
+    // Batches journaled before usage was tracked start counting now
+    sessions[sessionId] = sessions[sessionId]
+        || { ...emptyCounters(), provider: provider.name, billable: Boolean(provider.billable), maxCalls: null };
+    addCall(sessions[sessionId], call);
+    ownSessions.add(sessionId);
+    scheduleWrite();
+}
+
+// Billable calls made today, across providers
+function getBillableCallsToday() {
+    return Object.values(days[getToday()] || {})
+        .filter(counters => counters.billable)
+        .reduce((sum, counters) => sum + counters.calls, 0);
+}
+
+// Billable calls left in today's budget (null = unlimited)
+function getRemainingDailyBudget() {
+    return dailyBudget > 0 ? Math.max(0, dailyBudget - getBillableCallsToday()) : null;
+}
+
+// Why a billable batch may not make another call, or null if it may
+function getBudgetBlocker(sessionId) {
+    const session = sessions[sessionId];
+    if (!session?.billable) {
+        return null;
+    }
+    if (session.maxCalls && session.calls >= session.maxCalls) {
+        return `Batch call budget of ${session.maxCalls} is used up`;
+    }
+    if (dailyBudget > 0 && getBillableCallsToday() >= dailyBudget) {
+        return `Daily call budget of ${dailyBudget} is used up`;
+    }
+    return null;
+}
+
+function getSessionUsage(sessionId) {
+    return sessions[sessionId] || null;
+}
+
+function setDailyBudget(calls) {
+    dailyBudget = calls;
+    budgetChanged = true;
+    scheduleWrite();
+}
+
+// Per-day totals between two dates (inclusive, YYYY-MM-DD)
+function getUsageReport(from, to) {
+    const reportDays = Object.keys(days)
+        .filter(date => date >= from && date <= to)
+        .sort()
+        .map(date => ({ date, providers: days[date] }));
+
+    const totals = {};
+    for (const { providers } of reportDays) {
+        for (const [name, counters] of Object.entries(providers)) {
+            totals[name] = totals[name] || { ...emptyCounters(), billable: counters.billable };
+            addCounters(totals[name], counters);
+        }
+    }
+
+    return {
+        from,
+        to,
+        dailyBudget: dailyBudget || null,
+        billableCallsToday: getBillableCallsToday(),
+        totals,
+        days: reportDays
+    };
+}
+
+module.exports = {
+    loadUsage,
+    flushUsage,
+    openSession,
+    setSessionBudget,
+    removeSession,
+    recordCall,
+    getRemainingDailyBudget,
+    getBudgetBlocker,
+    getSessionUsage,
+    setDailyBudget,
+    getUsageReport
+};
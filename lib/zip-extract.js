@@ -0,0 +1,261 @@
+// Extract foreground images from uploaded ZIP archives
+//
+// Only the central directory is used to list entries, and every entry is
+// inflated on its own with its output capped at the size the directory
+// declares, so a forged header cannot make an entry grow past the limits.
+// The whole archive is checked before anything is written:
+//   zip slip - absolute paths, drive letters and ".." segments reject the archive
+//   zip bomb - limits on the number of images, bytes per image, total bytes
+//              and the compression ratio (JPEG, PNG and WebP barely compress)
+// Extracted images are stored under names chosen by the caller; the entry path
+// only survives as originalname ("shirts/blue/IMG_0001.jpg"), the way multer
+// reports a file uploaded with preservePath. Folders, symlinks, macOS metadata
+// (__MACOSX/, ._*) and non-image entries are skipped. ZIP64, split archives,
+// encryption and compression methods other than stored/deflate are not supported.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const LOCAL_HEADER_SIZE = 30;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+const SYMLINK_MODE = 0o120000;
+
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+const DEFAULT_LIMITS = {
+    maxEntries: 10000,
+    maxImages: 1000,
+    maxImageBytes: 50 * 1024 * 1024,
+    maxTotalBytes: 4 * 1024 * 1024 * 1024,
+    maxRatio: 100
+};
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// End of central directory record; returns { count, offset, size } or { error }
+async function readDirectoryEnd(handle, fileSize) {
+    const tailLength = Math.min(fileSize, EOCD_SIZE + MAX_COMMENT_LENGTH);
+    const tail = await readAt(handle, fileSize - tailLength, tailLength);
+    for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) !== EOCD_SIGNATURE) {
+            continue;
+        }
+        const disk = tail.readUInt16LE(i + 4);
+        const count = tail.readUInt16LE(i + 10);
+        const size = tail.readUInt32LE(i + 12);
+        const offset = tail.readUInt32LE(i + 16);
+        if (disk !== 0 || tail.readUInt16LE(i + 8) !== count) {
+            return { error: 'Split ZIP archives are not supported' };
+        }
+        if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+            return { error: 'ZIP64 archives are not supported (archive too large)' };
+        }
+        if (offset + size > fileSize) {
+            return { error: 'ZIP archive is truncated or corrupt' };
+        }
+        return { count, offset, size };
+    }
+    return { error: 'Not a ZIP archive' };
+}
+
+// Entry path split into folders and filename; null when it would escape the extraction root
+function parseEntryPath(name) {
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) {
+        return null;
+    }
+    const segments = normalized.split('/');
+    if (segments.some(segment => segment === '..')) {
+        return null;
+    }
+    return segments.filter(segment => segment && segment !== '.');
+}
+
+function isSkipped(segments, isDirectory, externalAttributes) {
+    const fileName = segments[segments.length - 1];
+    return isDirectory
+        || !fileName
+        || ((externalAttributes >>> 16) & 0o170000) === SYMLINK_MODE
+        || segments[0] === '__MACOSX'
+        || segments.some(segment => segment.startsWith('.'))
+        || !IMAGE_TYPES[path.extname(fileName).toLowerCase()];
+}
+
+// List the image entries of the central directory, enforcing every limit up front
+// Returns { entries } or { status, error }
+function listImageEntries(directory, count, limits) {
+    if (count > limits.maxEntries) {
+        return { status: 400, error: `ZIP archive has too many entries (max ${limits.maxEntries})` };
+    }
+
+    const entries = [];
+    let totalBytes = 0;
+    let position = 0;
+    for (let n = 0; n < count; n++) {
+        if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_SIGNATURE) {
+            return { status: 400, error: 'ZIP archive is truncated or corrupt' };
+        }
+        const flags = directory.readUInt16LE(position + 8);
+        const method = directory.readUInt16LE(position + 10);
+        const crc = directory.readUInt32LE(position + 16);
+        const compressedSize = directory.readUInt32LE(position + 20);
+        const size = directory.readUInt32LE(position + 24);
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        const externalAttributes = directory.readUInt32LE(position + 38);
+        const localOffset = directory.readUInt32LE(position + 42);
+        const name = directory.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+        position += 46 + nameLength + extraLength + commentLength;
+
+        const segments = parseEntryPath(name);
+        if (!segments) {
+            return { status: 400, error: `ZIP archive entry escapes the archive folder: ${name.slice(0, 128)}` };
+        }
+        if (isSkipped(segments, name.endsWith('/') || name.endsWith('\\'), externalAttributes)) {
+            continue;
+        }
+        if (flags & FLAG_ENCRYPTED) {
+            return { status: 400, error: `Encrypted ZIP entries are not supported: ${name}` };
+        }
+        if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+            return { status: 400, error: `Unsupported compression method ${method} for ${name}` };
+        }
+        if (entries.length === limits.maxImages) {
+            return { status: 400, error: `ZIP archive contains more than ${limits.maxImages} images` };
+        }
+        if (size > limits.maxImageBytes || compressedSize > limits.maxImageBytes) {
+            return { status: 413, error: `${name} is larger than ${Math.round(limits.maxImageBytes / 1024 / 1024)} MB` };
+        }
+        if (size > Math.max(compressedSize, 1) * limits.maxRatio) {
+            return { status: 400, error: `${name} has a suspicious compression ratio` };
+        }
+        totalBytes += size;
+        if (totalBytes > limits.maxTotalBytes) {
+            return { status: 413, error: `ZIP archive expands to more than ${Math.round(limits.maxTotalBytes / 1024 / 1024)} MB of images` };
+        }
+
+        entries.push({ name: segments.join('/'), method, crc, compressedSize, size, localOffset });
+    }
+    return { entries };
+}
+
+// Read and decompress one entry, checking its size and checksum
+async function readEntry(handle, fileSize, entry) {
+    const header = await readAt(handle, entry.localOffset, LOCAL_HEADER_SIZE);
+    if (header.length < LOCAL_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+        throw new Error(`ZIP archive is corrupt at ${entry.name}`);
+    }
+    const dataOffset = entry.localOffset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (dataOffset + entry.compressedSize > fileSize) {
+        throw new Error(`ZIP archive is truncated at ${entry.name}`);
+    }
+
+    const compressed = await readAt(handle, dataOffset, entry.compressedSize);
+    let data = compressed;
+    if (entry.method === METHOD_DEFLATE) {
+        try {
+            // maxOutputLength stops inflation as soon as the entry outgrows its declared size
+            data = await inflateRaw(compressed, { maxOutputLength: Math.max(entry.size, 1) });
+        } catch (err) {
+            throw new Error(`Could not decompress ${entry.name}: ${err.message}`);
+        }
+    }
+    if (data.length !== entry.size || crc32(data) !== entry.crc) {
+        throw new Error(`ZIP archive entry is corrupt: ${entry.name}`);
+    }
+    return data;
+}
+
+// Extract the images of zipPath into targetDir, naming each stored file nameFile(extension)
+// Returns { files } with multer-style file objects, or { status, error };
+// nothing is left in targetDir when extraction fails
+async function extractImages(zipPath, targetDir, { nameFile, ...limitOptions }) {
+    const limits = { ...DEFAULT_LIMITS, ...limitOptions };
+    const files = [];
+    let handle;
+    try {
+        handle = await fs.promises.open(zipPath, 'r');
+        const { size: fileSize } = await handle.stat();
+
+        const end = await readDirectoryEnd(handle, fileSize);
+        if (end.error) {
+            return { status: 400, error: end.error };
+        }
+        const directory = await readAt(handle, end.offset, end.size);
+        const listed = listImageEntries(directory, end.count, limits);
+        if (listed.error) {
+            return listed;
+        }
+
+        for (const entry of listed.entries) {
+            const data = await readEntry(handle, fileSize, entry);
+            const extension = path.extname(entry.name).toLowerCase();
+            const filename = nameFile(extension);
+            const filePath = path.join(targetDir, filename);
+            await fs.promises.writeFile(filePath, data);
+            files.push({
+                filename,
+                originalname: entry.name,
+                path: filePath,
+                size: data.length,
+                mimetype: IMAGE_TYPES[extension]
+            });
+        }
+        return { files };
+    } catch (err) {
+        for (const file of files) {
+            fs.rmSync(file.path, { force: true });
+        }
+        return { status: 400, error: err.message };
+    } finally {
+        await handle?.close();
+    }
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    DEFAULT_LIMITS,
+    extractImages
+};
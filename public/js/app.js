@@ -2,15 +2,74 @@
 // Jasper Image Processor - Frontend Application
 // =====================================================
 
+// Consecutive event stream errors before falling back to polling
+const MAX_STREAM_FAILURES = 3;
+
+// Matches MAX_BACKGROUND_FILES on the server
+const MAX_BACKGROUNDS = 10;
+
+// Resumable uploads: files sent side by side, and tries per chunk before a file gives up
+const PARALLEL_UPLOADS = 3;
+const MAX_CHUNK_ATTEMPTS = 8;
+// Upload IDs are kept per file so a reload (and re-selecting the files) resumes them
+const UPLOAD_STORAGE_PREFIX = 'packshot-upload:';
+
+// ZIP archives are extracted on the server; browsers disagree on their MIME type
+function isZipFile(file) {
+    return /\.zip$/i.test(file.name);
+}
+
+// Path shown and uploaded for a foreground: relative to a dropped folder, or just the name
+function getRelativePath(file) {
+    return file.relativePath || file.name;
+}
+
+// Manifest warnings listed in the results before collapsing into a count
+const MAX_LISTED_WARNINGS = 10;
+
+// Results gallery
+// Status filters, then review filters (which only apply to succeeded images)
+const GALLERY_FILTERS = ['all', 'succeeded', 'flagged', 'failed', 'skipped', 'pending', 'approved', 'rejected'];
+const GALLERY_FILTER_LABELS = { pending: 'To review' };
+const REVIEW_LABELS = { pending: 'To review', approved: 'Approved', rejected: 'Rejected' };
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4, 6, 8];
+
+// Per-image placement, as defaulted by the server (lib/placement)
+const DEFAULT_PLACEMENT = { scale: 90, anchor: 'center', x: 50, y: 50, offsetX: 0, offsetY: 0, margin: 0 };
+const RERUN_POLL_INTERVAL = 1000;
+
 class ImageProcessor {
     constructor() {
         this.uploadedFiles = [];
-        this.backgroundFile = null;
-        this.backgroundDimensions = { width: 0, height: 0 };
+        this.backgrounds = [];  // { file, dimensions, pattern }
+        this.manifestFile = null;
         this.sessionId = null;
+        this.providers = [];
+        this.provider = null;
+        this.presets = [];
+        this.eventSource = null;
+        this.activeImages = new Set();
+        this.queue = null;
+        this.batchError = null;
+        this.isPaused = false;
+        this.isCancelled = false;
+        this.isOpen = false;
+        this.processedImages = 0;
+        this.results = [];
+        this.galleryFilter = 'all';
+        this.galleryResults = [];  // Results shown under the current filter
+        this.viewerPosition = -1;  // Index into galleryResults, -1 while the viewer is closed
+        this.viewerMode = 'compare';
+        this.viewerZoom = 1;
+        this.resultsVersion = 0;   // Changes per showResults, so retried outputs are not shown from memory
+        this.reviewRequests = Promise.resolve();
+        this.rerunRequests = Promise.resolve();  // Re-runs wait for each other (one batch per session at a time)
+        this.rerunning = new Map();               // Item ID -> placement of images queued or running again
         
         this.initElements();
         this.bindEvents();
+        this.loadProviders();
+        this.loadPresets();
     }
 
     initElements() {
@@ -21,25 +80,94 @@ class ImageProcessor {
         this.fileItems = document.getElementById('fileItems');
         this.fileCount = document.getElementById('fileCount');
         this.clearFilesBtn = document.getElementById('clearFiles');
+        this.manifestInput = document.getElementById('manifestInput');
+        this.clearManifestBtn = document.getElementById('clearManifest');
 
         // Background elements
         this.bgDropzone = document.getElementById('bgDropzone');
         this.bgFileInput = document.getElementById('bgFileInput');
-        this.backgroundPreview = document.getElementById('backgroundPreview');
-        this.bgPreviewImage = document.getElementById('bgPreviewImage');
-        this.bgPreviewName = document.getElementById('bgPreviewName');
-        this.bgPreviewDimensions = document.getElementById('bgPreviewDimensions');
-        this.clearBackgroundBtn = document.getElementById('clearBackground');
+        this.backgroundList = document.getElementById('backgroundList');
+        this.backgroundMode = document.getElementById('backgroundMode');
+        this.batchMode = document.getElementById('batchMode');
+        this.batchModeHint = document.getElementById('batchModeHint');
+        this.fallbackLabel = document.getElementById('fallbackLabel');
+        this.fallbackBackground = document.getElementById('fallbackBackground');
+
+        // Provider elements
+        this.providerSelect = document.getElementById('providerSelect');
+        this.providerHint = document.getElementById('providerHint');
+        this.useCache = document.getElementById('useCache');
+        this.prioritySelect = document.getElementById('prioritySelect');
+        this.maxCalls = document.getElementById('maxCalls');
+        this.apiStatus = document.getElementById('apiStatus');
+        this.apiStatusText = document.getElementById('apiStatusText');
+
+        // Output settings elements
+        this.outputFormat = document.getElementById('outputFormat');
+        this.outputQuality = document.getElementById('outputQuality');
+        this.outputChroma = document.getElementById('outputChroma');
+        this.outputProgressive = document.getElementById('outputProgressive');
+        this.outputMozjpeg = document.getElementById('outputMozjpeg');
+        this.outputStripMetadata = document.getElementById('outputStripMetadata');
+
+        // Naming elements
+        this.namingTemplate = document.getElementById('namingTemplate');
+        this.namingCollision = document.getElementById('namingCollision');
+
+        // Export preset elements
+        this.presetList = document.getElementById('presetList');
+        this.keepComposite = document.getElementById('keepComposite');
+        this.savePresetBtn = document.getElementById('savePresetBtn');
+        this.presetHint = document.getElementById('presetHint');
+
+        // Restore resolution elements
+        this.restoreMode = document.getElementById('restoreMode');
+        this.restoreWidth = document.getElementById('restoreWidth');
+        this.restoreHeight = document.getElementById('restoreHeight');
+        this.restoreKernel = document.getElementById('restoreKernel');
+        this.restoreSharpen = document.getElementById('restoreSharpen');
 
         // Process elements
         this.processBtn = document.getElementById('processBtn');
         this.progressSection = document.getElementById('progressSection');
         this.progressFill = document.getElementById('progressFill');
         this.progressCount = document.getElementById('progressCount');
+        this.progressTitle = document.getElementById('progressTitle');
         this.currentFile = document.getElementById('currentFile');
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.cancelBtn = document.getElementById('cancelBtn');
         this.resultsSection = document.getElementById('resultsSection');
         this.resultsSummary = document.getElementById('resultsSummary');
         this.resultsList = document.getElementById('resultsList');
+
+        // Before/after viewer elements
+        this.viewer = document.getElementById('viewer');
+        this.viewerTitle = document.getElementById('viewerTitle');
+        this.viewerModeBtn = document.getElementById('viewerModeBtn');
+        this.viewerZoomOutBtn = document.getElementById('viewerZoomOutBtn');
+        this.viewerZoomInBtn = document.getElementById('viewerZoomInBtn');
+        this.viewerZoomLabel = document.getElementById('viewerZoom');
+        this.viewerCloseBtn = document.getElementById('viewerCloseBtn');
+        this.viewerPrevBtn = document.getElementById('viewerPrevBtn');
+        this.viewerNextBtn = document.getElementById('viewerNextBtn');
+        this.viewerStage = document.getElementById('viewerStage');
+        this.viewerCanvas = document.getElementById('viewerCanvas');
+        this.viewerBefore = document.getElementById('viewerBefore');
+        this.viewerAfter = document.getElementById('viewerAfter');
+        this.viewerAfterFigure = document.getElementById('viewerAfterFigure');
+        this.viewerSlider = document.getElementById('viewerSlider');
+        this.viewerInfo = document.getElementById('viewerInfo');
+        this.viewerReview = document.getElementById('viewerReview');
+        this.viewerReviewStatus = document.getElementById('viewerReviewStatus');
+        this.viewerNote = document.getElementById('viewerNote');
+        this.viewerApproveBtn = document.getElementById('viewerApproveBtn');
+        this.viewerRejectBtn = document.getElementById('viewerRejectBtn');
+        this.viewerResetBtn = document.getElementById('viewerResetBtn');
+        this.viewerPlacement = document.getElementById('viewerPlacement');
+        this.viewerPlacementFields = this.viewerPlacement.querySelectorAll('[data-placement]');
+        this.viewerRerunBtn = document.getElementById('viewerRerunBtn');
+        this.viewerPlacementResetBtn = document.getElementById('viewerPlacementResetBtn');
+        this.viewerPlacementStatus = document.getElementById('viewerPlacementStatus');
     }
 
     bindEvents() {
@@ -50,6 +178,10 @@ class ImageProcessor {
         this.dropzone.addEventListener('drop', (e) => this.handleDrop(e));
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         this.clearFilesBtn.addEventListener('click', () => this.clearFiles());
+        this.manifestInput.addEventListener('change', () => {
+            this.manifestFile = this.manifestInput.files[0] || null;
+        });
+        this.clearManifestBtn.addEventListener('click', () => this.clearManifest());
 
         // Background dropzone events
         this.bgDropzone.addEventListener('click', () => this.bgFileInput.click());
@@ -57,10 +189,44 @@ class ImageProcessor {
         this.bgDropzone.addEventListener('dragleave', () => this.bgDropzone.classList.remove('drag-over'));
         this.bgDropzone.addEventListener('drop', (e) => this.handleBgDrop(e));
         this.bgFileInput.addEventListener('change', (e) => this.handleBgFileSelect(e));
-        this.clearBackgroundBtn.addEventListener('click', () => this.clearBackground());
+        this.batchMode.addEventListener('change', () => this.updateBackgroundList());
+
+        // Provider events
+        this.providerSelect.addEventListener('change', () => this.setProvider(this.providerSelect.value));
+
+        // Output settings events
+        this.outputFormat.addEventListener('change', () => this.updateOutputOptions());
+        this.updateOutputOptions();
+        this.savePresetBtn.addEventListener('click', () => this.savePreset());
+        this.restoreMode.addEventListener('change', () => this.updateRestoreOptions());
+        this.updateRestoreOptions();
 
         // Process events
         this.processBtn.addEventListener('click', () => this.startProcessing());
+        this.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.cancelBtn.addEventListener('click', () => this.cancelBatch());
+
+        // Results gallery and viewer events
+        this.resultsList.addEventListener('click', (e) => this.handleGalleryClick(e));
+        this.viewerCloseBtn.addEventListener('click', () => this.closeViewer());
+        this.viewerPrevBtn.addEventListener('click', () => this.showViewerItem(this.viewerPosition - 1));
+        this.viewerNextBtn.addEventListener('click', () => this.showViewerItem(this.viewerPosition + 1));
+        this.viewerModeBtn.addEventListener('click', () => this.toggleViewerMode());
+        this.viewerZoomInBtn.addEventListener('click', () => this.stepZoom(1));
+        this.viewerZoomOutBtn.addEventListener('click', () => this.stepZoom(-1));
+        this.viewerSlider.addEventListener('input', () => this.updateViewerSplit());
+        this.viewerStage.addEventListener('wheel', (e) => this.handleViewerWheel(e), { passive: false });
+        this.viewerStage.addEventListener('pointerdown', (e) => this.startViewerPan(e));
+        this.viewerStage.addEventListener('dblclick', (e) => this.setZoom(this.viewerZoom > 1 ? 1 : 2, e));
+        this.viewerApproveBtn.addEventListener('click', () => this.reviewViewerItem('approved'));
+        this.viewerRejectBtn.addEventListener('click', () => this.reviewViewerItem('rejected'));
+        this.viewerResetBtn.addEventListener('click', () => this.reviewViewerItem('pending'));
+        this.viewerNote.addEventListener('change', () => this.saveViewerNote());
+        this.viewerPlacement.querySelector('[data-placement="anchor"]')
+            .addEventListener('change', () => this.updatePlacementFields());
+        this.viewerRerunBtn.addEventListener('click', () => this.rerunViewerItem());
+        this.viewerPlacementResetBtn.addEventListener('click', () => this.setPlacementFields(DEFAULT_PLACEMENT));
+        document.addEventListener('keydown', (e) => this.handleGalleryKey(e));
     }
 
     // =====================================================
@@ -73,13 +239,52 @@ class ImageProcessor {
         this.dropzone.classList.add('drag-over');
     }
 
-    handleDrop(e) {
+    async handleDrop(e) {
         e.preventDefault();
         e.stopPropagation();
         this.dropzone.classList.remove('drag-over');
-        
-        const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
-        this.addFiles(files);
+
+        // Entries must be taken before the first await; the drop data is cleared afterwards
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        try {
+            const files = entries.length > 0
+                ? await this.readDroppedEntries(entries)
+                : Array.from(e.dataTransfer.files);
+            this.addFiles(files.filter(f => f.type.startsWith('image/') || isZipFile(f)));
+        } catch (error) {
+            console.error('Drop error:', error);
+            this.showError('Could not read the dropped folder');
+        }
+    }
+
+    // Files of dropped entries, walking into folders; each file remembers its
+    // path relative to the drop ("shoot/shirts/IMG_0001.jpg")
+    async readDroppedEntries(entries) {
+        const files = [];
+        const visit = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                file.relativePath = entry.fullPath.replace(/^\/+/, '');
+                files.push(file);
+            } else if (entry.isDirectory) {
+                // readEntries returns a folder in batches until it comes back empty
+                const reader = entry.createReader();
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await visit(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+        for (const entry of entries) {
+            await visit(entry);
+        }
+        return files;
     }
 
     handleFileSelect(e) {
@@ -91,7 +296,7 @@ class ImageProcessor {
     addFiles(files) {
         files.forEach(file => {
             // Avoid duplicates
-            if (!this.uploadedFiles.some(f => f.name === file.name && f.size === file.size)) {
+            if (!this.uploadedFiles.some(f => getRelativePath(f) === getRelativePath(file) && f.size === file.size)) {
                 this.uploadedFiles.push(file);
             }
         });
@@ -114,8 +319,9 @@ class ImageProcessor {
                     ${this.createThumbnail(file)}
                 </div>
                 <div class="file-item-info">
-                    <div class="file-item-name">${file.name}</div>
+                    <div class="file-item-name">${getRelativePath(file)}</div>
                     <div class="file-item-size">${this.formatFileSize(file.size)}</div>
+                    <div class="file-item-progress"><div class="file-item-progress-bar"></div></div>
                 </div>
                 <button class="file-item-remove" data-index="${index}">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -136,6 +342,11 @@ class ImageProcessor {
     }
 
     createThumbnail(file) {
+        if (isZipFile(file)) {
+            return `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 8v13H3V3h12l6 5z"/><path d="M10 3v2m0 2v2m0 2v2"/>
+            </svg>`;
+        }
         const url = URL.createObjectURL(file);
         return `<img src="${url}" alt="${file.name}" onload="URL.revokeObjectURL(this.src)">`;
     }
@@ -160,6 +371,19 @@ class ImageProcessor {
         this.updateProcessButton();
     }
 
+    clearManifest() {
+        this.manifestFile = null;
+        this.manifestInput.value = '';
+    }
+
+    // Manifest for /api/process, sent inline; the server parses and matches it
+    async getManifest() {
+        if (!this.manifestFile) {
+            return undefined;
+        }
+        return { name: this.manifestFile.name, content: await this.manifestFile.text() };
+    }
+
     // =====================================================
     // Background Image Handling
     // =====================================================
@@ -176,28 +400,31 @@ class ImageProcessor {
         this.bgDropzone.classList.remove('drag-over');
         
         const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
-        if (files.length > 0) {
-            this.setBackgroundFile(files[0]);
-        }
+        this.addBackgrounds(files);
     }
 
     handleBgFileSelect(e) {
         const files = Array.from(e.target.files);
-        if (files.length > 0) {
-            this.setBackgroundFile(files[0]);
-        }
+        this.addBackgrounds(files);
         this.bgFileInput.value = '';
     }
 
-    async setBackgroundFile(file) {
-        this.backgroundFile = file;
-        
-        // Get dimensions using Image object
-        const dimensions = await this.getImageDimensions(file);
-        this.backgroundDimensions = dimensions;
-        
-        // Update preview
-        this.updateBackgroundPreview();
+    async addBackgrounds(files) {
+        for (const file of files) {
+            if (this.backgrounds.length >= MAX_BACKGROUNDS) {
+                this.showError(`At most ${MAX_BACKGROUNDS} backgrounds per batch`);
+                break;
+            }
+            // Avoid duplicates
+            if (this.backgrounds.some(bg => bg.file.name === file.name && bg.file.size === file.size)) {
+                continue;
+            }
+            // Get dimensions using Image object
+            const dimensions = await this.getImageDimensions(file);
+            this.backgrounds.push({ file, dimensions, pattern: '' });
+        }
+
+        this.updateBackgroundList();
         this.updateProcessButton();
     }
 
@@ -215,104 +442,705 @@ class ImageProcessor {
         });
     }
 
-    updateBackgroundPreview() {
-        if (!this.backgroundFile) {
-            this.backgroundPreview.classList.remove('active');
-            this.bgDropzone.style.display = '';
-            return;
+    updateBackgroundList() {
+        const multiple = this.backgrounds.length > 1;
+        const mapping = multiple && this.batchMode.value === 'mapping';
+
+        this.backgroundList.innerHTML = this.backgrounds.map((bg, index) => `
+            <div class="background-preview">
+                <div class="bg-preview-image">${this.createThumbnail(bg.file)}</div>
+                <div class="bg-preview-info">
+                    <div class="bg-preview-name">${bg.file.name}</div>
+                    <div class="bg-preview-dimensions">${bg.dimensions.width} × ${bg.dimensions.height} px</div>
+                    <input type="text" class="option-input bg-preview-pattern ${mapping ? '' : 'hidden'}"
+                           data-index="${index}" placeholder="Filename pattern, e.g. *-red*.png" value="${bg.pattern}">
+                    <button class="btn btn-ghost btn-sm bg-preview-remove" data-index="${index}">Remove</button>
+                </div>
+            </div>
+        `).join('');
+
+        this.backgroundList.querySelectorAll('.bg-preview-pattern').forEach(input => {
+            input.addEventListener('input', () => {
+                this.backgrounds[parseInt(input.dataset.index)].pattern = input.value;
+            });
+        });
+        this.backgroundList.querySelectorAll('.bg-preview-remove').forEach(btn => {
+            btn.addEventListener('click', () => this.removeBackground(parseInt(btn.dataset.index)));
+        });
+
+        // Mode options only matter with more than one background
+        this.backgroundMode.classList.toggle('active', multiple);
+        this.fallbackLabel.classList.toggle('hidden', !mapping);
+        this.batchModeHint.textContent = mapping
+            ? 'Images go to the first background whose pattern matches their filename.'
+            : 'Every image is composited onto every background, one folder per background.';
+
+        const fallback = this.fallbackBackground.value;
+        this.fallbackBackground.innerHTML = '<option value="">None (unmatched images fail)</option>' +
+            this.backgrounds.map((bg, index) => `<option value="${index}">${bg.file.name}</option>`).join('');
+        if (fallback && parseInt(fallback) < this.backgrounds.length) {
+            this.fallbackBackground.value = fallback;
         }
+    }
 
-        this.bgDropzone.style.display = 'none';
-        this.backgroundPreview.classList.add('active');
-        
-        // Set thumbnail
-        const url = URL.createObjectURL(this.backgroundFile);
-        this.bgPreviewImage.innerHTML = `<img src="${url}" alt="Background" onload="URL.revokeObjectURL(this.src)">`;
-        
-        // Set name and dimensions
-        this.bgPreviewName.textContent = this.backgroundFile.name;
-        this.bgPreviewDimensions.textContent = `${this.backgroundDimensions.width} × ${this.backgroundDimensions.height} px`;
+    removeBackground(index) {
+        this.backgrounds.splice(index, 1);
+        this.fallbackBackground.value = '';
+        this.updateBackgroundList();
+        this.updateProcessButton();
     }
 
-    clearBackground() {
-        this.backgroundFile = null;
-        this.backgroundDimensions = { width: 0, height: 0 };
-        this.updateBackgroundPreview();
+    clearBackgrounds() {
+        this.backgrounds = [];
+        this.updateBackgroundList();
         this.updateProcessButton();
     }
 
+    // Mode and mapping for /api/process, using the background IDs returned by /api/upload
+    getBatchMapping(backgroundIds) {
+        if (this.backgrounds.length < 2) {
+            return {};
+        }
+        if (this.batchMode.value !== 'mapping') {
+            return { mode: 'matrix' };
+        }
+
+        const fallback = this.fallbackBackground.value;
+        return {
+            mode: 'mapping',
+            mapping: {
+                rules: this.backgrounds
+                    .map((bg, index) => ({ pattern: bg.pattern.trim(), background: backgroundIds[index] }))
+                    .filter(rule => rule.pattern),
+                fallback: fallback === '' ? undefined : backgroundIds[parseInt(fallback)]
+            }
+        };
+    }
+
     // =====================================================
-    // Processing
+    // Provider Selection
     // =====================================================
 
-    updateProcessButton() {
-        const canProcess = this.uploadedFiles.length > 0 && 
-                           this.backgroundFile !== null;
-        this.processBtn.disabled = !canProcess;
+    async loadProviders() {
+        try {
+            const response = await fetch('/api/providers');
+            const data = await response.json();
+            this.providers = data.providers;
+
+            this.providerSelect.innerHTML = this.providers.map(provider => `
+                <option value="${provider.name}" ${provider.available ? '' : 'disabled'}>
+                    ${provider.label}${provider.available ? '' : ' (unavailable)'}
+                </option>
+            `).join('');
+
+            // Prefer the server default, fall back to the first usable provider
+            const preferred = this.providers.find(p => p.name === data.defaultProvider && p.available)
+                || this.providers.find(p => p.available)
+                || this.providers[0];
+            this.setProvider(preferred ? preferred.name : null);
+        } catch (error) {
+            console.error('Failed to load providers:', error);
+            this.setApiStatus('error', 'Could not reach server');
+        }
     }
 
-    async startProcessing() {
-        if (this.uploadedFiles.length === 0 || !this.backgroundFile) return;
+    setProvider(name) {
+        const provider = this.providers.find(p => p.name === name) || null;
+        this.provider = provider;
+        this.providerSelect.value = name || '';
 
-        // First, upload foreground files and background to server
-        const formData = new FormData();
-        this.uploadedFiles.forEach(file => {
-            formData.append('images', file);
-        });
-        formData.append('background', this.backgroundFile);
+        if (!provider) {
+            this.providerHint.textContent = '';
+            this.setApiStatus('error', 'No compositing provider available');
+        } else if (provider.available) {
+            this.providerHint.textContent = provider.description;
+            this.providerHint.classList.remove('error');
+            this.setApiStatus('active', `${provider.label} ready`);
+        } else {
+            this.providerHint.textContent = provider.reason;
+            this.providerHint.classList.add('error');
+            this.setApiStatus('error', `${provider.label} unavailable`);
+        }
+
+        this.updateProcessButton();
+    }
+
+    setApiStatus(status, text) {
+        this.apiStatus.querySelector('.status-dot').className = `status-dot ${status}`;
+        this.apiStatusText.textContent = text;
+    }
+
+    // =====================================================
+    // Output Settings
+    // =====================================================
+
+    // Grey out options the chosen format ignores
+    updateOutputOptions() {
+        const format = this.outputFormat.value;
+        const reencodes = format !== 'original';
+        const applies = {
+            outputQuality: reencodes && format !== 'png',
+            outputChroma: ['jpeg', 'webp', 'avif'].includes(format),
+            outputProgressive: ['jpeg', 'png'].includes(format),
+            outputMozjpeg: format === 'jpeg',
+            outputStripMetadata: reencodes
+        };
+
+        for (const [key, enabled] of Object.entries(applies)) {
+            this[key].disabled = !enabled;
+            this[key].closest('label').classList.toggle('disabled', !enabled);
+        }
+    }
 
+    getOutputSettings() {
+        return {
+            format: this.outputFormat.value,
+            quality: parseInt(this.outputQuality.value, 10) || 90,
+            chromaSubsampling: this.outputChroma.value,
+            progressive: this.outputProgressive.checked,
+            mozjpeg: this.outputMozjpeg.checked,
+            stripMetadata: this.outputStripMetadata.checked
+        };
+    }
+
+    getNamingSettings() {
+        return {
+            template: this.namingTemplate.value,
+            collision: this.namingCollision.value
+        };
+    }
+
+    // =====================================================
+    // Export Presets
+    // =====================================================
+
+    async loadPresets() {
         try {
-            this.processBtn.disabled = true;
-            this.processBtn.querySelector('.btn-text').textContent = 'Uploading...';
+            const response = await fetch('/api/presets');
+            const data = await response.json();
+            this.presets = data.presets;
+            this.renderPresets();
+        } catch (error) {
+            console.error('Failed to load export presets:', error);
+        }
+    }
 
-            // Upload files
-            const uploadResponse = await fetch('/api/upload', {
-                method: 'POST',
-                body: formData
-            });
+    renderPresets() {
+        const selected = new Set(this.getExportSettings().presets);
+
+        this.presetList.innerHTML = this.presets.map(preset => `
+            <div class="preset-item">
+                <label class="option-check">
+                    <input type="checkbox" value="${preset.name}" ${selected.has(preset.name) ? 'checked' : ''}>
+                    <span>${this.escapeHtml(preset.label)}</span>
+                    <span class="preset-size">${preset.width} × ${preset.height} · ${Math.round(preset.fill * 100)}% · ${preset.format.toUpperCase()}</span>
+                </label>
+                ${preset.builtIn ? '' : `<button class="btn btn-ghost btn-sm" data-preset="${preset.name}">Delete</button>`}
+            </div>
+        `).join('');
 
-            const uploadData = await uploadResponse.json();
+        this.presetList.querySelectorAll('button[data-preset]').forEach(btn => {
+            btn.addEventListener('click', () => this.deletePreset(btn.dataset.preset));
+        });
+    }
 
-            if (!uploadData.success) {
-                throw new Error(uploadData.error || 'Upload failed');
-            }
+    getExportSettings() {
+        const checked = this.presetList.querySelectorAll('input[type="checkbox"]:checked');
+        return {
+            presets: Array.from(checked).map(input => input.value),
+            keepComposite: this.keepComposite.checked
+        };
+    }
 
-            // Start processing
-            this.processBtn.querySelector('.btn-text').textContent = 'Processing...';
-            this.showProgress();
+    async savePreset() {
+        const value = (id) => document.getElementById(id).value;
+        const preset = {
+            name: value('presetName').trim(),
+            label: value('presetLabel').trim(),
+            width: parseInt(value('presetWidth'), 10),
+            height: parseInt(value('presetHeight'), 10),
+            fill: (parseInt(value('presetFill'), 10) || 100) / 100,
+            padding: value('presetPadding'),
+            format: value('presetFormat'),
+            quality: parseInt(value('presetQuality'), 10) || 90,
+            trim: document.getElementById('presetTrim').checked
+        };
 
-            const processResponse = await fetch('/api/process', {
+        try {
+            const response = await fetch('/api/presets', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    files: uploadData.files,
-                    backgroundFile: uploadData.backgroundFile,
-                    backgroundDimensions: this.backgroundDimensions
-                })
+                body: JSON.stringify(preset)
             });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Could not save preset');
+            }
+            this.presetHint.textContent = `Saved "${data.preset.label}"`;
+            this.presetHint.classList.remove('error');
+            await this.loadPresets();
+        } catch (error) {
+            this.presetHint.textContent = error.message;
+            this.presetHint.classList.add('error');
+        }
+    }
 
-            const processData = await processResponse.json();
+    async deletePreset(name) {
+        try {
+            const response = await fetch(`/api/presets/${encodeURIComponent(name)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Could not delete preset');
+            }
+            await this.loadPresets();
+        } catch (error) {
+            this.presetHint.textContent = error.message;
+            this.presetHint.classList.add('error');
+        }
+    }
+
+    updateRestoreOptions() {
+        const mode = this.restoreMode.value;
+        const applies = {
+            restoreWidth: mode === 'custom',
+            restoreHeight: mode === 'custom',
+            restoreKernel: mode !== 'off',
+            restoreSharpen: mode !== 'off'
+        };
+
+        for (const [key, enabled] of Object.entries(applies)) {
+            this[key].disabled = !enabled;
+            this[key].closest('label').classList.toggle('disabled', !enabled);
+        }
+    }
+
+    getRestoreSettings() {
+        return {
+            mode: this.restoreMode.value,
+            width: parseInt(this.restoreWidth.value, 10) || null,
+            height: parseInt(this.restoreHeight.value, 10) || null,
+            kernel: this.restoreKernel.value,
+            sharpen: parseFloat(this.restoreSharpen.value) || 0
+        };
+    }
+
+    // =====================================================
+    // Processing
+    // =====================================================
 
-            if (!processData.success) {
-                throw new Error(processData.error || 'Processing failed');
+    updateProcessButton() {
+        const canProcess = this.uploadedFiles.length > 0 && 
+                           this.backgrounds.length > 0 &&
+                           this.provider !== null &&
+                           this.provider.available;
+        this.processBtn.disabled = !canProcess;
+    }
+
+    async startProcessing() {
+        if (this.uploadedFiles.length === 0 || this.backgrounds.length === 0) return;
+
+        this.processBtn.disabled = true;
+        this.processBtn.querySelector('.btn-text').textContent = 'Uploading...';
+        this.sessionId = null;
+
+        try {
+            // Backgrounds go first; the batch starts as soon as the first images are up
+            const backgroundIds = [];
+            for (const bg of this.backgrounds) {
+                const files = await this.uploadResumable(bg.file, 'background');
+                backgroundIds.push(...files.map(file => file.id));
             }
 
-            // Store session ID for download
-            this.sessionId = processData.sessionId;
+            // A manifest needs every image up front; without one the batch starts open
+            // and takes the remaining images as they arrive
+            const manifest = await this.getManifest();
+            const batchOptions = {
+                backgroundFiles: backgroundIds,
+                ...this.getBatchMapping(backgroundIds),
+                manifest,
+                provider: this.provider.name,
+                output: this.getOutputSettings(),
+                restore: this.getRestoreSettings(),
+                naming: this.getNamingSettings(),
+                exports: this.getExportSettings(),
+                useCache: this.useCache.checked,
+                priority: this.prioritySelect.value,
+                maxCalls: this.maxCalls.value ? parseInt(this.maxCalls.value, 10) : undefined,
+                open: !manifest
+            };
 
-            // Poll for status
-            this.pollStatus();
+            // Batch requests run one after another so appends never overtake the start
+            let batchRequests = Promise.resolve();
+            const uploadedIds = [];
+            const onUploaded = (files) => {
+                const ids = files.map(file => file.id);
+                uploadedIds.push(...ids);
+                if (!manifest && ids.length > 0) {
+                    batchRequests = batchRequests.then(() => this.addToBatch(ids, batchOptions));
+                }
+            };
+
+            const failures = await this.uploadForegrounds(onUploaded);
+            await batchRequests;
+
+            if (manifest) {
+                if (uploadedIds.length > 0) {
+                    await this.addToBatch(uploadedIds, batchOptions);
+                }
+            } else if (this.sessionId) {
+                await this.postJson(`/api/append/${this.sessionId}`, { final: true });
+                this.isOpen = false;
+                this.updateCurrentFile();
+            }
 
+            if (!this.sessionId) {
+                throw new Error(failures > 0 ? 'No image could be uploaded' : 'Processing failed');
+            }
+            if (failures > 0) {
+                this.showError(`${failures} file${failures === 1 ? '' : 's'} could not be uploaded; the rest are processing`);
+            }
         } catch (error) {
             console.error('Processing error:', error);
             this.showError(error.message);
-            this.resetProcessButton();
+            if (!this.sessionId) {
+                this.resetProcessButton();
+            }
+        }
+    }
+
+    // POST JSON and return the response body, throwing its error message on failure
+    async postJson(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    // Start the batch with the first uploaded images, or add later ones to it
+    async addToBatch(fileIds, batchOptions) {
+        if (this.sessionId) {
+            try {
+                await this.postJson(`/api/append/${this.sessionId}`, { files: fileIds });
+            } catch (error) {
+                // e.g. no mapping rule matches; the other images carry on
+                console.error('Append error:', error);
+                this.showError(error.message);
+            }
+            return;
+        }
+
+        const processData = await this.postJson('/api/process', { ...batchOptions, files: fileIds });
+
+        // Store session ID for download
+        this.sessionId = processData.sessionId;
+        this.processBtn.querySelector('.btn-text').textContent = 'Processing...';
+        this.showProgress();
+
+        // Follow progress (event stream, falls back to polling)
+        this.watchProgress();
+    }
+
+    // Upload every foreground (or archive) PARALLEL_UPLOADS at a time with per-file
+    // progress; onUploaded(files) runs as each one is registered. Returns the failure count
+    async uploadForegrounds(onUploaded) {
+        const files = [...this.uploadedFiles];
+        let next = 0;
+        let failures = 0;
+
+        const worker = async () => {
+            while (next < files.length) {
+                const index = next++;
+                const file = files[index];
+                this.updateFileProgress(index, 0, 'uploading');
+                try {
+                    const uploaded = await this.uploadResumable(
+                        file,
+                        isZipFile(file) ? 'archive' : 'foreground',
+                        (fraction) => this.updateFileProgress(index, fraction, 'uploading')
+                    );
+                    this.updateFileProgress(index, 1, 'uploaded');
+                    onUploaded(uploaded);
+                } catch (error) {
+                    console.error(`Upload of ${getRelativePath(file)} failed:`, error);
+                    failures++;
+                    this.updateFileProgress(index, 0, 'upload-failed', error.message);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, worker));
+        return failures;
+    }
+
+    updateFileProgress(index, fraction, status, error = '') {
+        const item = this.fileItems.querySelector(`.file-item[data-index="${index}"]`);
+        if (!item) {
+            return;
+        }
+        item.classList.remove('uploading', 'uploaded', 'upload-failed');
+        item.classList.add(status);
+        item.title = error;
+        item.querySelector('.file-item-progress-bar').style.width = `${Math.round(fraction * 100)}%`;
+    }
+
+    // Send a file through the resumable upload protocol, continuing an earlier
+    // attempt of the same file (from before a reload) where the server has it.
+    // Returns the uploads it was registered as (several for a ZIP archive)
+    async uploadResumable(file, kind, onProgress = () => {}) {
+        const storageKey = `${UPLOAD_STORAGE_PREFIX}${kind}:${getRelativePath(file)}:${file.size}:${file.lastModified}`;
+        let upload = null;
+
+        const savedId = localStorage.getItem(storageKey);
+        if (savedId) {
+            const response = await fetch(`/api/upload/resumable/${savedId}`);
+            const data = await response.json();
+            if (response.ok && data.files) {
+                localStorage.removeItem(storageKey);
+                onProgress(1);
+                return data.files;
+            }
+            if (response.ok) {
+                upload = data.upload;
+            } else {
+                localStorage.removeItem(storageKey);
+            }
+        }
+
+        if (!upload) {
+            const created = await this.postJson('/api/upload/resumable', { kind, name: getRelativePath(file), size: file.size });
+            upload = created.upload;
+            localStorage.setItem(storageKey, upload.id);
+        }
+
+        let attempts = 0;
+        while (true) {
+            onProgress(upload.offset / upload.size);
+            const chunk = file.slice(upload.offset, upload.offset + upload.chunkSize);
+            const headers = {
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(upload.offset)
+            };
+            // crypto.subtle only exists on secure origins (HTTPS or localhost)
+            if (window.crypto?.subtle) {
+                const digest = await crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+                headers['Upload-Checksum'] = `sha256 ${Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')}`;
+            }
+
+            let response;
+            let data = {};
+            try {
+                response = await fetch(`/api/upload/resumable/${upload.id}`, { method: 'PATCH', headers, body: chunk });
+                data = await response.json();
+            } catch (error) {
+                response = null;
+            }
+
+            if (response?.ok) {
+                attempts = 0;
+                upload = data.upload;
+                if (data.files) {
+                    localStorage.removeItem(storageKey);
+                    onProgress(1);
+                    return data.files;
+                }
+                continue;
+            }
+            // Out of step (e.g. a chunk that arrived although its response was lost)
+            if (response?.status === 409 && data.upload) {
+                upload = data.upload;
+                continue;
+            }
+            if (response && response.status < 500 && response.status !== 400) {
+                localStorage.removeItem(storageKey);
+                throw new Error(data.error || 'Upload failed');
+            }
+
+            // Dropped connection, server error or damaged chunk: wait, then continue from the server's offset
+            attempts++;
+            if (attempts >= MAX_CHUNK_ATTEMPTS) {
+                throw new Error(data.error || 'Upload keeps failing; start processing again to resume it');
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempts - 1), 30000)));
+            try {
+                const status = await fetch(`/api/upload/resumable/${upload.id}`);
+                if (status.ok) {
+                    upload = (await status.json()).upload;
+                }
+            } catch (error) {
+                // Still offline; the next attempt tries again
+            }
         }
     }
 
     showProgress() {
         this.progressSection.classList.add('active');
         this.resultsSection.classList.remove('active');
+        this.updateBatchControls({ isPaused: false, isCancelled: false });
+    }
+
+    updateBatchControls({ isPaused, isCancelled, isOpen = false, batchError = null }) {
+        this.isPaused = isPaused;
+        this.isCancelled = isCancelled;
+        this.isOpen = isOpen;
+        this.batchError = batchError;
+
+        this.progressSection.classList.toggle('paused', isPaused);
+        this.progressTitle.textContent = isCancelled
+            ? 'Cancelling...'
+            : isPaused ? 'Paused' : 'Processing Images';
+        this.pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+        this.pauseBtn.disabled = isCancelled;
+        this.cancelBtn.disabled = isCancelled;
+    }
+
+    async togglePause() {
+        const action = this.isPaused ? 'resume' : 'pause';
+        await this.sendBatchCommand(action);
+    }
+
+    async cancelBatch() {
+        if (!confirm('Cancel this batch? Images that already finished are kept.')) {
+            return;
+        }
+        await this.sendBatchCommand('cancel');
+    }
+
+    async sendBatchCommand(action) {
+        try {
+            const response = await fetch(`/api/${action}/${this.sessionId}`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || `Could not ${action} batch`);
+            }
+
+            this.updateBatchControls(data);
+        } catch (error) {
+            console.error(`Batch ${action} error:`, error);
+            this.currentFile.textContent = error.message;
+        }
+    }
+
+    updateProgress(processedImages, totalImages) {
+        const percent = totalImages > 0 
+            ? (processedImages / totalImages) * 100 
+            : 0;
+        
+        this.processedImages = processedImages;
+        this.progressFill.style.width = `${percent}%`;
+        this.progressCount.textContent = `${processedImages} / ${totalImages}`;
+    }
+
+    updateCurrentFile() {
+        const current = Array.from(this.activeImages).join(', ');
+        if (current) {
+            this.currentFile.textContent = `Processing: ${current}`;
+        } else if (this.batchError) {
+            this.currentFile.textContent = this.batchError.message;
+        } else if (this.queue?.position) {
+            // Other sessions are using the shared slots
+            this.currentFile.textContent = `Waiting in queue (position ${this.queue.position} of ${this.queue.queuedSessions})`;
+        } else if (this.isOpen) {
+            this.currentFile.textContent = 'Waiting for more uploads...';
+        } else {
+            this.currentFile.textContent = '';
+        }
+    }
+
+    watchProgress() {
+        if (!window.EventSource) {
+            this.pollStatus();
+            return;
+        }
+
+        this.closeEventStream();
+        const source = new EventSource(`/api/events/${this.sessionId}`);
+        this.eventSource = source;
+        let failures = 0;
+
+        const on = (type, handler) => {
+            source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+        };
+
+        // Sent on every (re)connect, so a dropped stream resyncs on its own
+        on('snapshot', (snapshot) => {
+            failures = 0;
+            this.activeImages = new Set(snapshot.currentImages);
+            this.queue = snapshot.queue;
+            this.updateProgress(snapshot.processedImages, snapshot.totalImages);
+            this.updateCurrentFile();
+            this.updateBatchControls(snapshot);
+        });
+
+        on('paused', (snapshot) => this.updateBatchControls(snapshot));
+        on('resumed', (snapshot) => this.updateBatchControls(snapshot));
+        on('cancelled', (snapshot) => this.updateBatchControls(snapshot));
+
+        // Circuit breaker paused the batch, or the API key was rejected
+        on('batch-error', (snapshot) => {
+            this.updateBatchControls(snapshot);
+            this.updateCurrentFile();
+        });
+
+        on('queue', (queue) => {
+            this.queue = queue;
+            this.updateCurrentFile();
+        });
+
+        on('image-started', ({ file }) => {
+            this.activeImages.add(file);
+            this.updateCurrentFile();
+        });
+
+        on('retrying', ({ file, attempt, maxRetries, delay }) => {
+            this.currentFile.textContent = `Retrying ${file} (attempt ${attempt + 1}/${maxRetries}) in ${Math.round(delay / 1000)}s`;
+        });
+
+        // Images uploaded while the batch runs
+        on('images-added', ({ totalImages }) => {
+            this.updateProgress(this.processedImages, totalImages);
+        });
+
+        on('image-finished', ({ result, processedImages, totalImages }) => {
+            this.activeImages.delete(result.file);
+            this.updateProgress(processedImages, totalImages);
+            this.updateCurrentFile();
+        });
+
+        on('batch-complete', () => {
+            this.closeEventStream();
+            // One status request fetches the full results list
+            this.pollStatus();
+        });
+
+        on('session-closed', () => {
+            this.closeEventStream();
+            this.showError('Processing session was closed');
+            this.resetProcessButton();
+        });
+
+        // EventSource reconnects by itself; give up on repeated failures and poll instead
+        source.onerror = () => {
+            failures++;
+            if (source.readyState === EventSource.CLOSED || failures >= MAX_STREAM_FAILURES) {
+                console.warn('Progress stream unavailable, falling back to polling');
+                this.closeEventStream();
+                this.pollStatus();
+            }
+        };
+    }
+
+    closeEventStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
     }
 
     async pollStatus() {
@@ -321,21 +1149,23 @@ class ImageProcessor {
                 const response = await fetch(`/api/status?sessionId=${this.sessionId}`);
                 const status = await response.json();
 
+                if (!response.ok) {
+                    this.showError(status.error || 'Lost track of processing session');
+                    this.resetProcessButton();
+                    return;
+                }
+
                 // Update progress
-                const percent = status.totalImages > 0 
-                    ? (status.processedImages / status.totalImages) * 100 
-                    : 0;
-                
-                this.progressFill.style.width = `${percent}%`;
-                this.progressCount.textContent = `${status.processedImages} / ${status.totalImages}`;
-                this.currentFile.textContent = status.currentImage 
-                    ? `Processing: ${status.currentImage}` 
-                    : '';
+                this.activeImages = new Set(status.currentImages);
+                this.queue = status.queue;
+                this.updateProgress(status.processedImages, status.totalImages);
+                this.updateCurrentFile();
+                this.updateBatchControls(status);
 
                 if (status.isProcessing) {
                     setTimeout(poll, 500);
                 } else {
-                    this.showResults(status.results);
+                    this.showResults(status.results, status);
                 }
             } catch (error) {
                 console.error('Status poll error:', error);
@@ -346,56 +1176,717 @@ class ImageProcessor {
         poll();
     }
 
-    showResults(results) {
+    showResults(results, { warnings = [], batchError = null, usage = null } = {}) {
         this.progressSection.classList.remove('active');
         this.resultsSection.classList.add('active');
 
         const successCount = results.filter(r => r.success).length;
-        const errorCount = results.filter(r => !r.success).length;
+        const errorCount = results.filter(r => !r.success && !r.skipped).length;
+        const skippedCount = results.filter(r => r.skipped).length;
+        const retryableCount = errorCount + skippedCount;
 
-        this.resultsSummary.textContent = `${successCount} successful, ${errorCount} failed`;
+        this.resultsSummary.textContent = this.describeResultCounts(results);
 
         // Build results HTML with download button if there are successful results
         let resultsHTML = '';
+
+        // Provider calls this batch consumed, retries included
+        if (usage && usage.calls > 0) {
+            const details = [`${usage.retries} ${usage.retries === 1 ? 'retry' : 'retries'}`, `${usage.failures} failed`];
+            const budget = usage.maxCalls ? ` of a ${usage.maxCalls} call budget` : '';
+            resultsHTML += `
+                <div class="usage-summary">
+                    ${usage.calls} ${usage.provider} ${usage.calls === 1 ? 'call' : 'calls'}${budget}
+                    (${details.join(', ')}) · ${(usage.durationMs / 1000).toFixed(1)}s provider time
+                </div>
+            `;
+        }
+
+        // One message for the whole batch instead of the same error on every image
+        if (batchError) {
+            resultsHTML += `
+                <div class="batch-error">
+                    <strong>Batch stopped</strong>
+                    <p>${this.escapeHtml(batchError.message)}</p>
+                </div>
+            `;
+        }
         
+        // Filled in by renderDownloadSection, which also runs after every review
         if (successCount > 0 && this.sessionId) {
+            resultsHTML += '<div class="download-section" id="downloadSection"></div>';
+        }
+
+        // Manifest rows and uploads that did not match each other
+        if (warnings.length > 0) {
+            const listed = warnings.slice(0, MAX_LISTED_WARNINGS).map(w => `<li>${this.escapeHtml(w)}</li>`).join('');
+            const more = warnings.length > MAX_LISTED_WARNINGS ? `<li>…and ${warnings.length - MAX_LISTED_WARNINGS} more</li>` : '';
             resultsHTML += `
-                <div class="download-section">
-                    <a href="/api/download/${this.sessionId}" class="download-btn" download>
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                            <polyline points="7 10 12 15 17 10"/>
-                            <line x1="12" y1="15" x2="12" y2="3"/>
-                        </svg>
-                        <span>Download All (${successCount} ${successCount === 1 ? 'image' : 'images'})</span>
-                    </a>
+                <div class="manifest-warnings">
+                    <strong>${warnings.length} manifest ${warnings.length === 1 ? 'warning' : 'warnings'}</strong>
+                    <ul>${listed}${more}</ul>
                 </div>
             `;
         }
 
-        resultsHTML += results.map(result => `
-            <div class="result-item ${result.success ? '' : 'error'}">
-                <div class="result-icon ${result.success ? 'success' : 'error'}">
-                    ${result.success 
-                        ? '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6L9 17l-5-5"/></svg>'
-                        : '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 18L18 6M6 6l12 12"/></svg>'
-                    }
-                </div>
-                <div class="result-info">
-                    <div class="result-name">${result.file}</div>
-                    <div class="result-message">${result.success 
-                        ? 'Processed successfully'
-                        : result.error
-                    }</div>
+        // Failed and skipped images can be reprocessed without re-uploading;
+        // the session (outputs and reviews) stays until it is closed or expires
+        if (this.sessionId) {
+            resultsHTML += `
+                <div class="retry-section">
+                    ${retryableCount > 0 ? `
+                        <button class="btn btn-secondary" id="retryFailedBtn">
+                            Retry failed (${retryableCount} ${retryableCount === 1 ? 'image' : 'images'})
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-ghost" id="closeSessionBtn">Close session</button>
                 </div>
-            </div>
-        `).join('');
+            `;
+        }
+
+        // Thumbnails of every result, opened in the before/after viewer
+        resultsHTML += '<div class="gallery-filters" id="galleryFilters"></div><div class="gallery" id="gallery"></div>';
 
         this.resultsList.innerHTML = resultsHTML;
+        this.results = results;
+        this.resultsVersion = Date.now();
+        this.renderDownloadSection();
+        this.renderGallery();
+
+        const retryBtn = document.getElementById('retryFailedBtn');
+        if (retryBtn) {
+            retryBtn.addEventListener('click', () => this.retryFailed());
+        }
+        document.getElementById('closeSessionBtn')?.addEventListener('click', () => this.closeSession());
 
         this.resetProcessButton();
         this.clearFiles();
-        this.clearBackground();
+        this.clearBackgrounds();
+        this.clearManifest();
+    }
+
+    describeResultCounts(results) {
+        const successCount = results.filter(r => r.success).length;
+        const errorCount = results.filter(r => !r.success && !r.skipped).length;
+        const skippedCount = results.filter(r => r.skipped).length;
+        const cachedCount = results.filter(r => r.cached).length;
+        const flaggedCount = results.filter(r => r.warnings?.length > 0).length;
+
+        return `${successCount} successful, ${errorCount} failed`
+            + (skippedCount > 0 ? `, ${skippedCount} skipped` : '')
+            + (cachedCount > 0 ? ` (${cachedCount} from cache)` : '')
+            + (flaggedCount > 0 ? ` · ${flaggedCount} flagged by quality checks` : '');
+    }
+
+    // =====================================================
+    // Results Gallery
+    // =====================================================
+
+    getResultStatus(result) {
+        if (result.success) {
+            return 'succeeded';
+        }
+        return result.skipped ? 'skipped' : 'failed';
+    }
+
+    // Review state of a succeeded image (results from before reviews existed are pending)
+    getReviewStatus(result) {
+        return result.success ? (result.review?.status || 'pending') : null;
+    }
+
+    matchesGalleryFilter(result, filter) {
+        return filter === 'all'
+            || (filter === 'flagged' && result.warnings?.length > 0)
+            || this.getResultStatus(result) === filter
+            || this.getReviewStatus(result) === filter;
+    }
+
+    // Output shown as "after": the composite, or the first export when it was not kept
+    getResultOutputName(result) {
+        if (!result.success || !result.result) {
+            return null;
+        }
+        return result.result.path ? 'original' : (result.result.exports?.[0]?.preset ?? null);
+    }
+
+    getResultImageUrl(result, { before = false, thumbnail = false } = {}) {
+        const output = this.getResultOutputName(result);
+        const base = before || !output
+            ? `/api/inputs/${this.sessionId}/${result.id}`
+            : `/api/outputs/${this.sessionId}/${result.id}/${output}`;
+        return `${thumbnail ? `${base}/thumbnail` : base}?v=${this.resultsVersion}`;
+    }
+
+    describeResult(result, showBackground) {
+        const background = showBackground ? ` <span class="result-background">on ${this.escapeHtml(result.background)}</span>` : '';
+        const cached = result.cached ? ' <span class="result-badge">cached</span>' : '';
+        const flagged = result.warnings?.length
+            ? ` <span class="result-badge flagged" title="${this.escapeHtml(result.warnings.map(w => w.message).join('\n'))}">⚠ ${result.warnings.length}</span>`
+            : '';
+        return `${result.sku ? `${this.escapeHtml(result.sku)} · ` : ''}${this.escapeHtml(result.file)}${background}${cached}${flagged}`;
+    }
+
+    // Quality check warnings of a succeeded image, one per line
+    describeWarnings(result) {
+        if (!result.warnings?.length) {
+            return '';
+        }
+        return `<ul class="result-warnings">${result.warnings
+            .map(warning => `<li>${this.escapeHtml(warning.message)}</li>`)
+            .join('')}</ul>`;
+    }
+
+    renderGallery() {
+        const filters = document.getElementById('galleryFilters');
+        const gallery = document.getElementById('gallery');
+        if (!filters || !gallery) {
+            return;
+        }
+
+        if (!this.results.some(result => this.matchesGalleryFilter(result, this.galleryFilter))) {
+            this.galleryFilter = 'all';
+        }
+        this.renderGalleryFilters();
+        this.galleryResults = this.results.filter(result => this.matchesGalleryFilter(result, this.galleryFilter));
+
+        // Name the background when the batch used more than one
+        const showBackground = new Set(this.results.map(r => r.background)).size > 1;
+
+        gallery.innerHTML = this.galleryResults.map((result, position) => `
+            <button class="gallery-item ${this.getResultStatus(result)} ${result.warnings?.length ? 'flagged' : ''} ${this.rerunning.has(result.id) ? 'rerunning' : ''}" data-position="${position}">
+                <div class="gallery-thumb">
+                    <img src="${this.getResultImageUrl(result, { thumbnail: true })}" alt="" loading="lazy">
+                    ${this.renderReviewBadge(result)}
+                </div>
+                <div class="gallery-caption">
+                    <div class="result-name">${this.describeResult(result, showBackground)}</div>
+                    <div class="result-message">${result.success
+                        ? this.describeOutput(result.result)
+                        : this.escapeHtml(result.error || 'Failed')
+                    }</div>
+                </div>
+            </button>
+        `).join('');
+
+        // Inputs of cleaned-up sessions (or unreadable files) have no thumbnail
+        gallery.querySelectorAll('.gallery-thumb img').forEach(img => {
+            img.addEventListener('error', () => img.parentElement.classList.add('missing'));
+        });
+    }
+
+    // Filter buttons with counts; review filters show once the batch has a succeeded image
+    renderGalleryFilters() {
+        const filters = document.getElementById('galleryFilters');
+        if (!filters) {
+            return;
+        }
+        const hasReviews = this.results.some(result => result.success);
+        filters.innerHTML = GALLERY_FILTERS
+            .map(filter => ({ filter, count: this.results.filter(result => this.matchesGalleryFilter(result, filter)).length }))
+            .filter(({ filter, count }) => filter === 'all' || count > 0 || (hasReviews && REVIEW_LABELS[filter]))
+            .map(({ filter, count }) => `
+                <button class="gallery-filter ${filter === this.galleryFilter ? 'active' : ''} ${REVIEW_LABELS[filter] ? 'review' : ''}" data-filter="${filter}">
+                    ${GALLERY_FILTER_LABELS[filter] || `${filter[0].toUpperCase()}${filter.slice(1)}`} <span class="gallery-filter-count">${count}</span>
+                </button>
+            `).join('');
+    }
+
+    renderReviewBadge(result) {
+        const status = this.getReviewStatus(result);
+        if (!status || status === 'pending') {
+            return '';
+        }
+        const note = result.review.note ? ` title="${this.escapeHtml(result.review.note)}"` : '';
+        return `<span class="review-badge ${status}"${note}>${REVIEW_LABELS[status]}</span>`;
+    }
+
+    // "Download all" plus "Download approved", which grows as images are approved
+    renderDownloadSection() {
+        const section = document.getElementById('downloadSection');
+        if (!section) {
+            return;
+        }
+        const icon = `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                <polyline points="7 10 12 15 17 10"/>
+                <line x1="12" y1="15" x2="12" y2="3"/>
+            </svg>`;
+        const count = (n) => `${n} ${n === 1 ? 'image' : 'images'}`;
+        const successCount = this.results.filter(r => r.success).length;
+        const approvedCount = this.results.filter(r => this.getReviewStatus(r) === 'approved').length;
+        section.innerHTML = `
+            <a href="/api/download/${this.sessionId}" class="download-btn" download>
+                ${icon}
+                <span>Download All (${count(successCount)})</span>
+            </a>
+            ${approvedCount > 0 ? `
+                <a href="/api/download/${this.sessionId}?review=approved" class="download-btn secondary" download>
+                    ${icon}
+                    <span>Download Approved (${count(approvedCount)})</span>
+                </a>
+            ` : ''}
+        `;
+    }
+
+    // Set a succeeded image's review; approving or rejecting moves the viewer on to the next image
+    async setReview(result, status, note = result.review?.note || '') {
+        try {
+            // One at a time, so a note saved on blur cannot overtake the click that caused it
+            const request = this.reviewRequests.then(() => fetch(`/api/review/${this.sessionId}/${result.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status, note })
+            }));
+            this.reviewRequests = request.catch(() => {});
+            const response = await request;
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Review failed');
+            }
+            result.review = data.review;
+        } catch (error) {
+            console.error('Review error:', error);
+            this.viewerInfo.innerHTML = `<span class="viewer-error">${this.escapeHtml(error.message)}</span>`;
+            return;
+        }
+
+        const position = this.galleryResults.indexOf(result);
+        const card = document.querySelector(`.gallery-item[data-position="${position}"] .gallery-thumb`);
+        if (card) {
+            card.querySelector('.review-badge')?.remove();
+            card.insertAdjacentHTML('beforeend', this.renderReviewBadge(result));
+        }
+        this.renderGalleryFilters();
+        this.renderDownloadSection();
+
+        if (this.viewerPosition === position) {
+            if (status !== 'pending' && position < this.galleryResults.length - 1) {
+                this.showViewerItem(position + 1);
+            } else {
+                this.updateViewerReview(result);
+            }
+        }
+    }
+
+    updateViewerReview(result) {
+        const status = this.getReviewStatus(result);
+        this.viewerReview.hidden = !status;
+        if (!status) {
+            return;
+        }
+        this.viewerReviewStatus.textContent = REVIEW_LABELS[status];
+        this.viewerReviewStatus.className = `review-badge ${status}`;
+        this.viewerNote.value = result.review?.note || '';
+        this.viewerApproveBtn.classList.toggle('active', status === 'approved');
+        this.viewerRejectBtn.classList.toggle('active', status === 'rejected');
+    }
+
+    reviewViewerItem(status) {
+        const result = this.galleryResults[this.viewerPosition];
+        if (result?.success) {
+            this.setReview(result, status, this.viewerNote.value);
+        }
+    }
+
+    // Keep a note without changing the review state (Enter or leaving the field)
+    saveViewerNote() {
+        const result = this.galleryResults[this.viewerPosition];
+        if (!result?.success || this.viewerNote.value.trim() === (result.review?.note || '')) {
+            return;
+        }
+        this.setReview(result, this.getReviewStatus(result), this.viewerNote.value);
+    }
+
+    // =====================================================
+    // Placement Overrides
+    // =====================================================
+
+    setPlacementFields(placement) {
+        for (const field of this.viewerPlacementFields) {
+            field.value = placement[field.dataset.placement];
+        }
+        this.updatePlacementFields();
+    }
+
+    // X and Y only apply to the custom anchor
+    updatePlacementFields() {
+        const custom = this.viewerPlacement.querySelector('[data-placement="anchor"]').value === 'custom';
+        this.viewerPlacement.querySelectorAll('.placement-custom').forEach(label => {
+            label.hidden = !custom;
+        });
+    }
+
+    // The form as a placement override, or null when it is the default placement
+    readPlacementFields() {
+        const placement = { ...DEFAULT_PLACEMENT };
+        for (const field of this.viewerPlacementFields) {
+            const name = field.dataset.placement;
+            if (name === 'anchor') {
+                placement.anchor = field.value;
+            } else if (field.value !== '') {
+                placement[name] = Number(field.value);
+            }
+        }
+        const isDefault = Object.keys(DEFAULT_PLACEMENT).every(name => placement[name] === DEFAULT_PLACEMENT[name]);
+        return isDefault ? null : placement;
+    }
+
+    // Show the item's placement (or the one it is being re-run with)
+    updateViewerPlacement(result) {
+        const rerunning = this.rerunning.has(result.id);
+        const placement = rerunning ? this.rerunning.get(result.id) : result.placement;
+        this.setPlacementFields(placement || DEFAULT_PLACEMENT);
+        this.viewerPlacement.querySelector('summary').textContent = placement ? 'Placement (adjusted)' : 'Placement';
+        this.viewerRerunBtn.disabled = rerunning;
+        this.viewerPlacementStatus.textContent = rerunning ? 'Re-running…' : '';
+    }
+
+    rerunViewerItem() {
+        const result = this.galleryResults[this.viewerPosition];
+        if (result && !this.rerunning.has(result.id)) {
+            this.rerunItem(result, this.readPlacementFields());
+        }
+    }
+
+    // Re-run one image with a placement override (null for the default) and swap in its new result
+    // Re-runs queue up here because the server processes one batch per session at a time
+    async rerunItem(result, placement) {
+        this.rerunning.set(result.id, placement);
+        this.updateRerunState(result);
+
+        const run = this.rerunRequests.then(async () => {
+            const response = await fetch(`/api/rerun/${this.sessionId}/${result.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ placement })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Re-run failed');
+            }
+            return this.waitForResult(result.id);
+        });
+        this.rerunRequests = run.catch(() => {});
+
+        let updated = null;
+        try {
+            updated = await run;
+        } catch (error) {
+            console.error('Re-run error:', error);
+            if (this.galleryResults[this.viewerPosition] === result) {
+                this.viewerInfo.innerHTML = `<span class="viewer-error">${this.escapeHtml(error.message)}</span>`;
+            }
+        }
+
+        this.rerunning.delete(result.id);
+        if (updated) {
+            this.replaceResult(result, updated);
+        } else {
+            this.updateRerunState(result);
+        }
+    }
+
+    // Poll until the session has finished processing, then return the item's new result
+    async waitForResult(itemId) {
+        while (true) {
+            await new Promise(resolve => setTimeout(resolve, RERUN_POLL_INTERVAL));
+            const response = await fetch(`/api/status?sessionId=${this.sessionId}`);
+            const status = await response.json();
+            if (!response.ok) {
+                throw new Error(status.error || 'Lost track of processing session');
+            }
+            if (!status.isProcessing) {
+                const result = status.results.find(r => r.id === itemId);
+                if (!result) {
+                    throw new Error('Re-run finished without a result');
+                }
+                return result;
+            }
+        }
+    }
+
+    updateRerunState(result) {
+        const position = this.galleryResults.indexOf(result);
+        if (position === -1) {
+            return;
+        }
+        document.querySelector(`.gallery-item[data-position="${position}"]`)
+            ?.classList.toggle('rerunning', this.rerunning.has(result.id));
+        if (this.viewerPosition === position) {
+            this.updateViewerPlacement(result);
+        }
+    }
+
+    // Put a re-run image's new result in place of the old one (its review starts over)
+    replaceResult(previous, updated) {
+        const viewed = this.viewerPosition === -1 ? null : this.galleryResults[this.viewerPosition];
+        this.results = this.results.map(result => (result === previous ? updated : result));
+        this.resultsVersion = Date.now();
+        this.resultsSummary.textContent = this.describeResultCounts(this.results);
+        this.renderGallery();
+        this.renderDownloadSection();
+
+        if (!viewed) {
+            return;
+        }
+        if (viewed !== previous) {
+            // Another image is open; keep it as it is
+            this.viewerPosition = this.galleryResults.indexOf(viewed);
+            return;
+        }
+        // A re-run image can leave the current filter (e.g. "Rejected"); keep showing it
+        if (!this.galleryResults.includes(updated)) {
+            this.galleryFilter = 'all';
+            this.renderGallery();
+        }
+        this.showViewerItem(this.galleryResults.indexOf(updated));
+    }
+
+    async closeSession() {
+        if (!confirm('Close this session? Its outputs and reviews are deleted from the server.')) {
+            return;
+        }
+        await fetch('/api/clear', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: this.sessionId })
+        });
+        this.closeEventStream();
+        this.sessionId = null;
+        this.results = [];
+        this.resultsSection.classList.remove('active');
+        this.resultsList.innerHTML = '';
+    }
+
+    handleGalleryClick(e) {
+        const filter = e.target.closest('.gallery-filter');
+        if (filter) {
+            this.galleryFilter = filter.dataset.filter;
+            this.renderGallery();
+            return;
+        }
+        const item = e.target.closest('.gallery-item');
+        if (item) {
+            this.openViewer(parseInt(item.dataset.position, 10));
+        }
+    }
+
+    openViewer(position) {
+        this.viewer.hidden = false;
+        document.body.classList.add('viewer-open');
+        this.showViewerItem(position);
+    }
+
+    closeViewer() {
+        const position = this.viewerPosition;
+        this.viewer.hidden = true;
+        document.body.classList.remove('viewer-open');
+        this.viewerPosition = -1;
+        this.viewerBefore.removeAttribute('src');
+        this.viewerAfter.removeAttribute('src');
+
+        // Back to the card that was open, so arrow keys and Enter carry on from there
+        document.querySelector(`.gallery-item[data-position="${position}"]`)?.focus();
+    }
+
+    showViewerItem(position) {
+        if (position < 0 || position >= this.galleryResults.length) {
+            return;
+        }
+        this.viewerPosition = position;
+        const result = this.galleryResults[position];
+        const hasOutput = Boolean(this.getResultOutputName(result));
+        const showBackground = new Set(this.results.map(r => r.background)).size > 1;
+
+        this.viewerTitle.innerHTML = `<span class="viewer-position">${position + 1} / ${this.galleryResults.length}</span> ${this.describeResult(result, showBackground)}`;
+        this.viewerInfo.innerHTML = result.success
+            ? `${this.describeOutput(result.result)}${this.describeWarnings(result)}`
+            : `<span class="viewer-error">${this.escapeHtml(result.error || 'Failed')}</span>`;
+        this.viewerBefore.src = this.getResultImageUrl(result, { before: true });
+        if (hasOutput) {
+            this.viewerAfter.src = this.getResultImageUrl(result);
+        } else {
+            this.viewerAfter.removeAttribute('src');
+        }
+
+        // Failed images have nothing to compare against
+        this.viewerAfterFigure.hidden = !hasOutput;
+        this.viewerCanvas.classList.toggle('before-only', !hasOutput);
+        this.viewerSlider.hidden = !hasOutput || this.viewerMode !== 'compare';
+        this.viewerModeBtn.disabled = !hasOutput;
+        this.viewerPrevBtn.disabled = position === 0;
+        this.viewerNextBtn.disabled = position === this.galleryResults.length - 1;
+
+        this.updateViewerReview(result);
+        this.updateViewerPlacement(result);
+        this.setZoom(1);
+        this.updateViewerSplit();
+    }
+
+    toggleViewerMode() {
+        this.viewerMode = this.viewerMode === 'compare' ? 'side-by-side' : 'compare';
+        this.viewerCanvas.classList.toggle('compare', this.viewerMode === 'compare');
+        this.viewerCanvas.classList.toggle('side-by-side', this.viewerMode === 'side-by-side');
+        this.viewerModeBtn.textContent = this.viewerMode === 'compare' ? 'Side by side' : 'Slider';
+        this.viewerSlider.hidden = this.viewerMode !== 'compare' || this.viewerAfterFigure.hidden;
+    }
+
+    updateViewerSplit() {
+        this.viewerCanvas.style.setProperty('--split', `${this.viewerSlider.value}%`);
+    }
+
+    // Zoom to a level, keeping the point under the pointer (or the centre) in place
+    setZoom(zoom, anchor = null) {
+        const stage = this.viewerStage;
+        const rect = stage.getBoundingClientRect();
+        const x = anchor ? anchor.clientX - rect.left : rect.width / 2;
+        const y = anchor ? anchor.clientY - rect.top : rect.height / 2;
+        const ratio = zoom / this.viewerZoom;
+        const scrollLeft = (stage.scrollLeft + x) * ratio - x;
+        const scrollTop = (stage.scrollTop + y) * ratio - y;
+
+        this.viewerZoom = zoom;
+        this.viewerCanvas.style.setProperty('--zoom', zoom);
+        stage.classList.toggle('zoomed', zoom > 1);
+        stage.scrollLeft = scrollLeft;
+        stage.scrollTop = scrollTop;
+        this.viewerZoomLabel.textContent = `${Math.round(zoom * 100)}%`;
+    }
+
+    stepZoom(direction, anchor = null) {
+        const index = ZOOM_LEVELS.indexOf(this.viewerZoom);
+        const next = ZOOM_LEVELS[Math.min(Math.max(index + direction, 0), ZOOM_LEVELS.length - 1)];
+        if (next !== this.viewerZoom) {
+            this.setZoom(next, anchor);
+        }
+    }
+
+    handleViewerWheel(e) {
+        e.preventDefault();
+        this.stepZoom(e.deltaY < 0 ? 1 : -1, e);
+    }
+
+    // Drag to move around a zoomed image
+    startViewerPan(e) {
+        if (this.viewerZoom === 1 || e.button !== 0) {
+            return;
+        }
+        const stage = this.viewerStage;
+        const start = { x: e.clientX, y: e.clientY, left: stage.scrollLeft, top: stage.scrollTop };
+        stage.setPointerCapture(e.pointerId);
+        stage.classList.add('panning');
+
+        const move = (event) => {
+            stage.scrollLeft = start.left - (event.clientX - start.x);
+            stage.scrollTop = start.top - (event.clientY - start.y);
+        };
+        const end = () => {
+            stage.classList.remove('panning');
+            stage.removeEventListener('pointermove', move);
+            stage.removeEventListener('pointerup', end);
+            stage.removeEventListener('pointercancel', end);
+        };
+        stage.addEventListener('pointermove', move);
+        stage.addEventListener('pointerup', end);
+        stage.addEventListener('pointercancel', end);
+    }
+
+    // In the gallery arrows move between cards (Enter opens one); in the viewer Esc
+    // closes, arrows step through the filtered results, +/- zoom, 0 resets, S switches
+    // the layout, and A / R / P approve, reject or reset the review
+    handleGalleryKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        if (this.viewerPosition === -1) {
+            const card = e.target.closest?.('.gallery-item');
+            const columns = card ? getComputedStyle(card.parentElement).gridTemplateColumns.split(' ').length : 1;
+            const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns }[e.key];
+            if (card && step) {
+                e.preventDefault();
+                document.querySelector(`.gallery-item[data-position="${parseInt(card.dataset.position, 10) + step}"]`)?.focus();
+            }
+            return;
+        }
+        // Typing a note: Enter keeps it, Esc leaves the field
+        if (e.target === this.viewerNote) {
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                e.preventDefault();
+                this.viewerNote.blur();
+            }
+            return;
+        }
+        // Editing the placement: Enter re-runs the image, Esc leaves the field
+        if (e.target.matches?.('input, select') && this.viewerPlacement.contains(e.target)) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.rerunViewerItem();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.target.blur();
+            }
+            return;
+        }
+        const actions = {
+            Escape: () => this.closeViewer(),
+            ArrowLeft: () => this.showViewerItem(this.viewerPosition - 1),
+            ArrowRight: () => this.showViewerItem(this.viewerPosition + 1),
+            '+': () => this.stepZoom(1),
+            '=': () => this.stepZoom(1),
+            '-': () => this.stepZoom(-1),
+            '0': () => this.setZoom(1),
+            s: () => this.toggleViewerMode(),
+            S: () => this.toggleViewerMode(),
+            a: () => this.reviewViewerItem('approved'),
+            r: () => this.reviewViewerItem('rejected'),
+            p: () => this.reviewViewerItem('pending')
+        };
+        const action = actions[e.key];
+        // The slider handles its own arrow keys
+        if (!action || (e.target === this.viewerSlider && e.key.startsWith('Arrow'))) {
+            return;
+        }
+        e.preventDefault();
+        action();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    describeOutput(output) {
+        const exports = output?.exports?.length
+            ? ` &mdash; exports: ${output.exports.map(e => `${this.escapeHtml(e.preset)} ${e.width} × ${e.height}`).join(', ')}`
+            : '';
+        if (!output || !output.width) {
+            return `Processed successfully${exports}`;
+        }
+        const format = output.format ? ` ${output.format.toUpperCase()}` : '';
+        const saved = output.path ? ` &rarr; ${this.escapeHtml(output.path)}` : '';
+        return `Processed successfully &mdash; ${output.width} × ${output.height} px${format}${saved}${exports}`;
+    }
+
+    async retryFailed() {
+        try {
+            const response = await fetch(`/api/retry/${this.sessionId}`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Retry failed');
+            }
+
+            this.processBtn.disabled = true;
+            this.processBtn.querySelector('.btn-text').textContent = 'Processing...';
+            this.showProgress();
+            this.watchProgress();
+        } catch (error) {
+            console.error('Retry error:', error);
+            this.showError(error.message);
+            this.resetProcessButton();
+        }
     }
 
     showError(message) {
@@ -21,25 +21,70 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const fs = require('fs');
-const axios = require('axios');
-const sharp = require('sharp');
 const archiver = require('archiver');
 const crypto = require('crypto');
-const FormData = require('form-data');
-const pLimit = require('p-limit').default;
+const { Transform, pipeline } = require('stream');
+const { MAX_RETRIES } = require('./lib/retry');
+const { DEFAULT_PROVIDER, getProvider, listProviders } = require('./lib/providers');
+const uploadRegistry = require('./lib/upload-registry');
+const jobStore = require('./lib/job-store');
+const sessionEvents = require('./lib/session-events');
+const { createBatchControl } = require('./lib/batch-control');
+const { DEFAULT_OUTPUT_SETTINGS, normalizeOutputSettings } = require('./lib/output-settings');
+const exportPresets = require('./lib/export-presets');
+const resultCache = require('./lib/result-cache');
+const scheduler = require('./lib/scheduler');
+const usage = require('./lib/usage');
+const { DEFAULT_NAMING_SETTINGS, normalizeNamingSettings, getBatchDate, planOutputNames } = require('./lib/output-naming');
+const { DEFAULT_RESTORE_SETTINGS, normalizeRestoreSettings } = require('./lib/restore-resolution');
+const { planBatch } = require('./lib/batch-plan');
+const { CHUNK_SIZE, createEntry, runBatch } = require('./lib/pipeline');
+const { MAX_MANIFEST_BYTES, parseManifest } = require('./lib/manifest');
+const hotFolders = require('./lib/hot-folders');
+const apiV1 = require('./lib/api-v1');
+const { IMAGE_TYPES, extractImages } = require('./lib/zip-extract');
+const resumableUploads = require('./lib/resumable-uploads');
+const previews = require('./lib/previews');
+const review = require('./lib/review');
+const { normalizePlacement } = require('./lib/placement');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Processing configuration
-const CONCURRENCY_LIMIT = 3;  // Parallel API calls
-const CHUNK_SIZE = 10;        // Images per memory chunk
-const MAX_RETRIES = 3;        // Retry attempts for failed API calls
-const RETRY_BASE_DELAY = 2000; // Base delay for exponential backoff (ms)
+// Parallel API calls across all sessions (one shared API key)
+const CONCURRENCY_LIMIT = parseInt(process.env.CONCURRENCY_LIMIT, 10) > 0
+    ? parseInt(process.env.CONCURRENCY_LIMIT, 10)
+    : 3;
+// Image starts per minute across all sessions (0 = unlimited)
+const RATE_LIMIT_PER_MINUTE = Math.max(0, parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 0);
+const MAX_FOREGROUND_FILES = 1000;
+const MAX_BACKGROUND_FILES = 10;
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024; // 50MB limit per image
+const MAX_ARCHIVE_FILES = 5; // ZIP archives per upload request
+const CIRCUIT_BREAKER_THRESHOLD = 5; // Consecutive rate limit/outage failures that pause a batch
+
+// Result cache size in bytes (0 disables); the admin endpoint can change it at runtime
+const RESULT_CACHE_MAX_BYTES = Number.isInteger(parseInt(process.env.RESULT_CACHE_MAX_BYTES, 10))
+    ? Math.max(0, parseInt(process.env.RESULT_CACHE_MAX_BYTES, 10))
+    : resultCache.DEFAULT_MAX_BYTES;
+
+// Billable provider calls per UTC day across all sessions (0 = unlimited)
+const DAILY_CALL_BUDGET = Math.max(0, parseInt(process.env.DAILY_CALL_BUDGET, 10) || 0);
+
+// Largest ZIP archive upload, and the most its images may expand to (bytes)
+const MAX_ARCHIVE_BYTES = parseInt(process.env.MAX_ARCHIVE_BYTES, 10) > 0
+    ? parseInt(process.env.MAX_ARCHIVE_BYTES, 10)
+    : 4 * 1024 * 1024 * 1024;
+
+// How often watch folders are scanned for new images (ms)
+const WATCH_POLL_INTERVAL = parseInt(process.env.WATCH_POLL_INTERVAL, 10) > 0
+    ? parseInt(process.env.WATCH_POLL_INTERVAL, 10)
+    : 2000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: MAX_MANIFEST_BYTES * 2 })); // Manifests are posted inline with /api/process
 app.use(express.static('public'));
 
 // Ensure uploads directory exists
@@ -54,9 +99,16 @@ if (!fs.existsSync(tempDir)) {
     fs.mkdirSync(tempDir, { recursive: true });
 }
 
+// Ensure data directory exists for user-defined export presets
+const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+}
+
 // Track active sessions for cleanup
 const activeSessions = new Map();
 const SESSION_TIMEOUT = 60 * 60 * 1000; // 1 hour
+const EVENT_HEARTBEAT_INTERVAL = 15 * 1000; // Keeps idle SSE connections open through proxies
 
 // Per-session processing states (fixes race condition)
 const sessionStates = new Map();
@@ -68,27 +120,68 @@ function getSessionState(sessionId) {
             totalImages: 0,
             processedImages: 0,
             currentImages: [],  // Track multiple concurrent images
-            results: []
+            currentItems: [],   // Work item IDs of those images
+            results: [],
+            provider: null,
+            mode: null,
+            warnings: [],
+            isPaused: false,
+            isCancelled: false,
+            isOpen: false,    // Still taking images (see appendToBatch)
+            batchError: null  // { code, message } when the whole batch was paused or aborted
         });
     }
     return sessionStates.get(sessionId);
 }
 
+// Pause/cancel controls for batches that are currently running
+const batchControls = new Map();
+
 function cleanupSessionState(sessionId) {
     sessionStates.delete(sessionId);
 }
 
 // Cleanup old sessions periodically
+// Running batches are never expired; finished ones expire relative to completion
+// or their last review or download
 setInterval(() => {
     const now = Date.now();
     for (const [sessionId, sessionData] of activeSessions.entries()) {
-        if (now - sessionData.createdAt > SESSION_TIMEOUT) {
+        if (sessionStates.get(sessionId)?.isProcessing) {
+            continue;
+        }
+        const lastActivity = Math.max(sessionData.completedAt || sessionData.createdAt, sessionData.lastActivityAt || 0);
+        if (now - lastActivity > SESSION_TIMEOUT) {
             cleanupSession(sessionId);
         }
     }
+    uploadRegistry.releaseStaleUploads(SESSION_TIMEOUT);
+    resumableUploads.releaseStaleUploads(SESSION_TIMEOUT);
+
+    // An open batch nobody appended to for a while stops waiting and finishes
+    for (const [sessionId, open] of openBatches.entries()) {
+        if (!open.closed && now - open.lastAppendAt > SESSION_TIMEOUT) {
+            console.log(`⌛ Session ${sessionId} stopped waiting for more images`);
+            closeOpenBatch(sessionId);
+        }
+    }
 }, 5 * 60 * 1000); // Check every 5 minutes
 
 function cleanupSession(sessionId) {
+    // Stop a running batch before its directory disappears underneath it
+    batchControls.get(sessionId)?.cancel();
+    closeOpenBatch(sessionId);
+    usage.removeSession(sessionId);
+
+    // Uploads are kept for retries and re-runs until now
+    // (watch folder inputs and backgrounds are not uploads and stay where they are)
+    const job = jobStore.getJob(sessionId);
+    if (job && !job.watch) {
+        for (const file of [...job.foregrounds, ...job.backgrounds]) {
+            uploadRegistry.releaseUpload(file);
+        }
+    }
+
     const sessionDir = path.join(tempDir, sessionId);
     if (fs.existsSync(sessionDir)) {
         fs.rmSync(sessionDir, { recursive: true, force: true });
@@ -96,123 +189,250 @@ function cleanupSession(sessionId) {
     }
     activeSessions.delete(sessionId);
     cleanupSessionState(sessionId);
+    jobStore.removeJob(sessionId);
+    sessionEvents.publish(sessionId, 'session-closed');
+}
+
+// Reviews and downloads keep a finished session from expiring
+function touchSession(sessionId) {
+    const sessionData = activeSessions.get(sessionId);
+    if (sessionData) {
+        sessionData.lastActivityAt = Date.now();
+    }
 }
 
 function generateSessionId() {
     return crypto.randomBytes(16).toString('hex');
 }
 
-// Utility: sleep for exponential backoff
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// Anonymous client identity used for upload ownership checks
+const CLIENT_COOKIE = 'packshot_client';
+const CLIENT_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function readClientId(req) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [name, value] = cookie.trim().split('=');
+        if (name === CLIENT_COOKIE && CLIENT_ID_PATTERN.test(value || '')) {
+            return value;
+        }
+    }
+    return null;
 }
 
-// Retry mechanism with exponential backoff
-function isRetryableError(error) {
-    // Retry on network errors, timeouts, rate limits (429), and server errors (5xx)
-    if (!error.response) {
-        // Network error or timeout
-        return true;
+function ensureClientId(req, res) {
+    let clientId = readClientId(req);
+    if (!clientId) {
+        clientId = crypto.randomBytes(16).toString('hex');
+        res.cookie(CLIENT_COOKIE, clientId, { httpOnly: true, sameSite: 'strict' });
     }
-    const status = error.response.status;
-    return status === 429 || status >= 500;
+    return clientId;
 }
 
-async function withRetry(fn, context = '', maxRetries = MAX_RETRIES) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            return await fn();
-        } catch (error) {
-            lastError = error;
-            
-            if (!isRetryableError(error) || attempt === maxRetries) {
-                throw error;
-            }
-            
-            const delay = Math.pow(2, attempt) * RETRY_BASE_DELAY; // 4s, 8s, 16s
-            console.log(`[Retry ${attempt}/${maxRetries}] ${context} - Retrying in ${delay}ms...`);
-            await sleep(delay);
-        }
+// Sessions belong to the client that started them, like its uploads. Watch
+// folder batches have no owner and are only reached with the admin token,
+// which opens every session. Unknown sessions are left to the route (404).
+// Returns null when the request may use the session, or { status, error }
+function checkSessionAccess(sessionId, req) {
+    const session = activeSessions.get(sessionId);
+    if (!session || hasAdminToken(req)) {
+        return null;
     }
-    
-    throw lastError;
+    const clientId = readClientId(req);
+    if (!clientId || session.ownerId !== clientId) {
+        return { status: 403, error: 'Session belongs to another client' };
+    }
+    return null;
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadsDir);
+// Configure multer for file uploads. multer has one fileSize limit for all
+// fields, so this storage engine holds each field to its own limit while the
+// file streams in: MAX_IMAGE_BYTES for images, MAX_ARCHIVE_BYTES for archives
+const storage = {
+    _handleFile(req, file, cb) {
+        const maxBytes = file.fieldname === 'archives' ? MAX_ARCHIVE_BYTES : MAX_IMAGE_BYTES;
+        // Stored name is the opaque upload ID; the original name only lives in the registry
+        const filename = uploadRegistry.generateUploadId() + path.extname(file.originalname).toLowerCase();
+        const filePath = path.join(uploadsDir, filename);
+
+        let size = 0;
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    const error = new Error(`${file.originalname} is larger than ${Math.floor(maxBytes / 1024 / 1024)} MB`);
+                    error.code = 'LIMIT_FILE_SIZE';
+                    error.status = 413;
+                    return callback(error);
+                }
+                callback(null, chunk);
+            }
+        });
+
+        pipeline(file.stream, limit, fs.createWriteStream(filePath), (err) => {
+            if (err) {
+                fs.rmSync(filePath, { force: true });
+                return cb(err);
+            }
+            cb(null, { destination: uploadsDir, filename, path: filePath, size });
+        });
     },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + '-' + file.originalname);
+
+    _removeFile(req, file, cb) {
+        fs.rm(file.path, { force: true }, cb);
     }
-});
+};
 
 const fileFilter = (req, file, cb) => {
+    // Archives are recognised by name; browsers disagree on the ZIP MIME type
+    if (file.fieldname === 'archives') {
+        if (path.extname(file.originalname).toLowerCase() === '.zip') {
+            return cb(null, true);
+        }
+        const error = new Error('Invalid archive. Only ZIP archives are allowed.');
+        error.status = 400;
+        return cb(error, false);
+    }
+
     // Jasper API supports: jpeg, png, webp
     const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
     if (allowedTypes.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only JPEG, PNG, and WebP images are allowed.'), false);
+        const error = new Error('Invalid file type. Only JPEG, PNG, and WebP images are allowed.');
+        error.status = 400;
+        cb(error, false);
     }
 };
 
+// preservePath keeps the relative path of images from a dropped folder in originalname.
+// File sizes are limited per field by the storage engine above
 const upload = multer({
     storage,
     fileFilter,
-    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit per file
+    preservePath: true
 });
 
-// Configure upload fields for foreground images and background
+// Configure upload fields for foreground images (loose or zipped) and background
 const uploadFields = upload.fields([
-    { name: 'images', maxCount: 100 },
-    { name: 'background', maxCount: 1 }
+    { name: 'images', maxCount: MAX_FOREGROUND_FILES },
+    { name: 'archives', maxCount: MAX_ARCHIVE_FILES },
+    { name: 'background', maxCount: MAX_BACKGROUND_FILES }
 ]);
 
 // API Routes
 
-// Upload foreground images and background
-app.post('/api/upload', uploadFields, (req, res) => {
+// Session IDs become directory names, so reject anything that isn't one of ours,
+// and only the session's owner may use it
+app.param('sessionId', (req, res, next, sessionId) => {
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    const denied = checkSessionAccess(sessionId, req);
+    if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+    }
+    next();
+});
+
+// Rejected uploads are removed straight away instead of lingering in uploads/
+function discardUploadedFiles(req) {
+    for (const file of [...(req.files?.['images'] || []), ...(req.files?.['archives'] || []), ...(req.files?.['background'] || [])]) {
+        fs.rmSync(file.path, { force: true });
+    }
+}
+
+// Replace uploaded ZIP archives with the images inside them, which join
+// req.files.images with their path in the archive as originalname
+// Returns {} or { status, error }; on error the caller discards the remaining files
+async function expandUploadedArchives(req) {
+    const archives = req.files?.['archives'] || [];
+    const images = req.files?.['images'] || [];
+
+    let failure = null;
+    let totalBytes = 0;
+    for (const archive of archives) {
+        if (!failure) {
+            const extracted = await extractImages(archive.path, uploadsDir, {
+                nameFile: extension => uploadRegistry.generateUploadId() + extension,
+                maxImages: MAX_FOREGROUND_FILES - images.length,
+                maxImageBytes: MAX_IMAGE_BYTES,
+                maxTotalBytes: MAX_ARCHIVE_BYTES - totalBytes
+            });
+            if (extracted.error) {
+                failure = { status: extracted.status, error: `${archive.originalname}: ${extracted.error}` };
+            } else {
+                console.log(`🗜️  Extracted ${extracted.files.length} images from ${archive.originalname}`);
+                images.push(...extracted.files);
+                totalBytes += extracted.files.reduce((sum, file) => sum + file.size, 0);
+            }
+        }
+        fs.rmSync(archive.path, { force: true });
+    }
+    req.files = { ...req.files, images, archives: [] };
+    return failure || {};
+}
+
+// Register multer's files for the calling client; returns their public views
+function registerUploadedFiles(req, res) {
+    const clientId = ensureClientId(req, res);
+    return {
+        foregrounds: (req.files?.['images'] || []).map(file =>
+            uploadRegistry.describeUpload(uploadRegistry.registerUpload(file, 'foreground', clientId))
+        ),
+        backgrounds: (req.files?.['background'] || []).map(file =>
+            uploadRegistry.describeUpload(uploadRegistry.registerUpload(file, 'background', clientId))
+        )
+    };
+}
+
+// Upload foreground images (loose, from folders or in ZIP archives) and background;
+// ?sessionId= uploads more images for an open batch, which need no background
+app.post('/api/upload', uploadFields, async (req, res) => {
     try {
-        const foregroundFiles = req.files['images'] || [];
-        const backgroundFiles = req.files['background'] || [];
+        const expanded = await expandUploadedArchives(req);
+        if (expanded.error) {
+            discardUploadedFiles(req);
+            return res.status(expanded.status).json({ error: expanded.error });
+        }
+        const foregroundFiles = req.files['images'];
+        const backgroundFiles = req.files?.['background'] || [];
 
         if (foregroundFiles.length === 0) {
+            discardUploadedFiles(req);
             return res.status(400).json({ error: 'No foreground images uploaded' });
         }
 
-        if (backgroundFiles.length === 0) {
+        // Images for an open batch (?sessionId=) are composited on its backgrounds
+        const { sessionId } = req.query;
+        if (sessionId !== undefined) {
+            const batch = isValidSessionId(sessionId)
+                ? findOpenBatch(sessionId, readClientId(req))
+                : { status: 400, error: 'Invalid session ID' };
+            if (batch.error) {
+                discardUploadedFiles(req);
+                return res.status(batch.status).json({ error: batch.error });
+            }
+        } else if (backgroundFiles.length === 0) {
+            discardUploadedFiles(req);
             return res.status(400).json({ error: 'No background image uploaded' });
         }
 
-        const fileInfo = foregroundFiles.map(file => ({
-            id: path.parse(file.filename).name,
-            originalName: file.originalname,
-            filename: file.filename,
-            path: file.path,
-            size: file.size,
-            mimetype: file.mimetype
-        }));
-
-        const backgroundFile = backgroundFiles[0];
-        const backgroundInfo = {
-            id: path.parse(backgroundFile.filename).name,
-            originalName: backgroundFile.originalname,
-            filename: backgroundFile.filename,
-            path: backgroundFile.path,
-            size: backgroundFile.size,
-            mimetype: backgroundFile.mimetype
-        };
+        const { foregrounds: fileInfo, backgrounds: backgroundInfo } = registerUploadedFiles(req, res);
 
         res.json({
             success: true,
-            message: `${foregroundFiles.length} foreground image(s) and 1 background uploaded successfully`,
+            message: `${foregroundFiles.length} foreground image(s) and ${backgroundInfo.length} background(s) uploaded successfully`,
             files: fileInfo,
-            backgroundFile: backgroundInfo
+            backgroundFiles: backgroundInfo,
+            // Kept for clients that only know about a single background
+            backgroundFile: backgroundInfo[0]
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -220,405 +440,1737 @@ app.post('/api/upload', uploadFields, (req, res) => {
     }
 });
 
+// Files multer rejected (type, size, count) get the same JSON errors as the route
+app.use('/api/upload', (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    res.status(err.status || 400).json({ error: err.message });
+});
 
-// Process images with Jasper.ai
-app.post('/api/process', async (req, res) => {
-    const { files, backgroundFile, backgroundDimensions } = req.body;
-
-    if (!files || files.length === 0) {
-        return res.status(400).json({ error: 'No files to process' });
+// Resumable uploads (lib/resumable-uploads): announce a file, send it in chunks,
+// ask for the offset to continue after a dropped connection or a reload
+app.param('uploadId', (req, res, next, uploadId) => {
+    if (!uploadRegistry.isValidUploadId(uploadId)) {
+        return res.status(400).json({ error: 'Invalid upload ID' });
     }
+    next();
+});
 
-    if (!backgroundFile) {
-        return res.status(400).json({ error: 'No background image specified' });
+// Register a file whose last chunk arrived, like a multer upload; archives are
+// extracted into foreground uploads. Returns { files } or { status, error }
+async function registerResumableFile(file, clientId) {
+    const extension = path.extname(file.name).toLowerCase();
+    const storedPath = path.join(uploadsDir, uploadRegistry.generateUploadId() + extension);
+    await fs.promises.rename(file.path, storedPath);
+
+    let files;
+    if (file.kind === 'archive') {
+        const extracted = await extractImages(storedPath, uploadsDir, {
+            nameFile: ext => uploadRegistry.generateUploadId() + ext,
+            maxImages: MAX_FOREGROUND_FILES,
+            maxImageBytes: MAX_IMAGE_BYTES,
+            maxTotalBytes: MAX_ARCHIVE_BYTES
+        });
+        fs.rmSync(storedPath, { force: true });
+        if (extracted.error) {
+            return { status: extracted.status, error: `${file.name}: ${extracted.error}` };
+        }
+        console.log(`🗜️  Extracted ${extracted.files.length} images from ${file.name}`);
+        files = extracted.files;
+    } else {
+        files = [{
+            filename: path.basename(storedPath),
+            originalname: file.name,
+            path: storedPath,
+            size: file.size,
+            mimetype: IMAGE_TYPES[extension]
+        }];
     }
 
-    // Generate a unique session ID for this batch
-    const sessionId = generateSessionId();
-    const sessionDir = path.join(tempDir, sessionId);
-    fs.mkdirSync(sessionDir, { recursive: true });
+    const kind = file.kind === 'background' ? 'background' : 'foreground';
+    return {
+        files: files.map(entry => uploadRegistry.describeUpload(uploadRegistry.registerUpload(entry, kind, clientId)))
+    };
+}
 
-    // Track this session
-    activeSessions.set(sessionId, {
-        createdAt: Date.now(),
-        fileCount: files.length
+// Announce a file: { kind: foreground|background|archive, name, size, sha256? }
+// name may include the folder of a dropped image ("shirts/IMG_0001.jpg")
+app.post('/api/upload/resumable', (req, res) => {
+    const clientId = ensureClientId(req, res);
+    const created = resumableUploads.createUpload(req.body, clientId, {
+        maxBytes: kind => kind === 'archive' ? MAX_ARCHIVE_BYTES : MAX_IMAGE_BYTES
     });
+    if (created.error) {
+        return res.status(created.status).json({ error: created.error });
+    }
+    res.status(201).json({ success: true, upload: resumableUploads.describeUpload(created.upload) });
+});
 
-    // Initialize per-session processing state
-    const state = getSessionState(sessionId);
-    state.isProcessing = true;
-    state.totalImages = files.length;
-    state.processedImages = 0;
-    state.currentImages = [];
-    state.results = [];
-
-    // Process asynchronously with background
-    processImagesParallel(files, backgroundFile, backgroundDimensions, sessionDir, sessionId);
-
+// Current offset; a finished upload also lists the uploads it became while they are unused
+app.get('/api/upload/resumable/:uploadId', (req, res) => {
+    const clientId = readClientId(req);
+    const found = resumableUploads.getUpload(req.params.uploadId, clientId);
+    if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+    }
+    const { upload } = found;
+    if (!upload.files) {
+        return res.json({ upload: resumableUploads.describeUpload(upload) });
+    }
+    const kind = upload.kind === 'background' ? 'background' : 'foreground';
+    const resolved = uploadRegistry.resolveUploads(upload.files, kind, clientId);
+    if (resolved.error) {
+        return res.status(410).json({ error: 'Upload was already processed or has expired' });
+    }
     res.json({
-        success: true,
-        message: `Started processing ${files.length} images`,
-        totalImages: files.length,
-        sessionId: sessionId
+        upload: resumableUploads.describeUpload(upload),
+        files: resolved.entries.map(uploadRegistry.describeUpload)
     });
 });
 
-// Get processing status (now requires sessionId)
-app.get('/api/status', (req, res) => {
-    const { sessionId } = req.query;
-    
-    if (!sessionId) {
-        // Backwards compatibility: return empty state if no sessionId
-        return res.json({
-            isProcessing: false,
-            totalImages: 0,
-            processedImages: 0,
-            currentImages: [],
-            results: []
+// Send the chunk at Upload-Offset as application/offset+octet-stream, with an
+// optional "Upload-Checksum: sha256 <hex>"; the last chunk returns the registered files
+app.patch('/api/upload/resumable/:uploadId', express.raw({
+    type: 'application/offset+octet-stream',
+    limit: resumableUploads.MAX_CHUNK_SIZE
+}), async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+        return res.status(415).json({ error: 'Chunks must be sent as application/offset+octet-stream' });
+    }
+    const offset = Number(req.get('upload-offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Upload-Offset header must be a non-negative integer' });
+    }
+    const checksumHeader = req.get('upload-checksum');
+    const checksum = checksumHeader?.match(/^sha256 ([a-f0-9]{64})$/)?.[1];
+    if (checksumHeader && !checksum) {
+        return res.status(400).json({ error: 'Upload-Checksum must be "sha256 <hex digest>"' });
+    }
+
+    try {
+        const clientId = readClientId(req);
+        const appended = await resumableUploads.appendChunk(req.params.uploadId, clientId, {
+            offset,
+            checksum,
+            data: req.body
         });
+        if (appended.error) {
+            return res.status(appended.status).json({
+                error: appended.error,
+                ...(appended.upload && { upload: resumableUploads.describeUpload(appended.upload) })
+            });
+        }
+        if (!appended.file) {
+            return res.json({ success: true, upload: resumableUploads.describeUpload(appended.upload) });
+        }
+
+        const registered = await registerResumableFile(appended.file, clientId);
+        if (registered.error) {
+            resumableUploads.removeUpload(appended.upload);
+            return res.status(registered.status).json({ error: registered.error });
+        }
+        resumableUploads.completeUpload(appended.upload, registered.files.map(file => file.id));
+        res.json({ success: true, upload: resumableUploads.describeUpload(appended.upload), files: registered.files });
+    } catch (error) {
+        console.error('Resumable upload error:', error);
+        res.status(500).json({ error: 'Upload failed: ' + error.message });
     }
-    
-    const state = getSessionState(sessionId);
+});
+
+// Abandon an upload (its chunks are deleted; finished files stay registered)
+app.delete('/api/upload/resumable/:uploadId', (req, res) => {
+    const found = resumableUploads.getUpload(req.params.uploadId, readClientId(req));
+    if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+    }
+    resumableUploads.removeUpload(found.upload);
+    res.json({ success: true });
+});
+
+// List compositing providers and whether each is usable right now
+app.get('/api/providers', (req, res) => {
     res.json({
-        ...state,
-        // For backwards compatibility, include currentImage as string
-        currentImage: state.currentImages.length > 0 ? state.currentImages.join(', ') : ''
+        defaultProvider: DEFAULT_PROVIDER,
+        providers: listProviders()
     });
 });
 
-// Download processed images as zip
-app.get('/api/download/:sessionId', (req, res) => {
-    const { sessionId } = req.params;
-    const sessionDir = path.join(tempDir, sessionId);
+// List built-in and user-defined export presets
+app.get('/api/presets', (req, res) => {
+    res.json({ presets: exportPresets.listPresets() });
+});
 
-    // Validate session exists
-    if (!fs.existsSync(sessionDir)) {
-        return res.status(404).json({ error: 'Session not found or expired' });
+// Create or replace a user-defined export preset
+app.post('/api/presets', (req, res) => {
+    const saved = exportPresets.savePreset(req.body);
+    if (saved.error) {
+        return res.status(saved.status).json({ error: saved.error });
     }
+    res.json({ success: true, preset: saved.preset });
+});
 
-    // Get list of files in session directory
-    const files = fs.readdirSync(sessionDir).filter(f => !f.startsWith('.'));
-    
-    if (files.length === 0) {
-        return res.status(404).json({ error: 'No files found in session' });
+app.delete('/api/presets/:name', (req, res) => {
+    const deleted = exportPresets.deletePreset(req.params.name);
+    if (deleted.error) {
+        return res.status(deleted.status).json({ error: deleted.error });
     }
+    res.json({ success: true });
+});
 
-    // Set response headers for zip download
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const zipFilename = `processed-images-${timestamp}.zip`;
-    
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+// Whether the request carries ADMIN_TOKEN as a bearer token
+function hasAdminToken(req) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return false;
+    }
+    const header = req.get('authorization') || '';
+    const token = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(adminToken);
+    return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
 
-    // Create archive
-    const archive = archiver('zip', {
-        zlib: { level: 6 } // Balanced compression
-    });
+// Admin endpoints need ADMIN_TOKEN as a bearer token and are off without it
+function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_TOKEN) {
+        return res.status(503).json({ error: 'Admin endpoints are disabled (set ADMIN_TOKEN in .env)' });
+    }
+    if (!hasAdminToken(req)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
 
-    // Handle archive errors
-    archive.on('error', (err) => {
-        console.error('Archive error:', err);
-        res.status(500).json({ error: 'Failed to create zip file' });
-    });
+// Inspect the result cache (size, limit, hit/miss counters, recent entries)
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(resultCache.describeCache(limit));
+});
 
-    // When archive is finalized, cleanup the session
-    archive.on('end', () => {
-        console.log(`Zip download complete for session: ${sessionId}`);
-        // Cleanup after a short delay to ensure download completes
-        setTimeout(() => {
-            cleanupSession(sessionId);
-        }, 5000);
-    });
+// Change the cache size limit; least recently used entries are evicted to fit
+app.put('/api/admin/cache/limit', requireAdmin, (req, res) => {
+    const { maxBytes } = req.body;
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+        return res.status(400).json({ error: 'maxBytes must be a non-negative integer (0 disables the cache)' });
+    }
+    resultCache.setMaxBytes(maxBytes);
+    res.json({ success: true, ...resultCache.describeCache(0) });
+});
 
-    // Pipe archive to response
-    archive.pipe(res);
+// Purge the whole cache, or entries unused for olderThanDays
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    let olderThan = Infinity;
+    if (req.query.olderThanDays !== undefined) {
+        const days = Number(req.query.olderThanDays);
+        if (!Number.isFinite(days) || days < 0) {
+            return res.status(400).json({ error: 'olderThanDays must be a non-negative number' });
+        }
+        olderThan = Date.now() - days * 24 * 60 * 60 * 1000;
+    }
+    const removed = resultCache.purge(olderThan);
+    res.json({ success: true, removed, ...resultCache.describeCache(0) });
+});
 
-    // Add files to archive
-    for (const file of files) {
-        const filePath = path.join(sessionDir, file);
-        archive.file(filePath, { name: file });
+app.delete('/api/admin/cache/:key', requireAdmin, (req, res) => {
+    const { key } = req.params;
+    if (!resultCache.isValidKey(key)) {
+        return res.status(400).json({ error: 'Invalid cache key' });
     }
+    if (!resultCache.removeEntry(key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+});
 
-    // Finalize archive
-    archive.finalize();
+// Provider calls per day and provider; defaults to the current month
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    const today = getBatchDate();
+    const from = req.query.from || `${today.slice(0, 8)}01`;
+    const to = req.query.to || today;
+    if (![from, to].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        return res.status(400).json({ error: 'from and to must be dates like 2024-01-31' });
+    }
+    // Picks up calls of packshot CLI runs since the last write
+    await usage.flushUsage();
+    res.json(usage.getUsageReport(from, to));
 });
 
-// Downscale image to fit within max dimensions AND megapixel limit
-// Jasper API limit: 5 megapixels per image
-const MAX_MEGAPIXELS = 5000000;
+// Watch folders with their pick-up counters
+app.get('/api/admin/watch-folders', requireAdmin, (req, res) => {
+    res.json({ folders: hotFolders.listWatchFolders() });
+});
 
-async function downscaleImageToLimit(imagePath, maxWidth, maxHeight, maxPixels) {
-    const metadata = await sharp(imagePath).metadata();
-    let { width, height } = metadata;
-    const currentPixels = width * height;
-    
-    // Calculate scale needed for dimension constraints (if provided)
-    let dimensionScale = 1;
-    if (maxWidth && maxHeight) {
-        if (width > maxWidth || height > maxHeight) {
-            const scaleX = maxWidth / width;
-            const scaleY = maxHeight / height;
-            dimensionScale = Math.min(scaleX, scaleY);
-        }
+// Create or replace a watch folder; it is scanned from the next poll on
+app.post('/api/admin/watch-folders', requireAdmin, (req, res) => {
+    const saved = hotFolders.saveWatchFolder(req.body);
+    if (saved.error) {
+        return res.status(saved.status).json({ error: saved.error });
     }
-    
-    // Calculate scale needed for megapixel limit
-    let pixelScale = 1;
-    if (currentPixels > maxPixels) {
-        pixelScale = Math.sqrt(maxPixels / currentPixels);
+    res.json({ success: true, folder: saved.folder });
+});
+
+app.delete('/api/admin/watch-folders/:name', requireAdmin, (req, res) => {
+    const deleted = hotFolders.deleteWatchFolder(req.params.name);
+    if (deleted.error) {
+        return res.status(deleted.status).json({ error: deleted.error });
     }
-    
-    // Use the smaller scale (more aggressive downscale)
-    const scale = Math.min(dimensionScale, pixelScale);
-    
-    // Check if any downscaling is needed
-    if (scale >= 1) {
-        // No downscaling needed
-        return fs.readFileSync(imagePath);
+    res.json({ success: true });
+});
+
+app.put('/api/admin/usage/budget', requireAdmin, (req, res) => {
+    const { dailyCalls } = req.body;
+    if (!Number.isInteger(dailyCalls) || dailyCalls < 0) {
+        return res.status(400).json({ error: 'dailyCalls must be a non-negative integer (0 removes the daily budget)' });
     }
-    
-    const newWidth = Math.floor(width * scale);
-    const newHeight = Math.floor(height * scale);
-    const newPixels = newWidth * newHeight;
-    const megapixels = (newPixels / 1000000).toFixed(2);
-    
-    console.log(`Downscaling image from ${width}x${height} (${(currentPixels/1000000).toFixed(2)}MP) to ${newWidth}x${newHeight} (${megapixels}MP)`);
-    
-    // Downscale and return buffer
-    // Use .rotate() without arguments to auto-orient based on EXIF data
-    return await sharp(imagePath)
-        .rotate()
-        .resize(newWidth, newHeight, { fit: 'inside' })
-        .toBuffer();
+    usage.setDailyBudget(dailyCalls);
+    res.json({ success: true, dailyBudget: dailyCalls || null, remaining: usage.getRemainingDailyBudget() });
+});
+
+// Per-batch call budget from a request body; returns { maxCalls } (null = none) or { error }
+function normalizeMaxCalls(value) {
+    if (value === undefined || value === null) {
+        return { maxCalls: null };
+    }
+    if (!Number.isInteger(value) || value < 1) {
+        return { error: 'maxCalls must be a positive integer' };
+    }
+    return { maxCalls: value };
 }
 
-// Pre-load and cache background buffer for a chunk
-async function loadBackgroundBuffer(backgroundPath, bgDimensions) {
-    const safeMaxPixels = MAX_MEGAPIXELS * 0.9;
-    
-    let finalOutputWidth = bgDimensions.width;
-    let finalOutputHeight = bgDimensions.height;
-    const bgPixels = finalOutputWidth * finalOutputHeight;
-    if (bgPixels > safeMaxPixels) {
-        const scale = Math.sqrt(safeMaxPixels / bgPixels);
-        finalOutputWidth = Math.floor(finalOutputWidth * scale);
-        finalOutputHeight = Math.floor(finalOutputHeight * scale);
+// Lower bound of the provider calls a batch needs: one per item without a cached result
+async function estimateProviderCalls(items, provider, useCache) {
+    if (!useCache || !resultCache.isEnabled()) {
+        return items.length;
     }
-    
-    const backgroundBuffer = await downscaleImageToLimit(
-        backgroundPath,
-        finalOutputWidth,
-        finalOutputHeight,
-        safeMaxPixels
-    );
-    
-    return {
-        buffer: backgroundBuffer,
-        finalWidth: finalOutputWidth,
-        finalHeight: finalOutputHeight,
-        safeMaxPixels
+    const hashes = new Map();
+    const hashUpload = async (upload) => {
+        if (!hashes.has(upload.id)) {
+            hashes.set(upload.id, await resultCache.hashFile(upload.path));
+        }
+        return hashes.get(upload.id);
     };
+    let calls = 0;
+    for (const item of items) {
+        const key = resultCache.getCacheKey(provider, await hashUpload(item.foreground), await hashUpload(item.background), item.placement);
+        if (!resultCache.hasResult(key)) {
+            calls++;
+        }
+    }
+    return calls;
 }
 
-// Jasper.ai Packshot Compositing API integration (with pre-loaded background)
-async function processWithJasperOptimized(foregroundPath, backgroundData, originalFilename) {
-    const apiKey = process.env.JASPER_API_KEY;
-    
-    if (!apiKey) {
-        return {
-            success: false,
-            error: 'JASPER_API_KEY not configured in .env file'
-        };
+// Refuse a billable batch that cannot fit its own or today's budget; returns { status, error } or null
+async function checkCallBudget(items, provider, useCache, maxCalls) {
+    const remainingToday = usage.getRemainingDailyBudget();
+    if (!provider.billable || (maxCalls === null && remainingToday === null)) {
+        return null;
     }
+    const needed = await estimateProviderCalls(items, provider, useCache);
+    if (maxCalls !== null && needed > maxCalls) {
+        return { status: 400, error: `Batch needs at least ${needed} provider calls but its budget is ${maxCalls}` };
+    }
+    if (remainingToday !== null && needed > remainingToday) {
+        return { status: 429, error: `Batch needs at least ${needed} provider calls but only ${remainingToday} are left in today's budget` };
+    }
+    return null;
+}
 
-    try {
-        const { buffer: backgroundBuffer, finalWidth, finalHeight, safeMaxPixels } = backgroundData;
-        
-        // Downscale foreground to fit within FINAL output dimensions
-        const foregroundBuffer = await downscaleImageToLimit(
-            foregroundPath, 
-            finalWidth,
-            finalHeight,
-            safeMaxPixels
-        );
-
-        // Create form data with file buffers (Jasper API expects multipart/form-data)
-        const formData = new FormData();
-        formData.append('image_file', foregroundBuffer, {
-            filename: 'foreground.jpg',
-            contentType: 'image/jpeg'
-        });
-        formData.append('background_image_file', backgroundBuffer, {
-            filename: 'background.jpg',
-            contentType: 'image/jpeg'
-        });
+// Validate a process request, plan its batch and start it
+// Returns { sessionId, plan, provider, settings } or { status, error, code? }
+async function createBatch(body, clientId) {
+    const { files: fileIds, mode, mapping } = body;
+    const providerName = body.provider || DEFAULT_PROVIDER;
 
-        // Call Jasper.ai Packshot Compositing API with retry
-        const apiEndpoint = 'https://api.jasper.ai/v1/image/packshot-compositing';
-        
-        const response = await withRetry(
-            () => axios.post(
-                apiEndpoint,
-                formData,
-                {
-                    headers: {
-                        'x-api-key': apiKey,
-                        ...formData.getHeaders()
-                    },
-                    timeout: 120000, // 2 minute timeout
-                    responseType: 'arraybuffer'  // Receive as binary buffer
-                }
-            ),
-            `Processing ${originalFilename}`
-        );
+    // backgroundFiles (array) supersedes the single backgroundFile
+    const backgroundIds = body.backgroundFiles
+        || (body.backgroundFile ? [body.backgroundFile] : []);
 
-        // Response is raw JPEG binary data
-        const imageBuffer = Buffer.from(response.data);
-        return {
-            success: true,
-            imageData: imageBuffer,
-            response: { size: imageBuffer.length }
-        };
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+        return { status: 400, error: 'No files to process' };
+    }
 
-    } catch (error) {
-        console.error('Jasper API error:', error.response?.data || error.message);
-        // Extract error message from Jasper's response format
-        let errorMessage = error.message;
-        if (error.response?.data) {
-            // If response is arraybuffer, convert to string to check for error
-            try {
-                const errorData = JSON.parse(Buffer.from(error.response.data).toString());
-                if (errorData.errors && Array.isArray(errorData.errors) && errorData.errors.length > 0) {
-                    errorMessage = `Jasper API: ${errorData.errors.join(', ')}`;
-                } else if (errorData.message) {
-                    errorMessage = `Jasper API: ${errorData.message}`;
-                }
-            } catch (e) {
-                // Response wasn't JSON, use original error message
-            }
-        }
-        return {
-            success: false,
-            error: errorMessage
-        };
+    if (fileIds.length > MAX_FOREGROUND_FILES) {
+        return { status: 400, error: `Too many files (max ${MAX_FOREGROUND_FILES})` };
     }
-}
 
-// Process a single image (used by parallel processor)
-async function processSingleImage(file, backgroundData, outputDirectory, state) {
-    const fileName = file.originalName;
-    
-    // Track this image as being processed
-    state.currentImages.push(fileName);
-    
-    try {
-        // Process with Jasper.ai Packshot Compositing (with retry built-in)
-        const result = await processWithJasperOptimized(file.path, backgroundData, fileName);
+    if (!Array.isArray(backgroundIds) || backgroundIds.length === 0) {
+        return { status: 400, error: 'No background image specified' };
+    }
 
-        if (!result.success) {
-            throw new Error(result.error || 'Processing failed');
-        }
+    if (backgroundIds.length > MAX_BACKGROUND_FILES) {
+        return { status: 400, error: `Too many backgrounds (max ${MAX_BACKGROUND_FILES})` };
+    }
 
-        // Save the processed image
-        if (result.imageData) {
-            const outputFilename = `composited-${fileName}`;
-            const outputPath = path.join(outputDirectory, outputFilename);
-            fs.writeFileSync(outputPath, result.imageData);
-            result.savedTo = outputPath;
-        }
+    const provider = getProvider(providerName);
+    if (!provider) {
+        return { status: 400, error: `Unknown compositing provider: ${providerName}` };
+    }
 
-        state.results.push({
-            file: fileName,
-            success: true,
-            result: { savedTo: result.savedTo }
-        });
+    const availability = provider.isAvailable();
+    if (!availability.available) {
+        return { status: 400, error: availability.reason, code: 'provider_unavailable' };
+    }
 
-        console.log(`✓ Processed: ${fileName}`);
+    const output = normalizeOutputSettings(body.output);
+    if (output.error) {
+        return { status: 400, error: output.error };
+    }
+    const restore = normalizeRestoreSettings(body.restore);
+    if (restore.error) {
+        return { status: 400, error: restore.error };
+    }
 
-    } catch (error) {
-        console.error(`✗ Error processing ${fileName}:`, error.message);
-        state.results.push({
-            file: fileName,
-            success: false,
-            error: error.message
-        });
-    } finally {
-        // Remove from current images being processed
-        const idx = state.currentImages.indexOf(fileName);
-        if (idx > -1) {
-            state.currentImages.splice(idx, 1);
-        }
-        
-        // Increment processed count
-        state.processedImages++;
+    const naming = normalizeNamingSettings(body.naming);
+    if (naming.error) {
+        return { status: 400, error: naming.error };
+    }
+    const exports = exportPresets.normalizeExportSettings(body.exports);
+    if (exports.error) {
+        return { status: 400, error: exports.error };
+    }
+    if (body.useCache !== undefined && typeof body.useCache !== 'boolean') {
+        return { status: 400, error: 'useCache must be true or false' };
+    }
+    const budget = normalizeMaxCalls(body.maxCalls);
+    if (budget.error) {
+        return { status: 400, error: budget.error };
+    }
+    const priority = body.priority ?? scheduler.DEFAULT_PRIORITY;
+    if (!scheduler.PRIORITIES.includes(priority)) {
+        return { status: 400, error: `Unsupported priority: ${priority} (expected one of ${scheduler.PRIORITIES.join(', ')})` };
+    }
+    if (body.open !== undefined && typeof body.open !== 'boolean') {
+        return { status: 400, error: 'open must be true or false' };
+    }
+    if (body.open && body.manifest) {
+        return { status: 400, error: 'A manifest needs every image up front: start the batch once all uploads have finished' };
     }
-}
 
-// Process all images with parallel execution and chunked memory management
-async function processImagesParallel(files, backgroundFile, bgDimensions, outputDirectory, sessionId) {
-    const state = getSessionState(sessionId);
-    const limit = pLimit(CONCURRENCY_LIMIT);
-    
-    console.log(`\n📦 Starting batch processing: ${files.length} images`);
-    console.log(`   Concurrency: ${CONCURRENCY_LIMIT}, Chunk size: ${CHUNK_SIZE}, Max retries: ${MAX_RETRIES}\n`);
-    
-    // Process in chunks for memory efficiency
-    for (let chunkStart = 0; chunkStart < files.length; chunkStart += CHUNK_SIZE) {
-        const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, files.length);
-        const chunk = files.slice(chunkStart, chunkEnd);
-        const chunkNum = Math.floor(chunkStart / CHUNK_SIZE) + 1;
-        const totalChunks = Math.ceil(files.length / CHUNK_SIZE);
-        
-        console.log(`📂 Processing chunk ${chunkNum}/${totalChunks} (${chunk.length} images)`);
-        
-        // Pre-load background buffer once per chunk (memory optimization)
-        let backgroundData;
-        try {
-            backgroundData = await loadBackgroundBuffer(backgroundFile.path, bgDimensions);
-        } catch (error) {
-            console.error('Failed to load background image:', error);
-            // Mark all images in chunk as failed
-            for (const file of chunk) {
-                state.results.push({
-                    file: file.originalName,
-                    success: false,
-                    error: 'Failed to load background image'
-                });
-                state.processedImages++;
-            }
-            continue;
+    const settings = {
+        output: output.settings,
+        restore: restore.settings,
+        naming: { ...naming.settings, date: getBatchDate() },
+        exports: exports.settings,
+        useCache: body.useCache !== false,
+        priority
+    };
+
+    let manifestRows;
+    if (body.manifest) {
+        const manifest = parseManifest(body.manifest);
+        if (manifest.error) {
+            return { status: 400, error: manifest.error };
         }
-        
-        // Process chunk in parallel with concurrency limit
-        const promises = chunk.map(file => 
-            limit(() => processSingleImage(file, backgroundData, outputDirectory, state))
-        );
-        
-        await Promise.all(promises);
-        
-        // Clear background buffer reference to help GC
-        backgroundData = null;
-        
-        console.log(`   Chunk ${chunkNum} complete. Progress: ${state.processedImages}/${state.totalImages}\n`);
+        manifestRows = manifest.rows;
     }
 
-    state.isProcessing = false;
-    state.currentImages = [];
+    // Only uploads this client made through /api/upload can be processed
+    if (!clientId) {
+        return { status: 403, error: 'Unknown client: upload files before processing' };
+    }
 
-    // Summary
-    const successCount = state.results.filter(r => r.success).length;
-    const errorCount = state.results.filter(r => !r.success).length;
-    console.log(`\n✅ Batch complete: ${successCount} successful, ${errorCount} failed\n`);
+    const foregrounds = uploadRegistry.resolveUploads(fileIds, 'foreground', clientId);
+    if (foregrounds.error) {
+        return { status: foregrounds.status, error: foregrounds.error };
+    }
 
-    // Cleanup uploaded files after processing
-    const filesToCleanup = [...files, backgroundFile];
-    for (const file of filesToCleanup) {
+    const backgrounds = uploadRegistry.resolveUploads(backgroundIds, 'background', clientId);
+    if (backgrounds.error) {
+        return { status: backgrounds.status, error: backgrounds.error };
+    }
+
+    const plan = planBatch({
+        foregrounds: foregrounds.entries,
+        backgrounds: backgrounds.entries,
+        mode,
+        mapping,
+        manifestRows
+    });
+    if (plan.error) {
+        return { status: 400, error: plan.error };
+    }
+
+    // An open batch's final size is unknown, so {index} is padded for the largest one possible
+    const open = body.open
+        ? { mode: plan.mode, mapping, total: MAX_FOREGROUND_FILES * (plan.mode === 'matrix' ? backgrounds.entries.length : 1) }
+        : null;
+    const named = planOutputNames(plan.items, settings.naming, open ? { total: open.total } : undefined);
+    if (named.error) {
+        return { status: 400, error: named.error };
+    }
+
+    const overBudget = await checkCallBudget(plan.items, provider, settings.useCache, budget.maxCalls);
+    if (overBudget) {
+        return { ...overBudget, code: 'budget_exceeded' };
+    }
+
+    // A manifest may leave uploads out; those stay unclaimed and expire with the registry
+    // (images appended to an open batch may still need any of its backgrounds)
+    const usedForegrounds = [...new Set(plan.items.map(item => item.foreground))];
+    const usedBackgrounds = open ? backgrounds.entries : [...new Set(plan.items.map(item => item.background))];
+
+    const sessionId = startBatch(plan, provider, settings, {
+        foregrounds: usedForegrounds,
+        backgrounds: usedBackgrounds,
+        maxCalls: budget.maxCalls,
+        ownerId: clientId,
+        open
+    });
+    uploadRegistry.claimUploads([...usedForegrounds, ...usedBackgrounds], sessionId);
+    return { sessionId, plan, provider, settings };
+}
+
+// Process images with the selected compositing provider
+app.post('/api/process', async (req, res) => {
+    const created = await createBatch(req.body, readClientId(req));
+    if (created.error) {
+        return res.status(created.status).json({ error: created.error });
+    }
+    const { sessionId, plan, provider, settings } = created;
+
+    res.json({
+        success: true,
+        message: `Started processing ${plan.items.length} images`,
+        totalImages: plan.items.length,
+        sessionId: sessionId,
+        provider: provider.name,
+        mode: plan.mode,
+        priority: settings.priority,
+        warnings: plan.warnings,
+        isOpen: Boolean(req.body.open)
+    });
+});
+
+// Open batches take more foregrounds while they run, until an append marks the
+// last one (or nobody appended for SESSION_TIMEOUT)
+// sessionId -> { mode, mapping, backgrounds, total, pending, wake, closed, lastAppendAt }
+const openBatches = new Map();
+
+// Stop an open batch from taking images; it finishes once the queued ones are done
+function closeOpenBatch(sessionId) {
+    const open = openBatches.get(sessionId);
+    if (!open || open.closed) {
+        return;
+    }
+    open.closed = true;
+    const state = sessionStates.get(sessionId);
+    if (state) {
+        state.isOpen = false;
+    }
+    open.wake?.();
+}
+
+// Items appended since the last round; waits while the batch is open and nothing is queued
+async function takeAppendedItems(sessionId) {
+    const open = openBatches.get(sessionId);
+    if (!open) {
+        return [];
+    }
+    while (open.pending.length === 0 && !open.closed) {
+        await new Promise(resolve => {
+            open.wake = resolve;
+        });
+        open.wake = null;
+    }
+    const items = open.pending.splice(0);
+    if (open.closed) {
+        openBatches.delete(sessionId);
+    }
+    return items;
+}
+
+// An open batch of this client that still takes images
+// Returns { state, job, open } or { status, error }
+function findOpenBatch(sessionId, clientId) {
+    const state = sessionStates.get(sessionId);
+    const job = jobStore.getJob(sessionId);
+    if (!state || !job) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+    if (!clientId || job.ownerId !== clientId) {
+        return { status: 403, error: 'Session belongs to another client' };
+    }
+    const open = openBatches.get(sessionId);
+    if (!open || open.closed || state.isCancelled) {
+        return { status: 409, error: 'Batch no longer takes images' };
+    }
+    return { state, job, open };
+}
+
+// Add foregrounds to an open batch; body is { files, assignments?, final? } where
+// assignments extend the mapping and final: true means no more images follow
+// Returns { added, totalImages, isOpen, warnings } or { status, error, code? }
+function appendToBatch(sessionId, body, clientId) {
+    const batch = findOpenBatch(sessionId, clientId);
+    if (batch.error) {
+        return batch;
+    }
+    const { state, job, open } = batch;
+
+    const fileIds = body?.files ?? [];
+    if (!Array.isArray(fileIds)) {
+        return { status: 400, error: 'files must be an array of upload IDs' };
+    }
+    if (body.final !== undefined && typeof body.final !== 'boolean') {
+        return { status: 400, error: 'final must be true or false' };
+    }
+    if (body.assignments !== undefined && (body.assignments === null || typeof body.assignments !== 'object' || Array.isArray(body.assignments))) {
+        return { status: 400, error: 'Mapping assignments must be an object of foreground ID to background ID' };
+    }
+    if (job.foregrounds.length + fileIds.length > MAX_FOREGROUND_FILES) {
+        return { status: 400, error: `Too many files (max ${MAX_FOREGROUND_FILES})` };
+    }
+
+    let plan = { items: [], warnings: [] };
+    if (fileIds.length > 0) {
+        const blocker = usage.getBudgetBlocker(sessionId);
+        if (blocker) {
+            return { status: 409, error: blocker, code: 'budget_exceeded' };
+        }
+        const foregrounds = uploadRegistry.resolveUploads(fileIds, 'foreground', clientId);
+        if (foregrounds.error) {
+            return { status: foregrounds.status, error: foregrounds.error };
+        }
+
+        const mapping = open.mapping && {
+            ...open.mapping,
+            assignments: { ...open.mapping.assignments, ...body.assignments }
+        };
+        plan = planBatch({ foregrounds: foregrounds.entries, backgrounds: open.backgrounds, mode: open.mode, mapping });
+        if (plan.error) {
+            return { status: 400, error: plan.error };
+        }
+        const named = planOutputNames(plan.items, getJobSettings(job).naming, {
+            previous: jobStore.getItems(job),
+            total: open.total
+        });
+        if (named.error) {
+            return { status: 400, error: named.error };
+        }
+
+        jobStore.appendItems(sessionId, foregrounds.entries, plan.items);
+        uploadRegistry.claimUploads(foregrounds.entries, sessionId);
+        state.totalImages += plan.items.length;
+        const sessionData = activeSessions.get(sessionId);
+        if (sessionData) {
+            sessionData.fileCount += plan.items.length;
+        }
+        open.lastAppendAt = Date.now();
+        open.pending.push(...plan.items);
+        open.wake?.();
+        sessionEvents.publish(sessionId, 'images-added', {
+            added: plan.items.length,
+            totalImages: state.totalImages
+        });
+    }
+
+    if (body.final) {
+        closeOpenBatch(sessionId);
+    }
+    return { added: plan.items.length, totalImages: state.totalImages, isOpen: state.isOpen, warnings: plan.warnings };
+}
+
+app.post('/api/append/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const appended = appendToBatch(sessionId, req.body, readClientId(req));
+    if (appended.error) {
+        return res.status(appended.status).json({ error: appended.error });
+    }
+    res.json({
+        success: true,
+        message: `Added ${appended.added} images`,
+        ...appended,
+        sessionId
+    });
+});
+
+// Create a journaled session for a planned batch and start processing it
+// Watch folder batches pass watch: { folder, output } and write to that output directory
+// Open batches pass open: { mode, mapping, total } and take more images through appendToBatch
+function startBatch(plan, provider, settings, { foregrounds, backgrounds, maxCalls = null, ownerId = null, watch = null, open = null }) {
+    // Generate a unique session ID for this batch
+    const sessionId = generateSessionId();
+    const sessionDir = path.join(tempDir, sessionId);
+    fs.mkdirSync(sessionDir, { recursive: true });
+    jobStore.createJob(sessionDir, {
+        sessionId,
+        provider: provider.name,
+        settings,
+        mode: plan.mode,
+        foregrounds,
+        backgrounds,
+        items: plan.items,
+        warnings: plan.warnings,
+        ownerId,
+        watch
+    });
+
+    usage.openSession(sessionId, provider, maxCalls);
+
+    // Track this session
+    activeSessions.set(sessionId, {
+        createdAt: Date.now(),
+        fileCount: plan.items.length,
+        provider: provider.name,
+        ownerId
+    });
+
+    // Initialize per-session processing state
+    const state = getSessionState(sessionId);
+    state.isProcessing = true;
+    state.totalImages = plan.items.length;
+    state.processedImages = 0;
+    state.currentImages = [];
+    state.currentItems = [];
+    state.results = [];
+    state.provider = provider.name;
+    state.mode = plan.mode;
+    state.warnings = plan.warnings;
+    state.isPaused = false;
+    state.isCancelled = false;
+    state.batchError = null;
+    state.isOpen = Boolean(open);
+
+    if (open) {
+        openBatches.set(sessionId, { ...open, backgrounds, pending: [], wake: null, closed: false, lastAppendAt: Date.now() });
+    }
+
+    // Process asynchronously
+    processImagesParallel(plan.items, watch ? watch.output : sessionDir, sessionId, provider, settings);
+    return sessionId;
+}
+
+// Get processing status (now requires sessionId)
+app.get('/api/status', (req, res) => {
+    const { sessionId } = req.query;
+    
+    if (!sessionId) {
+        // Backwards compatibility: return empty state if no sessionId
+        return res.json({
+            isProcessing: false,
+            totalImages: 0,
+            processedImages: 0,
+            currentImages: [],
+            results: []
+        });
+    }
+
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    if (!sessionStates.has(sessionId)) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+    }
+
+    const denied = checkSessionAccess(sessionId, req);
+    if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+    }
+    
+    const state = getSessionState(sessionId);
+    res.json({
+        ...state,
+        // For backwards compatibility, include currentImage as string
+        currentImage: state.currentImages.length > 0 ? state.currentImages.join(', ') : '',
+        queue: scheduler.getQueueStatus(sessionId),
+        usage: usage.getSessionUsage(sessionId)
+    });
+});
+
+// Provider calls made by a session, with its budget and what is left of today's
+app.get('/api/usage/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const sessionUsage = usage.getSessionUsage(sessionId);
+    if (!sessionStates.has(sessionId) || !sessionUsage) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+    }
+    res.json({ ...sessionUsage, remainingToday: usage.getRemainingDailyBudget() });
+});
+
+// Everything known about a batch, or null once it has expired
+function getBatch(sessionId) {
+    const state = sessionStates.get(sessionId);
+    const job = jobStore.getJob(sessionId);
+    if (!state || !job) {
+        return null;
+    }
+    return {
+        sessionId,
+        state,
+        job,
+        items: jobStore.getItems(job),
+        queue: scheduler.getQueueStatus(sessionId),
+        usage: usage.getSessionUsage(sessionId),
+        completedAt: activeSessions.get(sessionId)?.completedAt ?? null,
+        outputDirectory: job.watch?.output || path.join(tempDir, sessionId)
+    };
+}
+
+// Sessions started by a client, oldest first
+function listClientBatches(clientId) {
+    return [...activeSessions.entries()]
+        .filter(([, sessionData]) => clientId && sessionData.ownerId === clientId)
+        .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+        .map(([sessionId]) => sessionId);
+}
+
+// Summary of a session's progress without the (potentially large) results array
+function getProgressSnapshot(state, sessionId) {
+    return {
+        isProcessing: state.isProcessing,
+        totalImages: state.totalImages,
+        processedImages: state.processedImages,
+        currentImages: state.currentImages,
+        successCount: state.results.filter(r => r.success).length,
+        errorCount: state.results.filter(r => !r.success && !r.skipped).length,
+        skippedCount: state.results.filter(r => r.skipped).length,
+        cachedCount: state.results.filter(r => r.cached).length,
+        flaggedCount: state.results.filter(r => r.warnings?.length > 0).length,
+        isPaused: state.isPaused,
+        isCancelled: state.isCancelled,
+        isOpen: state.isOpen,
+        batchError: state.batchError,
+        provider: state.provider,
+        mode: state.mode,
+        queue: scheduler.getQueueStatus(sessionId)
+    };
+}
+
+function writeEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stream progress events for a session (Server-Sent Events)
+// Sends a snapshot on every (re)connect, then incremental events
+app.get('/api/events/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!sessionStates.has(sessionId)) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const state = getSessionState(sessionId);
+    writeEvent(res, 'snapshot', getProgressSnapshot(state, sessionId));
+
+    if (!state.isProcessing) {
+        writeEvent(res, 'batch-complete', getProgressSnapshot(state, sessionId));
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_INTERVAL);
+
+    const unsubscribe = sessionEvents.subscribe(sessionId, ({ type, data }) => {
+        writeEvent(res, type, data);
+        if (type === 'batch-complete' || type === 'session-closed') {
+            res.end();
+        }
+    });
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Output files under a session directory, relative to it (dotfiles such as the job journal are skipped)
+function listOutputFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+        const relativePath = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listOutputFiles(dir, relativePath));
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+// Files a result entry wrote (the composite and preset exports), relative to its output directory
+function getResultOutputPaths(entry) {
+    if (!entry?.result) {
+        return [];
+    }
+    return [entry.result.path, ...(entry.result.exports || []).map(e => e.path)]
+        .filter(Boolean)
+        .map(relativePath => path.join(...relativePath.split('/')));
+}
+
+// Output files of the results in a review state, relative to the session directory
+function listReviewedOutputFiles(sessionId, sessionDir, reviewFilter) {
+    const results = sessionStates.get(sessionId)?.results || [];
+    return results
+        .filter(entry => review.matchesReviewFilter(entry, reviewFilter))
+        .flatMap(getResultOutputPaths)
+        .filter(file => fs.existsSync(path.join(sessionDir, file)));
+}
+
+// Stream a session's output files as a zip; reviewFilter (a review status)
+// limits it to the outputs of results in that state, e.g. only approved ones
+// Returns { status, error } instead when there is nothing to send
+// Sessions stay after a download until they are closed or expire
+function sendArchive(sessionId, res, { reviewFilter = null } = {}) {
+    const sessionDir = path.join(tempDir, sessionId);
+
+    // Validate session exists
+    if (!fs.existsSync(sessionDir)) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+
+    // Get list of output files, including per-background folders
+    const files = reviewFilter
+        ? listReviewedOutputFiles(sessionId, sessionDir, reviewFilter)
+        : listOutputFiles(sessionDir);
+    
+    if (files.length === 0) {
+        return { status: 404, error: reviewFilter ? `No ${reviewFilter} images in session` : 'No files found in session' };
+    }
+    touchSession(sessionId);
+
+    // Set response headers for zip download
+    const timestamp = new Date().toISOString().slice(0, 10);
+    const zipFilename = `processed-images-${reviewFilter ? `${reviewFilter}-` : ''}${timestamp}.zip`;
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+
+    // Create archive
+    const archive = archiver('zip', {
+        zlib: { level: 6 } // Balanced compression
+    });
+
+    // Handle archive errors
+    archive.on('error', (err) => {
+        console.error('Archive error:', err);
+        res.status(500).json({ error: 'Failed to create zip file' });
+    });
+
+    archive.on('end', () => {
+        console.log(`Zip download complete for session: ${sessionId}`);
+    });
+
+    // Pipe archive to response
+    archive.pipe(res);
+
+    // Add files to archive
+    for (const file of files) {
+        const filePath = path.join(sessionDir, file);
+        archive.file(filePath, { name: file.split(path.sep).join('/') });
+    }
+
+    // Finalize archive
+    archive.finalize();
+    return {};
+}
+
+// Download processed images as zip (?review=approved for the approved ones only)
+app.get('/api/download/:sessionId', (req, res) => {
+    const { filter, error } = review.parseReviewFilter(req.query.review);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const sent = sendArchive(req.params.sessionId, res, { reviewFilter: filter });
+    if (sent.error) {
+        res.status(sent.status).json({ error: sent.error });
+    }
+});
+
+// Approve or reject a finished image, or set it back to pending
+// Returns { review } or { status, error }
+function reviewResult(sessionId, itemId, body) {
+    const state = sessionStates.get(sessionId);
+    if (!state || !jobStore.getJob(sessionId)) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+    const entry = state.results.find(r => r.id === itemId);
+    if (!entry) {
+        const exists = jobStore.getJob(sessionId).items.some(item => item.id === itemId);
+        return exists
+            ? { status: 409, error: 'Image has not finished processing' }
+            : { status: 404, error: 'Item not found' };
+    }
+    if (!entry.success) {
+        return { status: 409, error: 'Only successful images can be reviewed' };
+    }
+
+    const normalized = review.normalizeReview(body);
+    if (normalized.error) {
+        return { status: 400, error: normalized.error };
+    }
+    entry.review = normalized.review;
+    jobStore.setReview(sessionId, itemId, entry.review);
+    touchSession(sessionId);
+    sessionEvents.publish(sessionId, 'review-changed', { id: itemId, review: entry.review });
+    return { review: entry.review };
+}
+
+app.put('/api/review/:sessionId/:itemId', (req, res) => {
+    const reviewed = reviewResult(req.params.sessionId, req.params.itemId, req.body);
+    if (reviewed.error) {
+        return res.status(reviewed.status).json({ error: reviewed.error });
+    }
+    res.json({ success: true, review: reviewed.review });
+});
+
+// File behind one of an item's images: output is a preset name
+// (COMPOSITE_PRESET_NAME for the composite), or null for the "before" image
+// Returns { filePath, key } or { status, error }
+function findItemImage(sessionId, itemId, output) {
+    const batch = getBatch(sessionId);
+    if (!batch) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+    const item = batch.items.find(i => i.id === itemId);
+    if (!item) {
+        return { status: 404, error: 'Item not found' };
+    }
+
+    if (output === null) {
+        // Successful items have a kept preview; failed ones (and any item before it finishes) the upload
+        const previewPath = previews.getInputPreviewPath(path.join(tempDir, sessionId), item.foreground.id);
+        const filePath = [previewPath, item.foreground.path].find(p => fs.existsSync(p));
+        if (!filePath) {
+            return { status: 410, error: 'Input image is no longer available' };
+        }
+        return { filePath, key: `${item.foreground.id}.input` };
+    }
+
+    const entry = batch.state.results.find(r => r.id === itemId);
+    const files = entry?.success && entry.result
+        ? [{ preset: exportPresets.COMPOSITE_PRESET_NAME, path: entry.result.path }, ...(entry.result.exports || [])]
+        : [];
+    const file = files.find(f => f.preset === output && f.path);
+    if (!file) {
+        return { status: 404, error: 'Output not found' };
+    }
+    // Paths come from our own results, never from the request
+    return {
+        filePath: path.join(batch.outputDirectory, ...file.path.split('/')),
+        key: `${itemId}.output.${output}`
+    };
+}
+
+// Send an item's input or output image, or its cached thumbnail when
+// thumbnailSize is set; returns { status, error } instead when there is nothing to send
+async function sendItemImage(sessionId, itemId, res, { output = null, thumbnailSize = null } = {}) {
+    const image = findItemImage(sessionId, itemId, output);
+    if (image.error) {
+        return image;
+    }
+    let filePath = image.filePath;
+    if (thumbnailSize) {
         try {
-            if (fs.existsSync(file.path)) {
-                fs.unlinkSync(file.path);
-            }
+            filePath = await previews.getThumbnail(path.join(tempDir, sessionId), image.filePath, image.key, thumbnailSize);
         } catch (err) {
-            console.error('Error cleaning up file:', err);
+            return { status: 410, error: 'Image is no longer available' };
+        }
+    }
+    // Outputs can be rewritten by a retry, so browsers revalidate (ETag) on every view
+    return new Promise((resolve) => {
+        res.sendFile(filePath, { dotfiles: 'allow', headers: { 'Cache-Control': 'no-cache' } }, (err) => {
+            resolve(err && !res.headersSent ? { status: 410, error: 'Image is no longer available' } : {});
+        });
+    });
+}
+
+// Item images for the results gallery; the thumbnail routes take ?size=
+async function handleItemImage(req, res, output, thumbnail) {
+    let thumbnailSize = null;
+    if (thumbnail) {
+        const parsed = previews.parseThumbnailSize(req.query.size);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        thumbnailSize = parsed.size;
+    }
+    const sent = await sendItemImage(req.params.sessionId, req.params.itemId, res, { output, thumbnailSize });
+    if (sent.error) {
+        res.status(sent.status).json({ error: sent.error });
+    }
+}
+
+app.get('/api/outputs/:sessionId/:itemId/:output', (req, res) => handleItemImage(req, res, req.params.output, false));
+app.get('/api/outputs/:sessionId/:itemId/:output/thumbnail', (req, res) => handleItemImage(req, res, req.params.output, true));
+app.get('/api/inputs/:sessionId/:itemId', (req, res) => handleItemImage(req, res, null, false));
+app.get('/api/inputs/:sessionId/:itemId/thumbnail', (req, res) => handleItemImage(req, res, null, true));
+
+// Retry the failed images of a finished batch against the same backgrounds
+// New outputs land in the same session directory, so they join the existing zip
+// Returns { retrying, totalImages } or { status, error, code? }
+function retryBatch(sessionId, body) {
+    const job = jobStore.getJob(sessionId);
+
+    if (!job || !sessionStates.has(sessionId)) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+    if (job.watch) {
+        return { status: 409, error: `Watch folder batches are retried by moving images from ${hotFolders.ERROR_DIR}/ back into the input folder` };
+    }
+
+    const state = getSessionState(sessionId);
+    if (state.isProcessing) {
+        return { status: 409, error: 'Batch is still processing' };
+    }
+
+    const failedIds = new Set(state.results.filter(r => !r.success).map(r => r.id));
+    if (failedIds.size === 0) {
+        return { status: 400, error: 'No failed images to retry' };
+    }
+
+    // A used-up batch budget can be raised along with the retry
+    const budget = normalizeMaxCalls(body?.maxCalls);
+    if (budget.error) {
+        return { status: 400, error: budget.error };
+    }
+    if (budget.maxCalls !== null) {
+        usage.setSessionBudget(sessionId, budget.maxCalls);
+    }
+    const blocker = usage.getBudgetBlocker(sessionId);
+    if (blocker) {
+        return { status: 409, error: blocker, code: 'budget_exceeded' };
+    }
+
+    const { provider, ...unavailable } = getJobProvider(job);
+    if (!provider) {
+        return unavailable;
+    }
+
+    const items = jobStore.getItems(job).filter(item =>
+        failedIds.has(item.id) && fs.existsSync(item.foreground.path) && fs.existsSync(item.background.path)
+    );
+    if (items.length === 0) {
+        return { status: 410, error: 'Failed uploads are no longer available' };
+    }
+
+    reprocessItems(sessionId, job, provider, items);
+    return { retrying: items.length, totalImages: state.totalImages };
+}
+
+// Provider of a journaled batch if it can still be used; returns { provider } or { status, error, code }
+function getJobProvider(job) {
+    const provider = getProvider(job.provider);
+    const availability = provider?.isAvailable();
+    if (!provider || !availability.available) {
+        return { status: 400, error: provider ? availability.reason : `Unknown compositing provider: ${job.provider}`, code: 'provider_unavailable' };
+    }
+    return { provider };
+}
+
+// Process finished images of a batch again; their new results replace the old ones
+// refreshCache calls the provider even for cached composites (and caches the new ones)
+function reprocessItems(sessionId, job, provider, items, { refreshCache = false } = {}) {
+    const state = getSessionState(sessionId);
+    const itemIds = items.map(item => item.id);
+    jobStore.reopenJob(sessionId, itemIds);
+
+    state.results = state.results.filter(r => !itemIds.includes(r.id));
+    state.processedImages = state.results.length;
+    state.currentImages = [];
+    state.currentItems = [];
+    state.isProcessing = true;
+    state.isPaused = false;
+    state.isCancelled = false;
+    state.batchError = null;
+    jobStore.setJobPaused(sessionId, false);
+    jobStore.setJobError(sessionId, null);
+
+    const sessionData = activeSessions.get(sessionId);
+    if (sessionData) {
+        sessionData.completedAt = undefined;
+    }
+
+    const sessionDir = path.join(tempDir, sessionId);
+    processImagesParallel(items, sessionDir, sessionId, provider, { ...getJobSettings(job), refreshCache });
+}
+
+app.post('/api/retry/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const retried = retryBatch(sessionId, req.body);
+    if (retried.error) {
+        return res.status(retried.status).json({ error: retried.error });
+    }
+    res.json({
+        success: true,
+        message: `Retrying ${retried.retrying} failed images`,
+        ...retried,
+        sessionId
+    });
+});
+
+// Re-run one image of a finished batch, e.g. with a new placement override
+// body.placement replaces the override (null restores the default placement);
+// without it the image runs with its current one. The new outputs replace the
+// old ones in the session and the image goes back to pending review.
+// Returns { item } or { status, error, code? }
+function rerunItem(sessionId, itemId, body) {
+    const job = jobStore.getJob(sessionId);
+
+    if (!job || !sessionStates.has(sessionId)) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+    if (job.watch) {
+        return { status: 409, error: `Watch folder images are re-run by moving them from ${hotFolders.ARCHIVE_DIR}/ back into the input folder` };
+    }
+
+    const state = getSessionState(sessionId);
+    if (state.isProcessing) {
+        return { status: 409, error: 'Batch is still processing' };
+    }
+
+    const item = jobStore.getItems(job).find(i => i.id === itemId);
+    if (!item) {
+        return { status: 404, error: 'Item not found' };
+    }
+
+    if (body?.placement !== undefined) {
+        const normalized = normalizePlacement(body.placement);
+        if (normalized.error) {
+            return { status: 400, error: normalized.error };
+        }
+        item.placement = normalized.placement;
+    }
+
+    const blocker = usage.getBudgetBlocker(sessionId);
+    if (blocker) {
+        return { status: 409, error: blocker, code: 'budget_exceeded' };
+    }
+
+    const { provider, ...unavailable } = getJobProvider(job);
+    if (!provider) {
+        return unavailable;
+    }
+
+    if (!fs.existsSync(item.foreground.path) || !fs.existsSync(item.background.path)) {
+        return { status: 410, error: 'Uploads of this image are no longer available' };
+    }
+
+    jobStore.setPlacement(sessionId, itemId, item.placement);
+    touchSession(sessionId);
+
+    // Old outputs go first, so a failed re-run cannot leave them in the zip
+    const sessionDir = path.join(tempDir, sessionId);
+    for (const file of getResultOutputPaths(state.results.find(r => r.id === itemId))) {
+        fs.rmSync(path.join(sessionDir, file), { force: true });
+    }
+
+    // A re-run asks the provider again (placement differs between calls); the
+    // new composite replaces the cached one
+    reprocessItems(sessionId, job, provider, [item], { refreshCache: true });
+    return { item };
+}
+
+app.post('/api/rerun/:sessionId/:itemId', (req, res) => {
+    const { sessionId, itemId } = req.params;
+    const rerun = rerunItem(sessionId, itemId, req.body);
+    if (rerun.error) {
+        return res.status(rerun.status).json({ error: rerun.error });
+    }
+    res.json({
+        success: true,
+        message: `Re-running ${rerun.item.foreground.originalName}`,
+        placement: rerun.item.placement,
+        sessionId
+    });
+});
+
+// Look up the control of a running batch; returns { state, control } or { status, error }
+function getRunningBatch(sessionId) {
+    if (!sessionStates.has(sessionId)) {
+        return { status: 404, error: 'Session not found or expired' };
+    }
+    const state = getSessionState(sessionId);
+    const control = batchControls.get(sessionId);
+    if (!state.isProcessing || !control || state.isCancelled) {
+        return { status: 409, error: 'Batch is not running' };
+    }
+    return { state, control };
+}
+
+// Pause a running batch: in-flight images finish, nothing new starts
+// Returns { snapshot } or { status, error, code? } (so do resumeBatch and cancelBatch)
+function pauseBatch(sessionId) {
+    const batch = getRunningBatch(sessionId);
+    if (batch.error) {
+        return batch;
+    }
+
+    batch.control.pause();
+    batch.state.isPaused = true;
+    jobStore.setJobPaused(sessionId, true);
+    console.log(`⏸️  Paused session: ${sessionId}`);
+
+    const snapshot = getProgressSnapshot(batch.state, sessionId);
+    sessionEvents.publish(sessionId, 'paused', snapshot);
+    return { snapshot };
+}
+
+function resumeBatch(sessionId, body) {
+    const batch = getRunningBatch(sessionId);
+    if (batch.error) {
+        return batch;
+    }
+
+    // A batch paused by its call budget needs a higher budget (or a new day) to continue
+    const budget = normalizeMaxCalls(body?.maxCalls);
+    if (budget.error) {
+        return { status: 400, error: budget.error };
+    }
+    if (budget.maxCalls !== null) {
+        usage.setSessionBudget(sessionId, budget.maxCalls);
+    }
+    const blocker = usage.getBudgetBlocker(sessionId);
+    if (blocker) {
+        return { status: 409, error: blocker, code: 'budget_exceeded' };
+    }
+
+    batch.control.resume();
+    batch.state.isPaused = false;
+    jobStore.setJobPaused(sessionId, false);
+    // Resuming closes a tripped circuit breaker and clears a budget pause
+    if (['circuit_open', 'budget_exhausted'].includes(batch.state.batchError?.code)) {
+        batch.state.batchError = null;
+        jobStore.setJobError(sessionId, null);
+    }
+    console.log(`▶️  Resumed session: ${sessionId}`);
+
+    const snapshot = getProgressSnapshot(batch.state, sessionId);
+    sessionEvents.publish(sessionId, 'resumed', snapshot);
+    return { snapshot };
+}
+
+// Cancel a running batch: in-flight requests are aborted, remaining images are
+// recorded as skipped and finished outputs are kept
+function cancelBatch(sessionId) {
+    const batch = getRunningBatch(sessionId);
+    if (batch.error) {
+        return batch;
+    }
+
+    batch.control.cancel();
+    closeOpenBatch(sessionId);
+    batch.state.isCancelled = true;
+    batch.state.isPaused = false;
+    jobStore.setJobPaused(sessionId, false);
+    console.log(`⏹️  Cancelled session: ${sessionId}`);
+
+    const snapshot = getProgressSnapshot(batch.state, sessionId);
+    sessionEvents.publish(sessionId, 'cancelled', snapshot);
+    return { snapshot };
+}
+
+app.post('/api/pause/:sessionId', (req, res) => {
+    const paused = pauseBatch(req.params.sessionId);
+    if (paused.error) {
+        return res.status(paused.status).json({ error: paused.error });
+    }
+    res.json({ success: true, ...paused.snapshot });
+});
+
+app.post('/api/resume/:sessionId', (req, res) => {
+    const resumed = resumeBatch(req.params.sessionId, req.body);
+    if (resumed.error) {
+        return res.status(resumed.status).json({ error: resumed.error });
+    }
+    res.json({ success: true, ...resumed.snapshot });
+});
+
+app.post('/api/cancel/:sessionId', (req, res) => {
+    const cancelled = cancelBatch(req.params.sessionId);
+    if (cancelled.error) {
+        return res.status(cancelled.status).json({ error: cancelled.error });
+    }
+    res.json({ success: true, ...cancelled.snapshot });
+});
+
+// Process all work items through the shared pipeline (lib/pipeline),
+// keeping the session state, journal and event stream up to date
+async function processImagesParallel(items, outputDirectory, sessionId, provider, settings) {
+    const state = getSessionState(sessionId);
+    const control = createBatchControl({ paused: state.isPaused, onResume: scheduler.dispatch });
+    batchControls.set(sessionId, control);
+    // Images wait in the global queue; paused batches are skipped there
+    scheduler.openQueue(sessionId, { priority: settings.priority, isPaused: () => control.paused && !control.cancelled });
+    let consecutiveFailures = 0;
+    // "Before" images of successful items, kept for the comparison view (lib/previews)
+    const inputPreviews = [];
+    // e.g. a batch resumed after a restart on a day whose budget is already used up
+    enforceCallBudgets();
+    
+    console.log(`\n📦 Starting batch processing: ${items.length} images (provider: ${provider.name}, priority: ${settings.priority})`);
+    console.log(`   Global concurrency: ${CONCURRENCY_LIMIT}, Chunk size: ${CHUNK_SIZE}, Max retries: ${MAX_RETRIES}, Output: ${settings.output.format}\n`);
+
+    const hooks = {
+        onChunk: (chunkNum, chunkCount, chunk) => {
+            console.log(`📂 Processing chunk ${chunkNum}/${chunkCount} (${chunk.length} images on ${chunk[0].background.originalName})`);
+        },
+
+        onChunkComplete: (chunkNum) => {
+            console.log(`   Chunk ${chunkNum} complete. Progress: ${state.processedImages}/${state.totalImages}\n`);
+        },
+
+        onStart: (item) => {
+            // Track this image as being processed
+            state.currentImages.push(item.foreground.originalName);
+            state.currentItems.push(item.id);
+            sessionEvents.publish(sessionId, 'image-started', {
+                id: item.id,
+                file: item.foreground.originalName,
+                background: item.background.originalName
+            });
+        },
+
+        onAttempt: (item, { attempt, durationMs, error }) => {
+            usage.recordCall(sessionId, provider, { retry: attempt > 1, success: !error, durationMs });
+            enforceCallBudgets();
+        },
+
+        onRetry: (item, attempt, maxRetries, delay, error) => {
+            sessionEvents.publish(sessionId, 'retrying', {
+                id: item.id,
+                file: item.foreground.originalName,
+                attempt,
+                maxRetries,
+                delay,
+                error: error.message
+            });
+        },
+
+        onResult: (entry, item, started) => {
+            if (started) {
+                const idx = state.currentImages.indexOf(entry.file);
+                if (idx > -1) {
+                    state.currentImages.splice(idx, 1);
+                }
+                state.currentItems = state.currentItems.filter(id => id !== entry.id);
+                logResult(entry);
+            }
+            if (entry.success) {
+                entry.review = review.createReview();
+            }
+            state.results.push(entry);
+            state.processedImages++;
+            reportResult(sessionId, entry);
+            if (entry.success) {
+                inputPreviews.push(previews.keepInputPreview(path.join(tempDir, sessionId), item.foreground));
+            }
+
+            // A rejected API key fails every image the same way: stop at the first one
+            if (entry.errorCode === 'auth') {
+                abortBatch(sessionId, control, entry.error);
+            } else if (entry.errorCode === 'rate_limited' || entry.errorCode === 'unavailable') {
+                consecutiveFailures++;
+                if (consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD && !control.paused) {
+                    consecutiveFailures = 0;
+                    tripCircuitBreaker(sessionId, control, entry.error);
+                }
+            } else if (entry.success) {
+                consecutiveFailures = 0;
+            }
+        }
+    };
+
+    // An open batch goes on with the images appended while the previous ones ran
+    const processedItems = [];
+    let batchItems = items;
+    while (batchItems.length > 0) {
+        await runBatch(batchItems, { queueId: sessionId, outputDirectory, provider, settings, control, hooks });
+        processedItems.push(...batchItems);
+        batchItems = await takeAppendedItems(sessionId);
+    }
+
+    await Promise.all(inputPreviews);
+    finishBatch(sessionId, processedItems);
+}
+
+function logResult(entry) {
+    if (entry.success) {
+        console.log(`✓ Processed: ${entry.file} on ${entry.background}${entry.cached ? ' (cached)' : ''}`);
+        for (const warning of entry.warnings || []) {
+            console.warn(`   ⚠️  ${warning.message}`);
+        }
+    } else if (entry.skipped) {
+        console.log(`⏹️  Cancelled: ${entry.file}`);
+    } else {
+        console.error(`✗ Error processing ${entry.file} on ${entry.background}:`, entry.error);
+    }
+}
+
+// Abort a batch with one batch-level error; the remaining images are skipped
+function abortBatch(sessionId, control, error) {
+    const state = sessionStates.get(sessionId);
+    if (!state || control.cancelled) {
+        return;
+    }
+
+    state.batchError = { code: 'auth', message: `Provider rejected the API key: ${error}` };
+    jobStore.setJobError(sessionId, state.batchError);
+    control.cancel('Skipped: batch aborted after the API key was rejected');
+    closeOpenBatch(sessionId);
+    state.isCancelled = true;
+    state.isPaused = false;
+    jobStore.setJobPaused(sessionId, false);
+    console.error(`🔑 Aborted session ${sessionId}: ${error}`);
+
+    sessionEvents.publish(sessionId, 'batch-error', getProgressSnapshot(state, sessionId));
+}
+
+// Pause a batch with a batch-level error; resuming clears it again
+function pauseWithError(sessionId, control, batchError) {
+    const state = sessionStates.get(sessionId);
+    if (!state || control.cancelled) {
+        return;
+    }
+
+    state.batchError = batchError;
+    jobStore.setJobError(sessionId, state.batchError);
+    control.pause();
+    state.isPaused = true;
+    jobStore.setJobPaused(sessionId, true);
+    console.error(`⚡ Session ${sessionId}: ${batchError.message}`);
+
+    sessionEvents.publish(sessionId, 'batch-error', getProgressSnapshot(state, sessionId));
+}
+
+// Pause a batch after repeated provider outages; resuming closes the breaker again
+function tripCircuitBreaker(sessionId, control, error) {
+    pauseWithError(sessionId, control, {
+        code: 'circuit_open',
+        message: `Paused after ${CIRCUIT_BREAKER_THRESHOLD} consecutive provider failures: ${error}`
+    });
+}
+
+// Pause every running billable batch that has used up its own or today's call budget
+// Images already in flight still finish, so a batch can overshoot by a few calls
+function enforceCallBudgets() {
+    for (const [sessionId, control] of batchControls.entries()) {
+        const blocker = usage.getBudgetBlocker(sessionId);
+        if (blocker && !control.paused && !control.cancelled) {
+            pauseWithError(sessionId, control, { code: 'budget_exhausted', message: `Paused: ${blocker}` });
+        }
+    }
+}
+
+// Mark a batch complete and move watch folder inputs on
+function finishBatch(sessionId, items) {
+    batchControls.delete(sessionId);
+    scheduler.closeQueue(sessionId);
+
+    // Session was cleared mid-batch; cleanupSession already removed everything
+    const state = sessionStates.get(sessionId);
+    if (!state) {
+        return;
+    }
+
+    state.isProcessing = false;
+    state.isPaused = false;
+    state.currentImages = [];
+    state.currentItems = [];
+    jobStore.completeJob(sessionId);
+    usage.flushUsage();
+
+    const sessionData = activeSessions.get(sessionId);
+    if (sessionData) {
+        sessionData.completedAt = Date.now();
+    }
+
+    // Summary
+    const snapshot = getProgressSnapshot(state, sessionId);
+    console.log(`\n✅ Batch complete: ${snapshot.successCount} successful (${snapshot.cachedCount} cached, ${snapshot.flaggedCount} flagged), ${snapshot.errorCount} failed, ${snapshot.skippedCount} skipped\n`);
+    sessionEvents.publish(sessionId, 'batch-complete', snapshot);
+
+    // Uploads stay until the session ends (see cleanupSession), so any image can
+    // still be retried or re-run with a different placement
+    const job = jobStore.getJob(sessionId);
+    if (job?.watch) {
+        settleWatchFiles(state, items);
+    }
+}
+
+// Move a watch folder batch's inputs to archive/, or to error/ if any of their images failed
+function settleWatchFiles(state, items) {
+    const results = new Map(state.results.map(r => [r.id, r]));
+    const foregrounds = new Map(items.map(item => [item.foreground.id, item.foreground]));
+    for (const foreground of foregrounds.values()) {
+        const failed = items
+            .filter(item => item.foreground.id === foreground.id)
+            .map(item => results.get(item.id) || { success: false, error: 'Not processed' })
+            .find(result => !result.success);
+        hotFolders.settleFile(foreground.path, failed ? failed.error : null);
+    }
+}
+
+// Why a watch folder may not pick up images right now, or null if it may
+function getWatchBlocker(folder) {
+    const provider = getProvider(folder.provider);
+    const availability = provider.isAvailable();
+    if (!availability.available) {
+        return availability.reason;
+    }
+    if (provider.billable && usage.getRemainingDailyBudget() === 0) {
+        return 'Daily call budget is used up';
+    }
+    return null;
+}
+
+// Process images picked up from a watch folder as a regular session
+// Returns the session ID, or null if the batch could not be planned
+function startWatchBatch(folder, files) {
+    const provider = getProvider(folder.provider);
+    const settings = { ...folder.settings, naming: { ...folder.settings.naming, date: getBatchDate() } };
+    const foregrounds = files.map(file => ({ id: uploadRegistry.generateUploadId(), ...file }));
+    const background = {
+        id: uploadRegistry.generateUploadId(),
+        originalName: path.basename(folder.background),
+        path: folder.background
+    };
+
+    const plan = planBatch({ foregrounds, backgrounds: [background] });
+    const named = plan.error ? plan : planOutputNames(plan.items, settings.naming);
+    if (named.error) {
+        console.error(`✗ Watch folder ${folder.name}: ${named.error}`);
+        for (const file of files) {
+            hotFolders.settleFile(file.path, named.error);
+        }
+        return null;
+    }
+
+    fs.mkdirSync(folder.output, { recursive: true });
+    return startBatch(plan, provider, settings, {
+        foregrounds,
+        backgrounds: [background],
+        watch: { folder: folder.name, output: folder.output }
+    });
+}
+
+// Batch settings from a journal, with defaults for journals written before they existed
+function getJobSettings(job) {
+    return {
+        output: { ...DEFAULT_OUTPUT_SETTINGS, ...job.settings?.output },
+        restore: { ...DEFAULT_RESTORE_SETTINGS, ...job.settings?.restore },
+        naming: { ...DEFAULT_NAMING_SETTINGS, date: getBatchDate(job.createdAt), ...job.settings?.naming },
+        exports: { ...exportPresets.DEFAULT_EXPORT_SETTINGS, ...job.settings?.exports },
+        useCache: job.settings?.useCache !== false,
+        priority: job.settings?.priority || scheduler.DEFAULT_PRIORITY
+    };
+}
+
+// Record an item that failed (or was skipped) before reaching the provider
+function recordFailure(sessionId, item, error, extra = {}) {
+    const state = sessionStates.get(sessionId);
+    if (!state) {
+        return;
+    }
+    const entry = createEntry(item, { success: false, ...extra, error });
+    state.results.push(entry);
+    state.processedImages++;
+    reportResult(sessionId, entry);
+}
+
+// Persist a finished image and notify event stream listeners
+function reportResult(sessionId, entry) {
+    const state = sessionStates.get(sessionId);
+    if (!state) {
+        return;
+    }
+    jobStore.recordResult(sessionId, entry);
+    sessionEvents.publish(sessionId, 'image-finished', {
+        result: entry,
+        processedImages: state.processedImages,
+        totalImages: state.totalImages
+    });
+}
+
+// Rebuild sessions from their job journals and resume unfinished batches
+function restoreJobs() {
+    const referencedUploads = new Set();
+
+    for (const job of jobStore.loadJobs(tempDir)) {
+        const { sessionId } = job;
+        const sessionDir = path.join(tempDir, sessionId);
+
+        // Anything still on disk may be needed to resume or retry this batch
+        for (const file of [...job.foregrounds, ...job.backgrounds]) {
+            referencedUploads.add(file.path);
+        }
+
+        activeSessions.set(sessionId, {
+            createdAt: job.createdAt,
+            completedAt: job.status === 'complete' ? job.updatedAt : undefined,
+            fileCount: job.items.length,
+            provider: job.provider,
+            ownerId: job.ownerId || null
+        });
+
+        const state = getSessionState(sessionId);
+        state.totalImages = job.items.length;
+        state.processedImages = job.results.length;
+        state.results = [...job.results];
+        state.provider = job.provider;
+        state.mode = job.mode;
+        state.warnings = job.warnings || [];
+        state.isPaused = Boolean(job.paused);
+        state.batchError = job.batchError || null;
+
+        if (job.status !== 'processing') {
+            continue;
+        }
+
+        const pending = jobStore.getPendingItems(job);
+        const provider = getProvider(job.provider);
+        const availability = provider?.isAvailable();
+
+        let blocker = null;
+        if (!provider) {
+            blocker = `Unknown compositing provider: ${job.provider}`;
+        } else if (!availability.available) {
+            blocker = availability.reason;
+        }
+
+        const resumable = pending.filter(item => {
+            if (blocker) {
+                recordFailure(sessionId, item, blocker);
+                return false;
+            }
+            if (!fs.existsSync(item.background.path)) {
+                recordFailure(sessionId, item, 'Background upload was lost before the batch finished');
+                return false;
+            }
+            if (!fs.existsSync(item.foreground.path)) {
+                recordFailure(sessionId, item, 'Upload was lost before the batch finished');
+                return false;
+            }
+            return true;
+        });
+
+        console.log(`🔄 Resuming session ${sessionId}: ${pending.length - resumable.length} lost, ${resumable.length} to process`);
+
+        state.isProcessing = true;
+        if (resumable.length === 0) {
+            finishBatch(sessionId, pending);
+            continue;
+        }
+
+        processImagesParallel(resumable, job.watch?.output || sessionDir, sessionId, provider, getJobSettings(job));
+    }
+
+    // Watch folder inputs picked up but never journaled go back to their folder
+    hotFolders.recoverClaimedFiles(referencedUploads);
+
+    // Uploads not owned by a restored batch cannot be referenced after a restart
+    for (const filename of fs.readdirSync(uploadsDir)) {
+        const filePath = path.join(uploadsDir, filename);
+        if (!referencedUploads.has(filePath)) {
+            fs.rmSync(filePath, { force: true });
         }
     }
 }
@@ -627,13 +2179,72 @@ async function processImagesParallel(files, backgroundFile, bgDimensions, output
 app.post('/api/clear', (req, res) => {
     const { sessionId } = req.body;
     
-    if (sessionId) {
+    if (isValidSessionId(sessionId)) {
+        const denied = checkSessionAccess(sessionId, req);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
         cleanupSession(sessionId);
     }
     
     res.json({ success: true });
 });
 
+// Versioned API over the same batch operations (see lib/api-v1)
+app.use('/api/v1', apiV1.createApiV1Router({
+    uploadFields,
+    expandArchives: expandUploadedArchives,
+    registerUploads: registerUploadedFiles,
+    discardUploads: discardUploadedFiles,
+    readClientId,
+    checkBatchAccess: checkSessionAccess,
+    createBatch,
+    appendToBatch,
+    getBatch,
+    sendItemImage,
+    listBatches: listClientBatches,
+    pauseBatch,
+    resumeBatch,
+    cancelBatch,
+    retryBatch,
+    reviewResult,
+    rerunItem,
+    closeBatch: cleanupSession,
+    sendArchive,
+    limits: { maxForegrounds: MAX_FOREGROUND_FILES, maxBackgrounds: MAX_BACKGROUND_FILES }
+}));
+app.use('/api/v1', apiV1.handleApiError);
+
+
+exportPresets.loadPresets(dataDir);
+resultCache.initCache(path.join(dataDir, 'cache'), { maxBytes: RESULT_CACHE_MAX_BYTES });
+usage.loadUsage(dataDir, { dailyBudget: DAILY_CALL_BUDGET });
+scheduler.configureScheduler({
+    concurrency: CONCURRENCY_LIMIT,
+    ratePerMinute: RATE_LIMIT_PER_MINUTE,
+    // Queue positions shift whenever an image starts or a batch leaves
+    onChange: () => {
+        for (const sessionId of scheduler.listOpenQueues()) {
+            sessionEvents.publish(sessionId, 'queue', scheduler.getQueueStatus(sessionId));
+        }
+    }
+});
+resumableUploads.initResumableUploads(uploadsDir);
+hotFolders.loadWatchFolders(dataDir);
+restoreJobs();
+hotFolders.startWatching({
+    pollInterval: WATCH_POLL_INTERVAL,
+    getBlocker: getWatchBlocker,
+    onBatch: startWatchBatch
+});
+
+// Save the usage ledger before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        await usage.flushUsage();
+        process.exit(0);
+    });
+}
 
 // Start server
 app.listen(PORT, () => {
@@ -645,7 +2256,7 @@ app.listen(PORT, () => {
 ║   Server running at: http://localhost:${PORT}                 ║
 ║                                                            ║
 ║   Ready to process images!                                 ║
-║   - Parallel processing: ${CONCURRENCY_LIMIT} concurrent                      ║
+║   - Parallel processing: ${CONCURRENCY_LIMIT} concurrent (all sessions)       ║
 ║   - Chunk size: ${CHUNK_SIZE} images                                 ║
 ║   - Retries: ${MAX_RETRIES} with exponential backoff                   ║
 ║                                                            ║
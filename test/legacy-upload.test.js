@@ -0,0 +1,95 @@
+// Starts the server on a spare port and runs a normal (not open) batch
+// through the original /api/upload and /api/process endpoints
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+
+const PORT = 30000 + Math.floor(Math.random() * 20000);
+const BASE_URL = `http://localhost:${PORT}`;
+
+let server;
+
+async function waitForServer(timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        try {
+            await fetch(`${BASE_URL}/api/providers`);
+            return;
+        } catch (err) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error(`Server did not start on port ${PORT}`);
+}
+
+async function createUploadForm({ withBackground = true } = {}) {
+    const foreground = await sharp({ create: { width: 200, height: 300, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+        .composite([{
+            input: await sharp({ create: { width: 100, height: 200, channels: 4, background: { r: 200, g: 30, b: 30, alpha: 1 } } }).png().toBuffer(),
+            left: 50,
+            top: 50
+        }])
+        .png()
+        .toBuffer();
+    const form = new FormData();
+    form.append('images', new Blob([foreground], { type: 'image/png' }), 'shirt.png');
+    if (withBackground) {
+        const background = await sharp({ create: { width: 800, height: 600, channels: 3, background: { r: 240, g: 240, b: 240 } } }).jpeg().toBuffer();
+        form.append('background', new Blob([background], { type: 'image/jpeg' }), 'studio.jpg');
+    }
+    return form;
+}
+
+test.before(async () => {
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, PORT: String(PORT) },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+});
+
+test.after(() => {
+    server.kill();
+});
+
+test('a legacy upload without a background is still refused', async () => {
+    const response = await fetch(`${BASE_URL}/api/upload`, { method: 'POST', body: await createUploadForm({ withBackground: false }) });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'No background image uploaded' });
+});
+
+test('a legacy upload runs as a normal batch', async () => {
+    const uploaded = await fetch(`${BASE_URL}/api/upload`, { method: 'POST', body: await createUploadForm() });
+    assert.equal(uploaded.status, 200);
+    const cookie = uploaded.headers.get('set-cookie').split(';')[0];
+    const { files, backgroundFiles } = await uploaded.json();
+    assert.equal(files.length, 1);
+    assert.equal(backgroundFiles.length, 1);
+
+    const headers = { 'Content-Type': 'application/json', Cookie: cookie };
+    const processed = await fetch(`${BASE_URL}/api/process`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ files: files.map(file => file.id), backgroundFile: backgroundFiles[0].id, provider: 'local' })
+    });
+    assert.equal(processed.status, 200);
+    const { sessionId } = await processed.json();
+
+    let status;
+    const deadline = Date.now() + 15000;
+    do {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        status = await (await fetch(`${BASE_URL}/api/status?sessionId=${sessionId}`, { headers })).json();
+    } while ((status.isProcessing || status.processedImages < status.totalImages) && Date.now() < deadline);
+
+    assert.equal(status.isOpen, false);
+    assert.equal(status.totalImages, 1);
+    assert.equal(status.results.length, 1);
+    assert.equal(status.results[0].success, true, status.results[0].error);
+    assert.equal(status.results[0].result.path, 'composited-shirt.jpg');
+
+    await fetch(`${BASE_URL}/api/clear`, { method: 'POST', headers, body: JSON.stringify({ sessionId }) });
+});
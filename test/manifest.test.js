@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MANIFEST_BYTES, parseManifest, toSafeSegment, toSafeFolder } = require('../lib/manifest');
+
+test('parses a CSV manifest with header aliases and quoted fields', () => {
+    const content = [
+        'File Name,SKU,Output Name,BG,Output Folder',
+        'shirt-red.png,SKU-1001,"SKU-1001, front.png",studio.jpg,shirts',
+        '',
+        '"pants ""blue"".jpg",SKU-1002,,,'
+    ].join('\r\n');
+
+    assert.deepEqual(parseManifest({ name: 'export.csv', content }), {
+        rows: [
+            { row: 2, filename: 'shirt-red.png', sku: 'SKU-1001', background: 'studio.jpg', output: 'SKU-1001, front', folder: 'shirts' },
+            { row: 4, filename: 'pants "blue".jpg', sku: 'SKU-1002', background: '', output: '', folder: '' }
+        ]
+    });
+});
+
+test('detects semicolon separated CSV and strips a byte order mark', () => {
+    const parsed = parseManifest({ name: 'export.csv', content: '﻿filename;sku\nshirt.png;SKU-1\n' });
+    assert.deepEqual(parsed.rows.map(row => [row.filename, row.sku]), [['shirt.png', 'SKU-1']]);
+});
+
+test('parses JSON manifests as an array or under "rows"', () => {
+    const rows = [{ image: 'shirt.png', sku: 1001, output: 'front.webp' }];
+    const expected = [{ row: 1, filename: 'shirt.png', sku: '1001', background: '', output: 'front', folder: '' }];
+
+    assert.deepEqual(parseManifest({ name: 'export.json', content: JSON.stringify(rows) }).rows, expected);
+    assert.deepEqual(parseManifest({ content: JSON.stringify({ rows }) }).rows, expected);
+});
+
+test('rejects unusable manifests', () => {
+    const errorOf = (manifest) => parseManifest(manifest).error;
+
+    assert.match(errorOf(null), /must be an object/);
+    assert.match(errorOf({ content: 'x'.repeat(MAX_MANIFEST_BYTES + 1) }), /too large/);
+    assert.match(errorOf({ name: 'a.csv', content: 'sku,output\nSKU-1,front\n' }), /filename column/);
+    assert.match(errorOf({ name: 'a.csv', content: 'filename\n' }), /no rows/);
+    assert.match(errorOf({ name: 'a.csv', content: 'filename\n"shirt.png\n' }), /unterminated/);
+    assert.match(errorOf({ name: 'a.json', content: '[{' }), /not valid JSON/);
+    assert.match(errorOf({ name: 'a.json', content: '{"items":[]}' }), /"rows" array/);
+    assert.match(errorOf({ name: 'a.json', content: '[["shirt.png"]]' }), /must be an object/);
+});
+
+test('makes folder and name segments filename-safe', () => {
+    assert.equal(toSafeSegment('.hidden file?'), 'hidden_file_');
+    assert.equal(toSafeFolder('../shirts//red sale/./'), 'shirts/red_sale');
+    assert.equal(toSafeFolder('..'), '');
+});
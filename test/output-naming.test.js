@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeNamingSettings, planOutputNames, getOutputPath } = require('../lib/output-naming');
+
+function makeItem(foreground, fields = {}) {
+    return {
+        foreground: { originalName: foreground },
+        background: { originalName: 'studio.jpg' },
+        ...fields
+    };
+}
+
+function plan(items, naming) {
+    const { settings } = normalizeNamingSettings(naming);
+    const planned = planOutputNames(items, { ...settings, date: '2024-05-01' });
+    return { settings: { ...settings, date: '2024-05-01' }, ...planned };
+}
+
+const encoded = { width: 800, height: 600, extension: '.jpg' };
+
+test('suffixes later duplicates in item order', () => {
+    const items = [makeItem('a.png', { sku: 'X' }), makeItem('b.png', { sku: 'Y' }), makeItem('c.png', { sku: 'X' })];
+    const { settings } = plan(items, { template: '{sku}' });
+
+    assert.deepEqual(items.map(item => getOutputPath(item, settings, encoded)), ['X.jpg', 'Y.jpg', 'X-2.jpg']);
+});
+
+test('index strategy numbers every duplicate with its padded index', () => {
+    const items = Array.from({ length: 10 }, (_, i) => makeItem(`${i}.png`, { sku: i < 2 ? 'DUP' : `S${i}` }));
+    const { settings } = plan(items, { template: '{sku}', collision: 'index' });
+
+    assert.equal(items[9].index, '10');
+    assert.deepEqual(items.slice(0, 3).map(item => getOutputPath(item, settings, encoded)), ['DUP-01.jpg', 'DUP-02.jpg', 'S2.jpg']);
+});
+
+test('error strategy rejects a batch with duplicate names', () => {
+    const items = [makeItem('a.png', { sku: 'X' }), makeItem('b.png', { sku: 'x' })];
+    assert.match(plan(items, { template: '{sku}', collision: 'error' }).error, /duplicate names: a\.png \(2 outputs\)/);
+});
+
+test('renders folders, tokens and literal text as a safe relative path', () => {
+    const item = makeItem('red shirt.png', { sku: 'SKU/1', folder: '../tops', outputName: 'front' });
+    const { settings } = plan([item], { template: '{folder}/{sku}/{output}_{width}x{height}_{date}' });
+
+    assert.equal(getOutputPath(item, settings, encoded), 'tops/SKU_1/front_800x600_2024-05-01.jpg');
+});
+
+test('defaults to the composited-<name> output in the item folder', () => {
+    const item = makeItem('shirt.png');
+    const { settings } = plan([item], {});
+
+    assert.equal(getOutputPath(item, settings, { ...encoded, extension: '.webp' }), 'composited-shirt.webp');
+});
+
+test('rejects invalid templates', () => {
+    const errorOf = (naming) => normalizeNamingSettings(naming).error;
+
+    assert.match(errorOf({ template: '{nmae}' }), /Unknown token \{nmae\}/);
+    assert.match(errorOf({ template: '{name' }), /unmatched brace/);
+    assert.match(errorOf({ template: '../{name}' }), /relative path/);
+    assert.match(errorOf({ template: '{sku}/' }), /end with a filename/);
+    assert.match(errorOf({ template: 'a:b' }), /not allowed/);
+    assert.match(errorOf({ collision: 'overwrite' }), /Unsupported collision strategy/);
+});
+
+test('plans appended items after the names a batch already took', () => {
+    const previous = [makeItem('a.png', { sku: 'X' }), makeItem('b.png', { sku: 'Y' })];
+    const { settings } = plan(previous, { template: '{sku}' });
+    const appended = [makeItem('c.png', { sku: 'X' }), makeItem('d.png', { sku: 'Z' })];
+    const planned = planOutputNames(appended, settings, { previous, total: 100 });
+
+    assert.ok(!planned.error);
+    assert.deepEqual(appended.map(item => item.index), ['003', '004']);
+    assert.deepEqual(appended.map(item => item.nameSuffix), ['-2', '']);
+    assert.deepEqual(previous.map(item => item.nameSuffix), ['', '']);
+});
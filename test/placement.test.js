@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { DEFAULT_PLACEMENT, normalizePlacement, placeForeground, positionForeground } = require('../lib/placement');
+
+const background = { width: 1000, height: 500 };
+
+function createForeground(width, height) {
+    return sharp({ create: { width, height, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } }).png().toBuffer();
+}
+
+async function place(foreground, input) {
+    const { buffer, left, top } = await placeForeground(foreground, background, normalizePlacement(input).placement);
+    const { width, height } = await sharp(buffer).metadata();
+    return { left, top, width, height };
+}
+
+test('fills in defaults and keeps only known settings', () => {
+    assert.deepEqual(normalizePlacement({}), { placement: DEFAULT_PLACEMENT });
+    assert.deepEqual(normalizePlacement({ anchor: 'bottom', margin: 5, rotate: 90 }).placement, {
+        ...DEFAULT_PLACEMENT,
+        anchor: 'bottom',
+        margin: 5
+    });
+    assert.deepEqual(normalizePlacement(null), { placement: null });
+});
+
+test('rejects invalid placements', () => {
+    assert.match(normalizePlacement([]).error, /must be an object/);
+    assert.match(normalizePlacement('center').error, /must be an object/);
+    assert.match(normalizePlacement({ anchor: 'top' }).error, /Unsupported anchor: top/);
+    assert.match(normalizePlacement({ scale: 101 }).error, /scale must be a number between 5 and 100/);
+    assert.match(normalizePlacement({ offsetX: '10' }).error, /offsetX must be a number/);
+    assert.match(normalizePlacement({ margin: NaN }).error, /margin must be a number/);
+});
+
+test('scales and centers the foreground by default', async () => {
+    const foreground = await createForeground(2000, 1000);
+    assert.deepEqual(await place(foreground, {}), { left: 50, top: 25, width: 900, height: 450 });
+});
+
+test('stands the foreground on the bottom margin', async () => {
+    const foreground = await createForeground(2000, 1000);
+    assert.deepEqual(await place(foreground, { anchor: 'bottom', scale: 100, margin: 10 }), { left: 100, top: 50, width: 800, height: 400 });
+});
+
+test('keeps custom and offset placements inside the background', async () => {
+    const foreground = await createForeground(2000, 1000);
+    assert.deepEqual(await place(foreground, { anchor: 'custom', x: 0, y: 0, scale: 20 }), { left: 0, top: 0, width: 200, height: 100 });
+    assert.deepEqual(await place(foreground, { scale: 50, offsetX: 50 }), { left: 500, top: 125, width: 500, height: 250 });
+});
+
+test('never enlarges small foregrounds', async () => {
+    const foreground = await createForeground(200, 100);
+    assert.deepEqual(await place(foreground, {}), { left: 400, top: 200, width: 200, height: 100 });
+});
+
+test('positions the foreground on a transparent canvas the size of the background', async () => {
+    const foreground = await createForeground(200, 100);
+    const { width, height, hasAlpha } = await sharp(await positionForeground(foreground, background, DEFAULT_PLACEMENT)).metadata();
+    assert.deepEqual({ width, height, hasAlpha }, { width: 1000, height: 500, hasAlpha: true });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { checkComposite } = require('../lib/quality-checks');
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+function createImage(width, height, background, overlays = []) {
+    return sharp({ create: { width, height, channels: 3, background } })
+        .composite(overlays)
+        .jpeg()
+        .toBuffer();
+}
+
+// A dark 400x300 "product" in the middle of a plain white 800x600 backdrop
+async function createPackshot(width = 800, height = 600) {
+    const product = await sharp({ create: { width: width / 2, height: height / 2, channels: 3, background: { r: 40, g: 60, b: 90 } } })
+        .png()
+        .toBuffer();
+    return createImage(width, height, WHITE, [{ input: product, left: width / 4, top: height / 4 }]);
+}
+
+async function createBackground() {
+    return { buffer: await createImage(800, 600, WHITE), finalWidth: 800, finalHeight: 600 };
+}
+
+function checksOf(checked) {
+    return checked.warnings.map(warning => warning.check);
+}
+
+test('passes a product on a plain backdrop despite its small file', async () => {
+    const checked = await checkComposite(await createPackshot(), await createBackground());
+
+    assert.ok(checked.quality.bytesPerPixel < 0.02);
+    assert.ok(checked.quality.coverage > 0.2);
+    assert.deepEqual(checked.warnings, []);
+});
+
+test('flags a blank frame as uniform and too small', async () => {
+    const checked = await checkComposite(await createImage(800, 600, { r: 0, g: 0, b: 0 }), await createBackground());
+    assert.deepEqual(checksOf(checked), ['uniform', 'file-size']);
+});
+
+test('flags a composite that left the background unchanged', async () => {
+    const background = await createBackground();
+    background.buffer = await createImage(800, 600, WHITE, [{
+        input: await sharp({ create: { width: 800, height: 300, channels: 3, background: { r: 120, g: 120, b: 120 } } }).png().toBuffer(),
+        left: 0,
+        top: 300
+    }]);
+
+    const checked = await checkComposite(background.buffer, background);
+    assert.equal(checked.quality.coverage, 0);
+    assert.deepEqual(checksOf(checked), ['coverage', 'file-size']);
+});
+
+test('flags a composite with the wrong dimensions', async () => {
+    const checked = await checkComposite(await createPackshot(400, 300), await createBackground());
+    assert.deepEqual(checksOf(checked), ['size']);
+    assert.match(checked.warnings[0].message, /400 × 300 px, expected 800 × 600 px/);
+});
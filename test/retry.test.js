@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isNetworkError, isRetryableError, getRetryAfter, getErrorCode, withRetry } = require('../lib/retry');
+
+function httpError(status, headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        isAxiosError: true,
+        request: {},
+        response: { status, headers }
+    });
+}
+
+function networkError(code) {
+    return Object.assign(new Error(`connect ${code}`), { isAxiosError: true, request: {}, code });
+}
+
+test('classes provider failures by their HTTP status', () => {
+    assert.equal(getErrorCode(httpError(401)), 'auth');
+    assert.equal(getErrorCode(httpError(403)), 'auth');
+    assert.equal(getErrorCode(httpError(429)), 'rate_limited');
+    assert.equal(getErrorCode(httpError(503)), 'unavailable');
+    assert.equal(getErrorCode(httpError(400)), 'rejected');
+    assert.equal(getErrorCode(httpError(422)), 'rejected');
+});
+
+test('only classes transport failures without a response as unavailable', () => {
+    assert.equal(getErrorCode(networkError('ECONNRESET')), 'unavailable');
+    assert.equal(getErrorCode(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })), 'unavailable');
+
+    // e.g. sharp failing on a corrupt upload before anything was sent
+    const localError = new Error('Input buffer contains unsupported image format');
+    assert.equal(isNetworkError(localError), false);
+    assert.equal(getErrorCode(localError), 'rejected');
+});
+
+test('retries throttling, server and network errors but not local or client errors', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(502)), true);
+    assert.equal(isRetryableError(networkError('EAI_AGAIN')), true);
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(new TypeError('Cannot read properties of undefined')), false);
+    assert.equal(isRetryableError(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', isAxiosError: true, request: {} })), false);
+});
+
+test('reads Retry-After in seconds or as an HTTP date', () => {
+    assert.equal(getRetryAfter(httpError(429, { 'retry-after': '2' })), 2000);
+    assert.equal(getRetryAfter(httpError(429, { 'retry-after': new Date(Date.now() - 1000).toUTCString() })), 0);
+    assert.equal(getRetryAfter(httpError(429, { 'retry-after': 'soon' })), null);
+    assert.equal(getRetryAfter(httpError(429)), null);
+});
+
+test('withRetry retries transient failures and gives up on the rest straight away', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const attempts = [];
+    let calls = 0;
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) {
+            throw httpError(503, { 'retry-after': '0' });
+        }
+        return 'composite';
+    }, 'test', { onAttempt: ({ attempt, error }) => attempts.push([attempt, error?.response?.status ?? null]) });
+
+    assert.equal(result, 'composite');
+    assert.deepEqual(attempts, [[1, 503], [2, 503], [3, null]]);
+
+    calls = 0;
+    const localError = new Error('Input file is missing');
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw localError;
+    }, 'test'), localError);
+    assert.equal(calls, 1);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scheduler is a server-wide singleton, so every test gets a fresh copy
+function loadScheduler(options) {
+    delete require.cache[require.resolve('../lib/scheduler')];
+    const scheduler = require('../lib/scheduler');
+    scheduler.configureScheduler(options);
+    return scheduler;
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+test('runs at most the configured number of tasks at once', async () => {
+    const scheduler = loadScheduler({ concurrency: 2 });
+    scheduler.openQueue('a');
+    const gates = [deferred(), deferred(), deferred()];
+    let started = 0;
+    const done = gates.map(gate => scheduler.schedule('a', () => {
+        started++;
+        return gate.promise;
+    }));
+
+    await new Promise(setImmediate);
+    assert.equal(started, 2);
+    const { position, waiting, running } = scheduler.getQueueStatus('a');
+    assert.deepEqual({ position, waiting, running }, { position: 1, waiting: 1, running: 2 });
+
+    gates.forEach(gate => gate.resolve());
+    await Promise.all(done);
+    assert.equal(started, 3);
+    assert.equal(scheduler.describeScheduler().running, 0);
+});
+
+test('serves higher priorities first and takes turns between equal ones', async () => {
+    const scheduler = loadScheduler({ concurrency: 1 });
+    const startOrder = [];
+    const run = (sessionId, name) => scheduler.schedule(sessionId, () => {
+        startOrder.push(name);
+    });
+
+    scheduler.openQueue('a');
+    scheduler.openQueue('b');
+    scheduler.openQueue('c', { priority: 'high' });
+    const blocker = deferred();
+    const blocked = scheduler.schedule('a', () => blocker.promise);
+    const done = [run('a', 'a1'), run('a', 'a2'), run('b', 'b1'), run('b', 'b2'), run('c', 'c1')];
+
+    blocker.resolve();
+    await Promise.all([blocked, ...done]);
+    assert.deepEqual(startOrder, ['c1', 'b1', 'a1', 'b2', 'a2']);
+});
+
+test('keeps the queue of a paused session until it resumes', async () => {
+    const scheduler = loadScheduler({ concurrency: 2 });
+    let paused = true;
+    scheduler.openQueue('a', { isPaused: () => paused });
+    let started = false;
+    const done = scheduler.schedule('a', () => {
+        started = true;
+    });
+
+    await new Promise(setImmediate);
+    assert.equal(started, false);
+    assert.equal(scheduler.getQueueStatus('a').position, null);
+
+    paused = false;
+    scheduler.dispatch();
+    await done;
+    assert.equal(started, true);
+});
+
+test('rejects queued tasks when the queue is closed', async () => {
+    const scheduler = loadScheduler({ concurrency: 1 });
+    scheduler.openQueue('a', { isPaused: () => true });
+    const queued = scheduler.schedule('a', () => {});
+
+    scheduler.closeQueue('a');
+    await assert.rejects(queued, /Batch queue was closed/);
+    await assert.rejects(scheduler.schedule('a', () => {}), /No open queue/);
+});
+
+test('halves concurrency when throttled, once per burst', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const scheduler = loadScheduler({ concurrency: 8 });
+
+    scheduler.reportThrottle();
+    assert.equal(scheduler.describeScheduler().concurrency, 4);
+    scheduler.reportThrottle();
+    assert.equal(scheduler.describeScheduler().concurrency, 4);
+});
+
+test('grows back by one after as many successes in a row as the limit', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const scheduler = loadScheduler({ concurrency: 4 });
+    const successes = (count) => {
+        for (let i = 0; i < count; i++) {
+            scheduler.reportSuccess();
+        }
+        return scheduler.describeScheduler().concurrency;
+    };
+
+    scheduler.reportThrottle();
+    assert.equal(successes(1), 2);
+    assert.equal(successes(1), 3);
+    assert.equal(successes(2), 3);
+    assert.equal(successes(1), 4);
+    assert.equal(successes(10), 4);
+});
+
+test('holds new starts for the Retry-After delay', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const scheduler = loadScheduler({ concurrency: 2 });
+    scheduler.openQueue('a');
+    scheduler.reportThrottle(150);
+
+    const scheduledAt = Date.now();
+    let startedAt = null;
+    const done = scheduler.schedule('a', () => {
+        startedAt = Date.now();
+    });
+
+    await new Promise(setImmediate);
+    assert.equal(startedAt, null);
+    assert.ok(scheduler.getQueueStatus('a').heldUntil >= scheduledAt);
+
+    await done;
+    assert.ok(startedAt - scheduledAt >= 140);
+    assert.equal(scheduler.getQueueStatus('a').heldUntil, null);
+});
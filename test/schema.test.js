@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/schema');
+
+const components = {
+    Placement: {
+        type: 'object',
+        properties: {
+            scale: { type: 'number', minimum: 5, maximum: 100 },
+            anchor: { type: 'string', enum: ['center', 'bottom'] }
+        },
+        additionalProperties: false
+    },
+    Job: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+            files: { type: 'array', items: { type: 'string', pattern: '^[a-f0-9]{4}$' }, minItems: 1, maxItems: 2 },
+            note: { type: ['string', 'null'], maxLength: 5 },
+            count: { type: 'integer' },
+            placement: { $ref: '#/components/schemas/Placement' },
+            tags: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } }
+        }
+    }
+};
+const job = { $ref: '#/components/schemas/Job' };
+
+test('accepts a value that matches the schema', () => {
+    assert.deepEqual(validate(job, {
+        files: ['abcd'],
+        note: null,
+        count: 3,
+        placement: { scale: 50.5, anchor: 'bottom' },
+        tags: { shoot: 'spring' },
+        extra: true
+    }, components, 'body'), []);
+});
+
+test('reports every problem with its path', () => {
+    const problems = validate(job, {
+        files: ['abcd', 'ABCD', 'ef01'],
+        note: 'too long',
+        count: 1.5,
+        placement: { scale: 1, anchor: 'left', x: 5 },
+        tags: { shoot: '' }
+    }, components, 'body');
+
+    assert.deepEqual(problems, [
+        { path: 'body.files', message: 'must have at most 2 items' },
+        { path: 'body.files[1]', message: 'must match ^[a-f0-9]{4}$' },
+        { path: 'body.note', message: 'must be at most 5 characters' },
+        { path: 'body.count', message: 'must be integer' },
+        { path: 'body.placement.scale', message: 'must be at least 5' },
+        { path: 'body.placement.anchor', message: 'must be one of center, bottom' },
+        { path: 'body.placement.x', message: 'is not a known property' },
+        { path: 'body.tags.shoot', message: 'must be at least 1 characters' }
+    ]);
+});
+
+test('reports missing required properties and wrong root types', () => {
+    assert.deepEqual(validate(job, {}, components, 'body'), [{ path: 'body.files', message: 'is required' }]);
+    assert.deepEqual(validate(job, [], components), [{ path: '', message: 'must be object' }]);
+    assert.deepEqual(validate({ type: 'number' }, 2), []);
+});
+
+test('throws on an unknown schema reference', () => {
+    assert.throws(() => validate({ $ref: '#/components/schemas/Missing' }, {}, components), /Unknown schema reference/);
+});